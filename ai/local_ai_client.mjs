@@ -1,10 +1,189 @@
+// ai/local_ai_client.mjs
+// Client for a local LLM behind an LM Studio-compatible /v1/chat/completions endpoint.
+// Server-side only (reads process.env); lib/manifest_normalizer.mjs takes a client as a parameter.
+//
+//   const ai = createClient();      // LOCAL_AI_URL, LOCAL_AI_MODEL, LOCAL_AI_TIMEOUT_MS, LOCAL_AI_DEADLINE_MS
+//   const out = await ai.chatJSON({ system, prompt, schema });   // parsed + schema-checked, or throws
+//   const ai = stubClient(({ messages, schema }) => ({ items: [] }));   // deterministic, no network (tests)
+//   const ai = clientFromEnv(respond);                           // stubClient(respond) when LOCAL_AI_STUB=1
+//
+// chatJSON errors carry a code: "timeout" | "http" | "network" | "invalid_json" | "schema".
+// Timeouts, 429/5xx and network errors are retried with backoff; bad JSON is retried with the
+// validation errors fed back to the model so it can correct itself.
+// A client also has a total deadline (deadlineMs, from when it is created) across every call and retry,
+// kept under Netlify's 10 s function limit: create one per request. Past it, calls fail with "timeout".
+
 export const BASE_URL = process.env.LOCAL_AI_URL || "http://localhost:1234";
+export const MODEL = process.env.LOCAL_AI_MODEL || "local-model";
+export const TIMEOUT_MS = Number(process.env.LOCAL_AI_TIMEOUT_MS) || 20000;
+export const DEADLINE_MS = Number(process.env.LOCAL_AI_DEADLINE_MS) || 8000;
+
+const aiError = (message, code, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------- JSON schema (the subset model replies need) ----------
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+
+/**
+ * Validate a value against a JSON-schema subset: type (string or list), enum, required, properties,
+ * additionalProperties: false, items, minimum / maximum, minLength / maxLength, minItems / maxItems.
+ * @returns {string[]} problems, empty when valid
+ */
+export function validateSchema(schema, value, path = "$") {
+  const out = [];
+  if (!schema) return out;
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const t = typeOf(value);
+    if (!types.includes(t) && !(t === "integer" && types.includes("number"))) {
+      return [`${path}: expected ${types.join(" | ")}, got ${t}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) out.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) out.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) out.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) out.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) out.push(`${path}: longer than ${schema.maxLength}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) out.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) out.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => out.push(...validateSchema(schema.items, v, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === "object") {
+    for (const k of schema.required || []) if (!(k in value)) out.push(`${path}.${k}: required`);
+    for (const [k, v] of Object.entries(value)) {
+      if (schema.properties?.[k]) out.push(...validateSchema(schema.properties[k], v, `${path}.${k}`));
+      else if (schema.additionalProperties === false) out.push(`${path}.${k}: not allowed`);
+    }
+  }
+  return out;
+}
+
+// Models like to wrap JSON in ``` fences or add a sentence around it
+export function extractJSON(text) {
+  const s = String(text ?? "").trim().replace(/^```(?:json)?\s*/i, "").replace(/```\s*$/, "");
+  try { return JSON.parse(s); } catch { /* fall through */ }
+  const start = s.search(/[{[]/);
+  const end = Math.max(s.lastIndexOf("}"), s.lastIndexOf("]"));
+  if (start >= 0 && end > start) {
+    try { return JSON.parse(s.slice(start, end + 1)); } catch { /* fall through */ }
+  }
+  throw aiError("Reply is not JSON", "invalid_json", { reply: s.slice(0, 500) });
+}
+
+// Shared by the real and the stub client: parse, validate, and on failure ask again with the problems
+async function chatJSONWith(complete, { system, prompt, schema, retries }) {
+  const messages = [
+    ...(system ? [{ role: "system", content: system }] : []),
+    { role: "user", content: prompt },
+  ];
+  let lastErr = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const reply = await complete(messages, schema);
+    try {
+      const data = typeof reply === "string" ? extractJSON(reply) : reply;
+      const problems = validateSchema(schema, data);
+      if (problems.length) throw aiError(`Reply does not match the schema: ${problems.slice(0, 5).join("; ")}`, "schema", { problems });
+      return data;
+    } catch (err) {
+      lastErr = err;
+      messages.push(
+        { role: "assistant", content: typeof reply === "string" ? reply : JSON.stringify(reply) },
+        { role: "user", content: `That reply was rejected (${err.message}). Answer again with JSON only, matching the schema.` }
+      );
+    }
+  }
+  throw Object.assign(lastErr, { attempts: retries + 1 });
+}
+
+/**
+ * @param {object} opts { baseUrl, model, timeoutMs, deadlineMs, retries = 2, temperature = 0.1, fetch }
+ */
+export function createClient(opts = {}) {
+  const {
+    baseUrl = BASE_URL, model = MODEL, timeoutMs = TIMEOUT_MS, deadlineMs = DEADLINE_MS, retries = 2, temperature = 0.1,
+    fetch: fetchImpl = globalThis.fetch,
+  } = opts;
+  const deadline = Date.now() + deadlineMs;
+  const pastDeadline = () => aiError(`Local AI did not finish within the ${deadlineMs} ms deadline`, "timeout", { deadline: true });
+
+  // One completion; transport problems are retried here, content problems in chatJSONWith
+  async function complete(messages, schema) {
+    let lastErr = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const backoff = attempt ? 500 * 2 ** (attempt - 1) : 0;
+      if (Date.now() + backoff >= deadline) throw pastDeadline();
+      if (backoff) await sleep(backoff);
+      const wait = Math.min(timeoutMs, deadline - Date.now());
+      const ctrl = new AbortController();
+      const timer = setTimeout(() => ctrl.abort(), wait);
+      try {
+        const r = await fetchImpl(`${baseUrl}/v1/chat/completions`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: "Bearer lm-studio" },
+          body: JSON.stringify({
+            model,
+            messages,
+            temperature,
+            ...(schema ? { response_format: { type: "json_schema", json_schema: { name: "reply", schema } } } : {}),
+          }),
+          signal: ctrl.signal,
+        });
+        if (!r.ok) {
+          lastErr = aiError(`Local AI HTTP ${r.status}`, "http", { status: r.status });
+          if (r.status === 429 || r.status >= 500) continue;
+          throw lastErr;
+        }
+        const j = await r.json();
+        return j.choices?.[0]?.message?.content?.trim() || "";
+      } catch (err) {
+        if (err.code === "http") throw err;
+        if (err.name === "AbortError" && wait < timeoutMs) throw pastDeadline();
+        lastErr = err.name === "AbortError"
+          ? aiError(`Local AI did not answer within ${timeoutMs} ms`, "timeout")
+          : aiError(`Local AI unreachable: ${err.message}`, "network");
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    throw Object.assign(lastErr, { attempts: retries + 1 });
+  }
+
+  return {
+    model,
+    chat: (prompt) => complete([{ role: "user", content: prompt }]),
+    chatJSON: ({ system, prompt, schema }) => chatJSONWith(complete, { system, prompt, schema, retries }),
+  };
+}
+
+/**
+ * Deterministic client for tests / LOCAL_AI_STUB=1: `respond({ messages, schema })` returns the
+ * reply (object or string). Replies go through the same parsing and schema checks as the real one.
+ */
+export function stubClient(respond = () => ({}), { retries = 1 } = {}) {
+  const calls = [];
+  const complete = async (messages, schema) => {
+    calls.push(messages.map((m) => ({ ...m })));
+    return respond({ messages, schema });
+  };
+  return {
+    model: "stub",
+    calls,
+    chat: (prompt) => complete([{ role: "user", content: prompt }]),
+    chatJSON: ({ system, prompt, schema }) => chatJSONWith(complete, { system, prompt, schema, retries }),
+  };
+}
+
+// What the Netlify functions use: the real server, or the stub when LOCAL_AI_STUB=1 (tests / no GPU)
+export function clientFromEnv(stubRespond) {
+  return process.env.LOCAL_AI_STUB === "1" ? stubClient(stubRespond) : createClient();
+}
+
+// Kept for existing callers: one prompt, plain-text answer
 export async function chat(prompt) {
-  const r = await fetch(`${BASE_URL}/v1/chat/completions`, {
-    method: "POST",
-    headers: {"Content-Type":"application/json","Authorization":"Bearer lm-studio"},
-    body: JSON.stringify({ model: "local-model", messages:[{role:"user",content:prompt}], temperature:0.2 })
-  });
-  const j = await r.json();
-  return j.choices?.[0]?.message?.content?.trim() || "";
+  return createClient().chat(prompt);
 }
@@ -0,0 +1,98 @@
+// lib/auth.mjs
+// Caller identity for the Netlify functions. Pages send the Supabase Auth access token
+// (lib/supabase_client.mjs authFetch); the functions still talk to PostgREST with the
+// service role, so they must check the role and the work order assignment themselves.
+// Roles and assignments: sql/012_auth_roles.sql
+//
+//   const { auth, denied } = await authorize(req, { roles: ["admin", "pm"] });
+//   if (denied) return denied;
+//   if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+//
+// Ids from the body or the query string go straight into PostgREST filters, so the functions refuse
+// anything but a uuid up front (invalidIds) before using them, access check included.
+
+import { json, supaEnv, select } from "./supabase_rest.mjs";
+
+export const ROLES = ["admin", "pm", "technician", "client"];
+export const STAFF = ["admin", "pm", "technician"];
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+export const isUuid = (v) => typeof v === "string" && UUID_RE.test(v);
+
+/**
+ * 400 for the first of `names` that is present but not a uuid (or, for an array, not all uuids); null when fine.
+ * @param {URLSearchParams|object} source   query parameters or a JSON body
+ * @param {string[]} names
+ */
+export function invalidIds(source, names) {
+  for (const name of names) {
+    const v = typeof source?.get === "function" ? source.get(name) : source?.[name];
+    if (v == null || v === "") continue;
+    if (Array.isArray(v) ? !v.every(isUuid) : !isUuid(v)) return json({ error: `${name} must be ${Array.isArray(v) ? "uuids" : "a uuid"}` }, 400);
+  }
+  return null;
+}
+
+function bearer(req) {
+  const h = typeof req.headers?.get === "function"
+    ? req.headers.get("authorization")
+    : req.headers?.authorization || req.headers?.Authorization;
+  const m = /^Bearer\s+(.+)$/i.exec(h || "");
+  return m ? m[1] : null;
+}
+
+// Supabase Auth validates the token (signature + expiry); we only read the user back.
+async function userFromToken(token) {
+  const { SUPABASE_URL, SRK } = supaEnv();
+  const res = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
+    headers: { apikey: SRK, Authorization: `Bearer ${token}` },
+  });
+  if (!res.ok) return null;
+  return res.json();
+}
+
+/**
+ * @param {Request|object} req   v2 Request, or a v1 event (headers object)
+ * @param {{ roles?: string[] }} opts
+ * @returns {Promise<{ auth?: { user, profile, role, actor }, denied?: Response }>}
+ */
+export async function authorize(req, { roles = ROLES } = {}) {
+  const token = bearer(req);
+  if (!token) return { denied: json({ error: "Sign in required" }, 401) };
+  const user = await userFromToken(token);
+  if (!user?.id) return { denied: json({ error: "Session expired, sign in again" }, 401) };
+
+  const [profile] = await select("profiles", `select=id,email,full_name,role&id=eq.${user.id}`);
+  if (!profile) return { denied: json({ error: "No role assigned to this account" }, 403) };
+  if (!roles.includes(profile.role)) {
+    return { denied: json({ error: `Not allowed for role ${profile.role}` }, 403) };
+  }
+  return {
+    auth: { user, profile, role: profile.role, actor: profile.full_name || profile.email || user.email },
+  };
+}
+
+export const forbidden = () => json({ error: "You are not assigned to this work order" }, 403);
+
+// Admins see everything; everyone else only work orders they are a member of.
+export async function canAccessWorkOrder(auth, work_order_id) {
+  if (!isUuid(work_order_id)) return false;
+  if (auth.role === "admin") return true;
+  const rows = await select(
+    "work_order_members",
+    `select=work_order_id&work_order_id=eq.${work_order_id}&user_id=eq.${auth.user.id}&limit=1`
+  );
+  return rows.length > 0;
+}
+
+// Of the given ids, the ones the caller may see
+export async function accessibleWorkOrders(auth, ids) {
+  ids = ids.filter(isUuid);
+  if (auth.role === "admin" || !ids.length) return ids;
+  const rows = await select(
+    "work_order_members",
+    `select=work_order_id&user_id=eq.${auth.user.id}&work_order_id=in.(${ids.join(",")})`
+  );
+  const ok = new Set(rows.map((r) => r.work_order_id));
+  return ids.filter((id) => ok.has(id));
+}
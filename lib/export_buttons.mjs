@@ -0,0 +1,64 @@
+// lib/export_buttons.mjs
+// "Download XLSX / CSV" controls for one work order (receive, punchlist, walkthrough).
+// Files come from netlify/functions/export_work_order.js, fetched with the user's token.
+//
+// Usage (inside a page's <script type="module">):
+//   import { mountExportButtons } from "./lib/export_buttons.mjs";
+//   mountExportButtons(document.getElementById("exportHost"), () => woSelect.value, { sheet: "variance" });
+
+import { downloadWithAuth } from "./supabase_client.mjs";
+
+const ENDPOINT = "/.netlify/functions/export_work_order";
+
+const SHEETS = [
+  ["manifest", "Manifest items"],
+  ["rooms", "Expected vs received"],
+  ["variance", "Variance (claim)"],
+  ["receipts", "Receipts & serials"],
+  ["punchlist", "Punchlist items"],
+  ["photos", "Photos index"],
+];
+
+export function exportUrl(work_order_id, { format = "xlsx", sheet = "variance" } = {}) {
+  const q = new URLSearchParams({ work_order_id, format });
+  if (format === "csv") q.set("sheet", sheet);
+  return `${ENDPOINT}?${q}`;
+}
+
+/**
+ * @param {HTMLElement} host
+ * @param {() => string} getWorkOrderId  current selection ("" when none)
+ * @param {{ sheet?: string }} opts      CSV sheet preselected for this page
+ */
+export function mountExportButtons(host, getWorkOrderId, { sheet = "variance" } = {}) {
+  host.innerHTML = `
+    <button type="button" data-x="xlsx">Download XLSX</button>
+    <select data-x="sheet" aria-label="CSV sheet">
+      ${SHEETS.map(([k, label]) => `<option value="${k}"${k === sheet ? " selected" : ""}>${label}</option>`).join("")}
+    </select>
+    <button type="button" data-x="csv">Download CSV</button>`;
+  host.style.display = "inline-flex";
+  host.style.gap = "6px";
+  host.style.alignItems = "center";
+
+  const sheetSel = host.querySelector('[data-x="sheet"]');
+  const buttons = host.querySelectorAll("button");
+  const sync = () => {
+    const none = !getWorkOrderId();
+    buttons.forEach((b) => { b.disabled = none; });
+  };
+
+  host.addEventListener("click", (e) => {
+    const format = e.target?.dataset?.x;
+    if (format !== "xlsx" && format !== "csv") return;
+    const id = getWorkOrderId();
+    if (!id) return;
+    e.target.disabled = true;
+    downloadWithAuth(exportUrl(id, { format, sheet: sheetSel.value }))
+      .catch((err) => alert(`Export failed: ${err.message}`))
+      .finally(() => { e.target.disabled = false; });
+  });
+
+  sync();
+  return { refresh: sync };
+}
@@ -0,0 +1,115 @@
+// lib/manifest_diff.mjs
+// Line-level diff between the current work_order_items of a job and an incoming manifest.
+// Pure functions: used by netlify/functions/import_manifest.js and safe to import in the browser.
+//
+// Change types:
+//   added        – line only in the new manifest
+//   removed      – line only in the current items
+//   qty_changed  – same product + room, different qty_ordered
+//   room_moved   – same product, now in a different room (qty may change too)
+
+export const ITEM_FIELDS = ["line_no", "manufacturer", "model", "sku", "room", "qty_ordered", "description", "notes", "unit_cost"];
+
+const canon = (s) => String(s ?? "").trim().toUpperCase().replace(/\s+/g, " ");
+
+// Product identity ignores room; falls back to SKU when there is no model.
+export function productKey(r) {
+  const model = canon(r.model);
+  return model ? `${canon(r.manufacturer)}|${model}` : `SKU|${canon(r.sku)}`;
+}
+
+export function toItem(r) {
+  const str = (v) => {
+    const s = String(v ?? "").trim();
+    return s === "" ? null : s;
+  };
+  const int = (v) => {
+    if (v === null || v === undefined || v === "") return null;
+    const n = Number(String(v).replace(/[^0-9.-]/g, ""));
+    return Number.isFinite(n) ? Math.trunc(n) : null;
+  };
+  return {
+    line_no: int(r.line_no),
+    manufacturer: str(r.manufacturer),
+    model: str(r.model),
+    sku: str(r.sku),
+    room: str(r.room),
+    qty_ordered: int(r.qty_ordered ?? r.qty) ?? 0,
+    description: str(r.description),
+    notes: str(r.notes),
+    unit_cost: r.unit_cost === null || r.unit_cost === undefined || r.unit_cost === "" ? null : Number(r.unit_cost),
+  };
+}
+
+function groupBy(rows, keyFn) {
+  const m = new Map();
+  rows.forEach((r) => {
+    const k = keyFn(r);
+    if (!m.has(k)) m.set(k, []);
+    m.get(k).push(r);
+  });
+  return m;
+}
+
+function pick(r) {
+  return Object.fromEntries(ITEM_FIELDS.map((f) => [f, r[f] ?? null]));
+}
+
+/**
+ * @param {Array} current  rows from work_order_items (must include id)
+ * @param {Array} incoming normalized manifest rows
+ * @returns {{ changes: Array, summary: object }}
+ */
+export function diffManifest(current, incoming) {
+  const cur = groupBy(current || [], productKey);
+  const inc = groupBy((incoming || []).map(toItem), productKey);
+  const changes = [];
+  let unchanged = 0;
+
+  const push = (type, before, after) => {
+    changes.push({
+      change_id: `c${changes.length + 1}`,
+      type,
+      work_order_item_id: before?.id ?? null,
+      manufacturer: (after || before).manufacturer ?? null,
+      model: (after || before).model ?? null,
+      before: before ? pick(before) : null,
+      after: after ? pick(after) : null,
+    });
+  };
+
+  const keys = new Set([...cur.keys(), ...inc.keys()]);
+  for (const k of keys) {
+    const left = [...(cur.get(k) || [])];
+    const right = [...(inc.get(k) || [])];
+
+    // 1) same room on both sides
+    for (let i = right.length - 1; i >= 0; i--) {
+      const j = left.findIndex((c) => canon(c.room) === canon(right[i].room));
+      if (j < 0) continue;
+      const [c] = left.splice(j, 1);
+      const [n] = right.splice(i, 1);
+      if (Number(c.qty_ordered ?? 0) !== Number(n.qty_ordered ?? 0)) push("qty_changed", c, n);
+      else unchanged++;
+    }
+
+    // 2) leftovers of the same product pair up as room moves
+    while (left.length && right.length) push("room_moved", left.shift(), right.shift());
+
+    // 3) the rest are plain adds / removes
+    right.forEach((n) => push("added", null, n));
+    left.forEach((c) => push("removed", c, null));
+  }
+
+  const count = (t) => changes.filter((c) => c.type === t).length;
+  return {
+    changes,
+    summary: {
+      added: count("added"),
+      removed: count("removed"),
+      qty_changed: count("qty_changed"),
+      room_moved: count("room_moved"),
+      unchanged,
+    },
+  };
+}
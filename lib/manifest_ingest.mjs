@@ -0,0 +1,143 @@
+// lib/manifest_ingest.mjs
+// Any distributor file -> header-keyed rows, the same shape readWorkbook() gives manifest.html:
+//   { format, headers, rows: [{ "Model #": ..., _sheet }], sheets: [{ name, headerRow, rows }], warnings }
+// Formats: xlsx / xls, csv, json, and text-based PDF (purchase orders, packing slips). Every format
+// goes through findHeaderRow(), so the saved mapping profiles and guessMapping() work unchanged.
+// Server-side (netlify/functions/ingest_manifest.js).
+
+import * as XLSX from "xlsx";
+import { findHeaderRow, gridRows, readWorkbook, HEADER_ALIASES } from "./manifest_mapping.mjs";
+import { extractPdfText, textLines } from "./pdf_text.mjs";
+
+export const FORMATS = ["pdf", "xlsx", "csv", "json"];
+
+const EXT = { pdf: "pdf", xlsx: "xlsx", xlsm: "xlsx", xls: "xlsx", csv: "csv", txt: "csv", tsv: "csv", json: "json" };
+
+/** Magic bytes first (a .csv that is really an .xlsx happens), then the extension, then the content type. */
+export function detectFormat(bytes, { filename = "", contentType = "" } = {}) {
+  const head = Buffer.from(bytes.subarray(0, 8)).toString("latin1");
+  if (head.startsWith("%PDF")) return "pdf";
+  if (head.startsWith("PK") || head.startsWith("\xD0\xCF\x11\xE0")) return "xlsx";
+  const ext = EXT[String(filename).toLowerCase().split(".").pop()];
+  if (ext) return ext;
+  if (/json/i.test(contentType)) return "json";
+  if (/pdf/i.test(contentType)) return "pdf";
+  if (/spreadsheet|excel/i.test(contentType)) return "xlsx";
+  const first = Buffer.from(bytes.subarray(0, 64)).toString("utf8").trimStart()[0];
+  return first === "{" || first === "[" ? "json" : "csv";
+}
+
+// ---------- spreadsheets ----------
+function fromWorkbook(bytes, format) {
+  // raw: CSV cells stay text, so SKUs like "00123" keep their zeros
+  const wb = XLSX.read(bytes, { type: "buffer", raw: format === "csv" });
+  return readWorkbook(XLSX, wb);
+}
+
+// ---------- JSON: [ {...} ], [ [...] ], or { rows | items | lines: [...] } ----------
+function fromJson(bytes) {
+  let data = JSON.parse(Buffer.from(bytes).toString("utf8").replace(/^\uFEFF/, ""));
+  if (data && !Array.isArray(data)) data = data.rows || data.items || data.lines || data.data || [];
+  if (!Array.isArray(data)) data = [];
+  if (data.every(Array.isArray)) {
+    const sheet = gridRows(data, "JSON");
+    return sheet
+      ? { headers: sheet.headers, rows: sheet.rows, sheets: [{ name: "JSON", headerRow: sheet.headerRow, rows: sheet.rows.length }] }
+      : { headers: [], rows: [], sheets: [] };
+  }
+  const objects = data.filter((r) => r && typeof r === "object");
+  const headers = [...new Set(objects.flatMap((r) => Object.keys(r)))].filter((h) => !h.startsWith("_"));
+  if (findHeaderRow([headers]) < 0) return { headers, rows: [], sheets: [] };
+  const rows = objects.map((r) => ({ ...Object.fromEntries(headers.map((h) => [h, r[h] ?? ""])), _sheet: "JSON" }));
+  return { headers, rows, sheets: [{ name: "JSON", headerRow: -1, rows: rows.length }] };
+}
+
+// ---------- PDF ----------
+const FOOTER = /^(sub-?total|grand total|total|sales tax|tax|freight|shipping|balance due)\b/i;
+const KEY_ALIASES = [...HEADER_ALIASES.qty, ...HEADER_ALIASES.model];
+const isKeyHeader = (name) => KEY_ALIASES.some((a) => String(name).toLowerCase().includes(a));
+
+// Column for a cell: the header span it overlaps most (a header reaches to the next one), else the nearest
+function columnFor(columns, cell) {
+  let best = null;
+  let bestScore = 0;
+  columns.forEach((col, k) => {
+    const right = k + 1 < columns.length ? columns[k + 1].x : Infinity;
+    const overlap = Math.min(cell.x2, right) - Math.max(cell.x, col.x);
+    if (overlap > bestScore) { best = col; bestScore = overlap; }
+  });
+  if (best) return best;
+  const mid = (cell.x + cell.x2) / 2;
+  return columns.reduce((a, b) => (Math.abs((a.x + a.x2) / 2 - mid) <= Math.abs((b.x + b.x2) / 2 - mid) ? a : b));
+}
+
+/**
+ * Line-item table(s) from positioned PDF text: the header row is found per page with findHeaderRow()
+ * (pages without one reuse the previous page's columns), lines that fill no qty / model column are
+ * wrapped text of the line above, and a totals line ends the page's table.
+ */
+export function pdfTableRows(pages) {
+  const headers = [];
+  const rows = [];
+  const sheets = [];
+  let columns = null;
+  for (const p of pages) {
+    const lines = textLines(p.items);
+    const grid = lines.map((l) => l.cells.map((c) => c.text));
+    const hdrIdx = findHeaderRow(grid);
+    if (hdrIdx >= 0) {
+      columns = lines[hdrIdx].cells.map((c) => ({ name: c.text, x: c.x, x2: c.x2 }));
+      columns.forEach((c) => !headers.includes(c.name) && headers.push(c.name));
+    }
+    if (!columns) continue;
+
+    const name = `Page ${p.page}`;
+    let count = 0;
+    let last = null;
+    let lastLine = null;
+    for (const line of lines.slice(hdrIdx + 1)) {
+      if (line.cells.some((c) => FOOTER.test(c.text))) break;
+      const obj = {};
+      for (const cell of line.cells) {
+        const col = columnFor(columns, cell).name;
+        obj[col] = obj[col] ? `${obj[col]} ${cell.text}` : cell.text;
+      }
+      if (columns.some((c) => isKeyHeader(c.name) && obj[c.name])) {
+        last = { _sheet: name, ...obj };
+        rows.push(last);
+        count++;
+      } else if (last && lastLine && lastLine.y - line.y <= line.size * 1.8) {
+        // Wrapped description / notes under the line above
+        for (const [k, v] of Object.entries(obj)) last[k] = last[k] ? `${last[k]} ${v}` : v;
+      } else {
+        last = null;
+      }
+      lastLine = line;
+    }
+    sheets.push({ name, headerRow: hdrIdx, rows: count });
+  }
+  return { headers, rows, sheets };
+}
+
+/**
+ * @param {Uint8Array|Buffer} bytes
+ * @param {{ filename?: string, contentType?: string }} meta
+ */
+export async function ingestFile(bytes, meta = {}) {
+  const buf = Buffer.from(bytes);
+  const format = detectFormat(buf, meta);
+  const warnings = [];
+  let out;
+  if (format === "pdf") {
+    const pages = await extractPdfText(buf);
+    out = pdfTableRows(pages);
+    if (!pages.some((p) => p.items.length)) warnings.push("The PDF has no text layer (scanned?); export it as a spreadsheet or text PDF");
+    out.pages = pages.length;
+  } else if (format === "json") {
+    out = fromJson(buf);
+  } else {
+    out = fromWorkbook(buf, format);
+  }
+  if (!out.rows.length && !warnings.length) warnings.push("No header row with at least two of manufacturer / model / room / qty was found");
+  return { format, ...out, warnings };
+}
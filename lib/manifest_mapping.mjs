@@ -0,0 +1,233 @@
+// lib/manifest_mapping.mjs
+// Header detection, column-mapping profiles and per-column transforms for vendor manifests.
+// Pure functions (no DOM, no Supabase) so manifest.html and the Netlify functions share them.
+//
+// A profile (row in manifest_mapping_profiles) looks like:
+//   {
+//     name: "ADI weekly", vendor: "ADI",
+//     header_fingerprint: ["mfg", "model #", "location/room", ...],
+//     room_from_sheet: false,                 // multi-sheet books with one sheet per room
+//     sheets: null,                           // null = every sheet with a header row, else list of names
+//     mapping: {
+//       model:     { column: "Model #", transform: [{ type: "split", into: ["manufacturer", "model"], sep: " " }] },
+//       qty:       { column: "Qty Ordered", transform: [{ type: "multiply", factor: 1 }] },
+//       unit_cost: { column: "Cost", transform: [{ type: "number" }, { type: "multiply", factor: 0.01 }] },
+//       ...
+//     }
+//   }
+
+export const FIELDS = ["manufacturer", "model", "room", "qty", "description", "sku", "line_no", "notes", "unit_cost"];
+
+export const HEADER_ALIASES = {
+  manufacturer: ["manufacturer", "mfr", "mfg", "brand", "maker", "vendor"],
+  model: ["model", "model #", "model no", "model#", "mdl"],
+  room: ["room", "location", "area", "space"],
+  qty: ["qty", "quantity", "qnty", "qty ordered", "ordered"],
+  description: ["description", "desc", "product"],
+  sku: ["sku", "item", "part"],
+  line_no: ["line #", "line", "line no", "lineno"],
+  notes: ["notes", "note", "comment", "comments", "remarks"],
+  unit_cost: ["unit cost", "cost", "unit price", "price"],
+};
+
+export const TRANSFORMS = {
+  trim: (v) => String(v ?? "").trim(),
+  upper: (v) => String(v ?? "").toUpperCase(),
+  lower: (v) => String(v ?? "").toLowerCase(),
+  number: (v) => {
+    const n = Number(String(v ?? "").replace(/[^0-9.-]/g, ""));
+    return Number.isFinite(n) ? n : "";
+  },
+  multiply: (v, t) => {
+    const n = Number(String(v ?? "").replace(/[^0-9.-]/g, ""));
+    return Number.isFinite(n) && String(v ?? "").trim() !== "" ? n * Number(t.factor ?? 1) : v;
+  },
+  // "Sony XBR55X90K" -> { manufacturer: "Sony", model: "XBR55X90K" }; handled in applyField
+  split: (v) => v,
+};
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+// Detect header row intelligently: first row that hits at least two of the core columns.
+export function findHeaderRow(rows, maxScan = 200) {
+  const core = ["manufacturer", "model", "room", "qty"];
+  const scoreRow = (cells) => {
+    const texts = (cells || []).map(norm);
+    const hit = (aliases) => aliases.some((a) => texts.some((t) => t.includes(a)));
+    return core.filter((k) => hit(HEADER_ALIASES[k])).length;
+  };
+  for (let i = 0; i < Math.min(rows.length, maxScan); i++) {
+    if (scoreRow(rows[i]) >= 2) return i;
+  }
+  return -1;
+}
+
+// Best-effort default mapping from the aliases (exact alias match wins over substring).
+export function guessMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  for (const f of FIELDS) {
+    const aliases = HEADER_ALIASES[f];
+    const exact = headers.find((h) => !used.has(h) && aliases.includes(norm(h)));
+    const loose = exact || headers.find((h) => !used.has(h) && aliases.some((a) => norm(h).includes(a)));
+    if (loose) {
+      mapping[f] = { column: loose, transform: [{ type: "trim" }] };
+      used.add(loose);
+    }
+  }
+  return mapping;
+}
+
+export function fingerprint(headers) {
+  return [...new Set(headers.map(norm).filter(Boolean))].sort();
+}
+
+// Jaccard similarity of header sets; profiles at or above `min` are considered a match.
+export function matchProfile(headers, profiles, min = 0.8) {
+  const fp = new Set(fingerprint(headers));
+  let best = null;
+  for (const p of profiles || []) {
+    const other = new Set(p.header_fingerprint || []);
+    const inter = [...fp].filter((h) => other.has(h)).length;
+    const union = new Set([...fp, ...other]).size || 1;
+    const score = inter / union;
+    if (score >= min && (!best || score > best.score)) best = { profile: p, score };
+  }
+  return best;
+}
+
+function applyField(out, field, raw, transforms) {
+  let v = raw;
+  for (const t of transforms || []) {
+    if (t.type === "split") {
+      const s = String(v ?? "").trim();
+      const sep = t.sep || " ";
+      const at = s.indexOf(sep);
+      const [a, b] = at < 0 ? ["", s] : [s.slice(0, at), s.slice(at + sep.length)];
+      const [first, second] = t.into || ["manufacturer", "model"];
+      // Don't clobber a value another column already provided for the first part
+      if (a && !out[first]) out[first] = a.trim();
+      out[second] = b.trim();
+      return;
+    }
+    const fn = TRANSFORMS[t.type];
+    if (fn) v = fn(v, t);
+  }
+  out[field] = v;
+}
+
+/**
+ * Turn header-keyed sheet rows into canonical manifest rows using a profile's mapping.
+ * @param {Array<object>} rows  [{ "Model #": "...", ..., _sheet: "Sheet1" }]
+ * @param {object} profile      { mapping, room_from_sheet }
+ */
+export function applyMapping(rows, profile) {
+  const mapping = profile?.mapping || {};
+  return rows.map((r) => {
+    const out = {};
+    // split targets (e.g. manufacturer from "Model #") go last so a real MFG column wins
+    const entries = Object.entries(mapping).sort(([, a], [, b]) =>
+      Number((a.transform || []).some((t) => t.type === "split")) - Number((b.transform || []).some((t) => t.type === "split")));
+    for (const [field, spec] of entries) {
+      if (!spec?.column) continue;
+      applyField(out, field, r[spec.column], spec.transform);
+    }
+    if (profile?.room_from_sheet && !String(out.room ?? "").trim() && r._sheet) out.room = r._sheet;
+    const str = (v) => String(v ?? "").trim();
+    const num = (v) => {
+      const n = Number(String(v ?? "").replace(/[^0-9.-]/g, ""));
+      return str(v) === "" || !Number.isFinite(n) ? null : n;
+    };
+    return {
+      manufacturer: str(out.manufacturer),
+      model: str(out.model),
+      room: str(out.room),
+      qty: num(out.qty) === null ? NaN : Math.trunc(num(out.qty)),
+      description: str(out.description),
+      sku: str(out.sku),
+      line_no: num(out.line_no) === null ? null : Math.trunc(num(out.line_no)),
+      notes: str(out.notes),
+      unit_cost: num(out.unit_cost),
+      _sheet: r._sheet,
+    };
+  });
+}
+
+/**
+ * Read every sheet (or the profile's `sheets`) from a SheetJS workbook into header-keyed rows.
+ * @param {object} XLSX  the SheetJS module (browser CDN or the npm package)
+ * @returns {{ headers: string[], rows: object[], sheets: Array<{name, headerRow, rows}> }}
+ */
+export function readWorkbook(XLSX, wb, { sheets = null } = {}) {
+  const headers = [];
+  const rows = [];
+  const found = [];
+  for (const name of wb.SheetNames) {
+    if (sheets && !sheets.includes(name)) continue;
+    const grid = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: "" });
+    const sheet = gridRows(grid, name);
+    if (!sheet) continue;
+    sheet.headers.forEach((h) => !headers.includes(h) && headers.push(h));
+    rows.push(...sheet.rows);
+    found.push({ name, headerRow: sheet.headerRow, rows: sheet.rows.length });
+  }
+  return { headers, rows, sheets: found };
+}
+
+/**
+ * One grid (array of row arrays) -> header-keyed rows below its detected header row.
+ * @returns {null | { headers: string[], headerRow: number, rows: object[] }}  null when no header row is found
+ */
+export function gridRows(grid, name) {
+  const hdrIdx = findHeaderRow(grid);
+  if (hdrIdx < 0) return null;
+  const hdr = grid[hdrIdx].map((h) => String(h ?? "").trim());
+  const body = grid.slice(hdrIdx + 1).filter((r) => (r || []).some((c) => String(c ?? "").trim() !== ""));
+  return {
+    headers: hdr.filter(Boolean),
+    headerRow: hdrIdx,
+    rows: body.map((r) => {
+      const obj = { _sheet: name };
+      hdr.forEach((h, i) => { if (h) obj[h] = r[i]; });
+      return obj;
+    }),
+  };
+}
+
+// Column headers for exports when there is no profile: the layout of sample_manifest.csv.
+export const VENDOR_HEADERS = {
+  manufacturer: "MFG",
+  model: "Model #",
+  room: "Location/Room",
+  qty: "Qty Ordered",
+  description: "Item Description",
+  sku: "Item No",
+  line_no: "Line #",
+  notes: "Comments",
+  unit_cost: "Unit Cost",
+};
+
+/**
+ * Reverse of applyMapping for exports: which header each field goes back under, so a file
+ * can be returned to the distributor in their own layout. Split columns are re-joined
+ * ("Sony XBR55X90K"); numeric transforms (multiply, …) are not reversed.
+ * @param {object|null} profile  manifest_mapping_profiles row
+ * @returns {Array<{ header: string, fields: string[], sep?: string }>} in FIELDS order
+ */
+export function exportColumns(profile) {
+  const mapping = profile?.mapping || {};
+  const cols = [];
+  const taken = new Set();
+  for (const spec of Object.values(mapping)) {
+    const split = (spec?.transform || []).find((t) => t.type === "split");
+    if (!split || !spec.column) continue;
+    const into = split.into || ["manufacturer", "model"];
+    cols.push({ header: spec.column, fields: into, sep: split.sep || " " });
+    into.forEach((f) => taken.add(f));
+  }
+  for (const f of FIELDS) {
+    if (taken.has(f)) continue;
+    cols.push({ header: mapping[f]?.column || VENDOR_HEADERS[f], fields: [f] });
+  }
+  return cols.sort((a, b) => FIELDS.indexOf(a.fields[0]) - FIELDS.indexOf(b.fields[0]));
+}
@@ -0,0 +1,301 @@
+// lib/manifest_normalizer.mjs
+// Cleanup suggestions for mapped manifest rows, before they become a revision (manifest.html).
+// Vendors spell the same brand and room several ways ("Sony Electronics", "SONY"; "MBR", "Master Bed"),
+// which turns one product into several variance lines in receive.html.
+//
+// Deterministic rules run first; what they cannot settle goes to the local LLM (ai/local_ai_client.mjs):
+//   - manufacturer aliases        -> canonical brand name
+//   - missing manufacturer        -> from the model number (known prefixes, other rows, the job's items)
+//   - free-text location          -> one of the job's canonical rooms
+//   - missing description         -> LLM only
+//
+// Each suggestion: { row, line_no, field, from, to, confidence (0..1), reason, source: "rule" | "ai" }
+// `row` is 1-based in the uploaded order, like lib/manifest_validation.mjs. Nothing is changed until
+// the page applies the accepted ones with applySuggestions().
+
+const str = (v) => String(v ?? "").trim();
+const key = (s) => str(s).toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+// Canonical brand -> spellings seen on distributor manifests (compared with key())
+export const MANUFACTURER_ALIASES = {
+  Sony: ["sony electronics", "sony corp", "sony corporation", "sony electronics inc"],
+  Samsung: ["samsung electronics", "samsung electronics america"],
+  LG: ["lg electronics", "lge", "lg electronics usa"],
+  Sonos: ["sonos inc"],
+  Bose: ["bose corp", "bose corporation"],
+  Netgear: ["netgear inc", "orbi"],
+  Ubiquiti: ["ubiquiti networks", "ubiquiti inc", "ubnt", "unifi"],
+  "Control4": ["control 4", "snapone", "snap one", "snap av"],
+  Crestron: ["crestron electronics"],
+  Araknis: ["araknis networks"],
+  Episode: ["episode speakers"],
+  Denon: ["denon electronics"],
+  Yamaha: ["yamaha electronics", "yamaha corp"],
+  Vizio: ["vizio inc"],
+  TCL: ["tcl electronics"],
+  Hisense: ["hisense usa"],
+  Apple: ["apple inc"],
+  Google: ["google llc", "google nest", "nest"],
+  Ring: ["ring llc"],
+  Lutron: ["lutron electronics"],
+};
+
+// Model-number prefixes that identify the maker
+export const MODEL_PREFIXES = [
+  [/^(QN|UN|HW-|SM-|LS\d)/i, "Samsung"],
+  [/^(XR-?|KD-?|XBR-?|HT-|SRS-|STR-|BRAVIA)/i, "Sony"],
+  [/^(OLED|\d{2}(UQ|UR|NANO|QNED))/i, "LG"],
+  [/^(RBR|RBS|RBK|RAX|GS\d{3})/i, "Netgear"],
+  [/^(UAP|U6-|U7-|USW|UDM|UCK|UVC)/i, "Ubiquiti"],
+  [/^(AN-\d|AN-?\d{3})/i, "Araknis"],
+  [/^(C4-|CA-|EA-)/i, "Control4"],
+  [/^(DM-|TSW-|CP4|MC4)/i, "Crestron"],
+  [/^(AVR-|HEOS)/i, "Denon"],
+  [/^(RX-V|RX-A|YAS-)/i, "Yamaha"],
+  [/^(RRD-|RRST-|PD-\d|CAS?-\d)/i, "Lutron"],
+];
+
+// Shorthand seen in "Location" columns, expanded before comparing to the job's rooms
+export const ROOM_ABBREVIATIONS = {
+  mbr: "master bedroom", mstr: "master", br: "bedroom", bdrm: "bedroom", bed: "bedroom",
+  lr: "living room", liv: "living", fr: "family room", fam: "family", dr: "dining room", din: "dining",
+  kit: "kitchen", ktchn: "kitchen", ba: "bathroom", bth: "bathroom", bath: "bathroom", mba: "master bathroom",
+  gar: "garage", ofc: "office", off: "office", bsmt: "basement", rec: "recreation", ent: "entertainment",
+  th: "theater", hwy: "hallway", hall: "hallway", ldry: "laundry", eqp: "equipment", rm: "room", fl: "floor",
+};
+
+const aliasIndex = new Map();
+for (const [brand, names] of Object.entries(MANUFACTURER_ALIASES)) {
+  aliasIndex.set(key(brand), brand);
+  names.forEach((n) => aliasIndex.set(key(n), brand));
+}
+
+// "Sony Electronics, Inc." -> "sony"
+const CORP_WORDS = /\b(inc|corp|corporation|co|company|ltd|llc|usa|america|americas|international|intl|electronics|group)\b\.?/gi;
+const brandKey = (s) => key(str(s).replace(CORP_WORDS, " "));
+
+export function canonicalManufacturer(name) {
+  return aliasIndex.get(key(name)) || aliasIndex.get(brandKey(name)) || null;
+}
+
+export function manufacturerFromModel(model) {
+  const m = str(model);
+  if (!m) return null;
+  const hit = MODEL_PREFIXES.find(([re]) => re.test(m));
+  return hit ? hit[1] : null;
+}
+
+const expandRoom = (s) => str(s).toLowerCase().replace(/#/g, " ").split(/[^a-z0-9]+/).filter(Boolean)
+  .map((w) => ROOM_ABBREVIATIONS[w] || w).join(" ");
+
+// Levenshtein ratio, 1 = identical
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Closest canonical room for a free-text location.
+ * @returns {{ room, confidence, reason } | null}  null when nothing is close enough
+ */
+export function matchRoom(text, rooms) {
+  const t = str(text);
+  if (!t || !rooms?.length) return null;
+  const exact = rooms.find((r) => r === t);
+  if (exact) return { room: exact, confidence: 1, reason: "exact" };
+  const byKey = rooms.find((r) => key(r) === key(t));
+  if (byKey) return { room: byKey, confidence: 0.97, reason: "same name, different case / punctuation" };
+  const expanded = key(expandRoom(t));
+  const byAbbr = rooms.find((r) => key(expandRoom(r)) === expanded);
+  if (byAbbr) return { room: byAbbr, confidence: 0.9, reason: `"${t}" is shorthand for "${byAbbr}"` };
+  let best = null;
+  for (const r of rooms) {
+    const s = similarity(expanded, key(expandRoom(r)));
+    if (!best || s > best.s) best = { r, s };
+  }
+  if (best && best.s >= 0.75) {
+    return { room: best.r, confidence: Math.round(best.s * 0.85 * 100) / 100, reason: `closest room name to "${t}"` };
+  }
+  return null;
+}
+
+// Model -> manufacturer from rows that have both (this upload + the job's current items)
+function learnedMakers(rows, known) {
+  const out = new Map();
+  for (const r of [...known, ...rows]) {
+    const m = key(r.model);
+    const maker = canonicalManufacturer(r.manufacturer) || str(r.manufacturer);
+    if (m && maker && !out.has(m)) out.set(m, maker);
+  }
+  return out;
+}
+
+/**
+ * Rule-based suggestions only (no network). Also reports which rows still need the LLM.
+ * @param {Array} rows           mapped rows ({ manufacturer, model, room, description, line_no, ... })
+ * @param {object} opts          { rooms: string[], known: Array<{ manufacturer, model }> }
+ */
+export function ruleSuggestions(rows, { rooms = [], known = [] } = {}) {
+  const suggestions = [];
+  const needsAi = new Map(); // row -> Set(field)
+  const makers = learnedMakers(rows, known);
+  const ask = (row, field) => {
+    if (!needsAi.has(row)) needsAi.set(row, new Set());
+    needsAi.get(row).add(field);
+  };
+
+  // Unknown brands spelled several ways in one file: suggest the most common spelling
+  const spellings = new Map();
+  rows.forEach((r) => {
+    const m = str(r.manufacturer);
+    if (!m || canonicalManufacturer(m)) return;
+    const k = brandKey(m);
+    if (!spellings.has(k)) spellings.set(k, new Map());
+    spellings.get(k).set(m, (spellings.get(k).get(m) || 0) + 1);
+  });
+  const commonSpelling = (m) => {
+    const counts = spellings.get(brandKey(m));
+    return counts ? [...counts].sort((a, b) => b[1] - a[1])[0][0] : m;
+  };
+
+  rows.forEach((r, i) => {
+    const row = i + 1;
+    const add = (field, to, confidence, reason) =>
+      suggestions.push({ row, line_no: r.line_no ?? null, field, from: str(r[field]), to, confidence, reason, source: "rule" });
+
+    const maker = str(r.manufacturer);
+    if (maker) {
+      const canon = canonicalManufacturer(maker);
+      if (canon && canon !== maker) add("manufacturer", canon, 0.95, `"${maker}" is an alias of ${canon}`);
+      else if (!canon && commonSpelling(maker) !== maker) {
+        add("manufacturer", commonSpelling(maker), 0.75, "same brand spelled differently elsewhere in this file");
+      }
+    } else if (str(r.model)) {
+      const learned = makers.get(key(r.model));
+      const fromPrefix = manufacturerFromModel(r.model);
+      if (learned) add("manufacturer", learned, 0.9, `model ${str(r.model)} is listed under ${learned} elsewhere`);
+      else if (fromPrefix) add("manufacturer", fromPrefix, 0.8, `${fromPrefix} model number pattern`);
+      else ask(row, "manufacturer");
+    }
+
+    if (str(r.room) && rooms.length) {
+      const hit = matchRoom(r.room, rooms);
+      if (!hit) ask(row, "room");
+      else if (hit.room !== str(r.room)) add("room", hit.room, hit.confidence, hit.reason);
+    }
+
+    if (!str(r.description) && (str(r.model) || str(r.sku))) ask(row, "description");
+  });
+
+  return { suggestions, needsAi };
+}
+
+// JSON schema the LLM reply must match (ai/local_ai_client.mjs validates it)
+export const AI_SCHEMA = {
+  type: "object",
+  required: ["items"],
+  properties: {
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["row"],
+        properties: {
+          row: { type: "integer", minimum: 1 },
+          manufacturer: { type: ["string", "null"] },
+          manufacturer_confidence: { type: "number", minimum: 0, maximum: 1 },
+          room: { type: ["string", "null"] },
+          room_confidence: { type: "number", minimum: 0, maximum: 1 },
+          description: { type: ["string", "null"], maxLength: 200 },
+          description_confidence: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+    },
+  },
+};
+
+const SYSTEM = `You clean up low-voltage / AV installation manifests from distributors.
+For each row you get, fill only the fields listed in "need":
+- manufacturer: the brand that makes the model number (short canonical name, e.g. "Sony", not "Sony Electronics Inc.").
+- room: the best match from the job's room list, copied exactly, or null when none fits.
+- description: a short product description (max 80 characters) based on the manufacturer and model.
+Give each value a confidence from 0 to 1. Use null with confidence 0 when you do not know.
+Reply with JSON only: {"items":[{"row":1,"manufacturer":"...","manufacturer_confidence":0.9,...}]}`;
+
+function aiPrompt(batch, rooms) {
+  return JSON.stringify({
+    rooms,
+    rows: batch.map(({ row, r, fields }) => ({
+      row, need: fields, manufacturer: str(r.manufacturer) || null, model: str(r.model) || null,
+      sku: str(r.sku) || null, location: str(r.room) || null, description: str(r.description) || null,
+    })),
+  });
+}
+
+/**
+ * Rules, then the LLM for what is left. The LLM is optional: without a client, or when it fails or runs
+ * past the client's deadline, the rule suggestions (and those of the batches already answered) still
+ * come back, with ai.error saying why.
+ * @param {object} opts { rooms, known, client, batchSize = 20, minConfidence = 0.5 }
+ * @returns {Promise<{ suggestions: Array, ai: { used: boolean, rows: number, error: string|null } }>}
+ */
+export async function suggestCleanups(rows, { rooms = [], known = [], client = null, batchSize = 20, minConfidence = 0.5 } = {}) {
+  const { suggestions, needsAi } = ruleSuggestions(rows, { rooms, known });
+  const ai = { used: false, rows: needsAi.size, error: null };
+  if (!client || !needsAi.size) return { suggestions: sortSuggestions(suggestions, minConfidence), ai };
+
+  const pending = [...needsAi].map(([row, fields]) => ({ row, r: rows[row - 1], fields: [...fields] }));
+  const roomSet = new Set(rooms);
+  try {
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      const asked = new Map(batch.map((b) => [b.row, b]));
+      const reply = await client.chatJSON({ system: SYSTEM, prompt: aiPrompt(batch, rooms), schema: AI_SCHEMA });
+      ai.used = true;
+      for (const it of reply.items) {
+        const b = asked.get(it.row);
+        if (!b) continue; // a row we did not ask about
+        for (const field of b.fields) {
+          const to = str(it[field]);
+          if (!to || to === str(b.r[field])) continue;
+          if (field === "room" && !roomSet.has(to)) continue; // must be one of the job's rooms
+          const value = field === "manufacturer" ? canonicalManufacturer(to) || to : to;
+          suggestions.push({
+            row: b.row, line_no: b.r.line_no ?? null, field, from: str(b.r[field]), to: value,
+            confidence: Number(it[`${field}_confidence`] ?? 0.5), reason: "local AI", source: "ai",
+          });
+        }
+      }
+    }
+  } catch (err) {
+    ai.error = err.message;
+  }
+  return { suggestions: sortSuggestions(suggestions, minConfidence), ai };
+}
+
+const FIELD_ORDER = ["manufacturer", "model", "room", "description"];
+function sortSuggestions(list, minConfidence) {
+  return list
+    .filter((s) => s.confidence >= minConfidence)
+    .sort((a, b) => a.row - b.row || FIELD_ORDER.indexOf(a.field) - FIELD_ORDER.indexOf(b.field));
+}
+
+// Copy of `rows` with the accepted suggestions written in
+export function applySuggestions(rows, accepted) {
+  const out = rows.map((r) => ({ ...r }));
+  for (const s of accepted || []) {
+    if (out[s.row - 1]) out[s.row - 1][s.field] = s.to;
+  }
+  return out;
+}
@@ -0,0 +1,102 @@
+// lib/manifest_validation.mjs
+// Row-level validation for manifest imports. Shared by manifest.html (live preview) and
+// netlify/functions/import_manifest.js (enforced before a revision is stored).
+//
+// Each issue: { row, line_no, field, code, severity: "error" | "warning", message }
+// `row` is 1-based in the uploaded order so it lines up with the preview table.
+
+const str = (v) => String(v ?? "").trim();
+const canon = (s) => str(s).toUpperCase().replace(/\s+/g, " ");
+
+const PLACEHOLDER_SKUS = new Set(["N/A", "NA", "TBD", "TBA", "NONE", "-", "--", "?", "0", "X"]);
+
+function skuProblem(sku) {
+  const s = str(sku);
+  if (!s) return null;
+  if (PLACEHOLDER_SKUS.has(s.toUpperCase())) return "looks like a placeholder";
+  if (/^\d(\.\d+)?E\+\d+$/i.test(s)) return "looks like a number Excel converted to scientific notation";
+  if (/\s/.test(s)) return "contains spaces";
+  if (/[^A-Za-z0-9\-_.\/#+]/.test(s)) return "contains unusual characters";
+  if (s.length < 3) return "is unusually short";
+  return null;
+}
+
+/**
+ * @param {Array} rows    normalized rows ({ manufacturer, model, room, qty|qty_ordered, sku, line_no, ... })
+ * @param {object} opts   { rooms?: string[] }  known rooms for the work order (skip the check when empty)
+ * @returns {{ issues: Array, summary: { rows, errors, warnings, rows_with_errors }, ok: boolean }}
+ */
+export function validateRows(rows, { rooms = [] } = {}) {
+  const issues = [];
+  const known = new Set((rooms || []).map(canon).filter(Boolean));
+  const seenLine = new Map();   // model+room -> first row number
+  const skuModels = new Map();  // sku -> Set(model)
+
+  (rows || []).forEach((r, i) => {
+    const row = i + 1;
+    const add = (field, code, severity, message) =>
+      issues.push({ row, line_no: r.line_no ?? null, field, code, severity, message });
+
+    for (const f of ["manufacturer", "model", "room"]) {
+      if (!str(r[f])) add(f, "missing_field", "error", `Missing ${f}`);
+    }
+
+    const rawQty = r.qty_ordered ?? r.qty;
+    const qty = rawQty === null || rawQty === undefined || rawQty === "" ? NaN : Number(rawQty);
+    if (!str(rawQty)) add("qty", "missing_field", "error", "Missing qty");
+    else if (!Number.isFinite(qty)) add("qty", "qty_not_numeric", "error", `Quantity "${str(rawQty)}" is not a number`);
+    else if (qty < 0) add("qty", "qty_negative", "error", `Quantity ${qty} is negative`);
+    else if (qty === 0) add("qty", "qty_zero", "warning", "Quantity is 0");
+    else if (!Number.isInteger(qty)) add("qty", "qty_fraction", "warning", `Quantity ${qty} is not a whole number`);
+
+    if (str(r.model) && str(r.room)) {
+      const key = `${canon(r.manufacturer)}|${canon(r.model)}|${canon(r.room)}`;
+      if (seenLine.has(key)) {
+        add("model", "duplicate_line", "warning", `Same model + room as row ${seenLine.get(key)}`);
+      } else {
+        seenLine.set(key, row);
+      }
+    }
+
+    if (known.size && str(r.room) && !known.has(canon(r.room))) {
+      add("room", "unknown_room", "warning", `Room "${str(r.room)}" is not on this work order`);
+    }
+
+    const sp = skuProblem(r.sku);
+    if (sp) add("sku", "suspicious_sku", "warning", `SKU "${str(r.sku)}" ${sp}`);
+    if (str(r.sku) && str(r.model)) {
+      const k = canon(r.sku);
+      if (!skuModels.has(k)) skuModels.set(k, { models: new Set(), row });
+      const entry = skuModels.get(k);
+      if (entry.models.size && !entry.models.has(canon(r.model))) {
+        add("sku", "sku_model_mismatch", "warning", `SKU "${str(r.sku)}" is also used for a different model (row ${entry.row})`);
+      }
+      entry.models.add(canon(r.model));
+    }
+  });
+
+  const errors = issues.filter((x) => x.severity === "error");
+  const summary = {
+    rows: (rows || []).length,
+    errors: errors.length,
+    warnings: issues.length - errors.length,
+    rows_with_errors: new Set(errors.map((x) => x.row)).size,
+  };
+  return { issues, summary, ok: errors.length === 0 };
+}
+
+// Report as CSV for download / sending back to the distributor.
+export function reportToCsv(report, rows = []) {
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const head = ["row", "line_no", "severity", "field", "code", "message", "manufacturer", "model", "room", "qty", "sku"];
+  const lines = [head.join(",")];
+  for (const x of report.issues) {
+    const r = rows[x.row - 1] || {};
+    lines.push([x.row, x.line_no, x.severity, x.field, x.code, x.message,
+      r.manufacturer, r.model, r.room, r.qty_ordered ?? r.qty, r.sku].map(cell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,103 @@
+// lib/migrations.mjs
+// Numbered schema migrations in sql/ (NNN_name.sql) and the ledger that records which ran.
+// Each file is the "up" SQL; an optional `-- migrate:down` line starts the SQL that undoes it.
+// Node only (reads the files); the CLI is scripts/migrate.mjs.
+
+import { readdir, readFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+
+export const MIGRATIONS_DIR = new URL("../sql/", import.meta.url);
+export const LEDGER = "public.schema_migrations";
+
+// Row-level security with no policies: the API roles never see the ledger, only the CLI's login does
+export const LEDGER_SQL = `
+create table if not exists ${LEDGER} (
+  version text primary key,
+  name text not null,
+  checksum text not null,
+  applied_at timestamptz not null default now(),
+  applied_by text not null default current_user,
+  duration_ms int
+);
+alter table ${LEDGER} enable row level security;
+`;
+
+const FILE_RE = /^(\d{3,})_([\w-]+)\.sql$/;
+const DOWN_RE = /^--\s*migrate:down\s*$/m;
+
+/**
+ * @returns {{ version, name, file, up, down, downLine, checksum }}
+ *   down is null when the file has no down section; downLine = file line of the `-- migrate:down` marker
+ */
+export function parseMigration(file, text) {
+  const m = FILE_RE.exec(file);
+  if (!m) throw new Error(`${file}: migration files are named NNN_name.sql`);
+  const split = text.search(DOWN_RE);
+  const up = split < 0 ? text : text.slice(0, split);
+  const down = split < 0 ? null : text.slice(split).replace(DOWN_RE, "");
+  return {
+    version: m[1],
+    name: m[2],
+    file,
+    up,
+    down: down && down.replace(/^\s*--.*$/gm, "").trim() ? down : null,
+    downLine: split < 0 ? null : up.split("\n").length,
+    checksum: createHash("sha256").update(text).digest("hex"),
+  };
+}
+
+/** Every NNN_name.sql in the directory, oldest first. */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await readdir(dir)).filter((f) => f.endsWith(".sql")).sort();
+  const out = [];
+  for (const file of files) {
+    const mig = parseMigration(file, await readFile(new URL(file, dir), "utf8"));
+    const dup = out.find((m) => m.version === mig.version);
+    if (dup) throw new Error(`${file} and ${dup.file} share version ${mig.version}`);
+    out.push(mig);
+  }
+  return out;
+}
+
+/**
+ * Files and ledger rows side by side, by version.
+ *   state: applied | pending | changed (file edited since it ran) | missing (in the ledger, no file)
+ */
+export function migrationStatus(migrations, ledgerRows) {
+  const ran = new Map(ledgerRows.map((r) => [r.version, r]));
+  const rows = migrations.map((m) => {
+    const row = ran.get(m.version);
+    ran.delete(m.version);
+    if (!row) return { ...m, state: "pending", applied_at: null };
+    return { ...m, state: row.checksum === m.checksum ? "applied" : "changed", applied_at: row.applied_at, applied_by: row.applied_by };
+  });
+  for (const row of ran.values()) rows.push({ version: row.version, name: row.name, file: null, state: "missing", applied_at: row.applied_at, applied_by: row.applied_by });
+  return rows.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/** Pending migrations to run, oldest first, up to and including `to` when given. */
+export function pendingMigrations(status, { to = null } = {}) {
+  return status.filter((m) => m.state === "pending" && (!to || Number(m.version) <= Number(to)));
+}
+
+/**
+ * The last `count` applied migrations, newest first (or every one above `to`).
+ * Throws when one of them cannot be undone (no down section, or no file).
+ */
+export function rollbackMigrations(status, { count = 1, to = null } = {}) {
+  const applied = status.filter((m) => m.state !== "pending").reverse();
+  const picked = to ? applied.filter((m) => Number(m.version) > Number(to)) : applied.slice(0, count);
+  const stuck = picked.find((m) => m.state === "missing" || !m.down);
+  if (stuck) {
+    const why = stuck.state === "missing" ? "its file is gone" : "it has no -- migrate:down section";
+    throw Object.assign(new Error(`Cannot roll back ${stuck.version}_${stuck.name}: ${why}`), { code: "irreversible" });
+  }
+  return picked;
+}
+
+/** File line of a Postgres error in `sql` (pg reports a 1-based character position); firstLine = where sql starts. */
+export function errorLine(sql, err, firstLine = 1) {
+  const pos = Number(err?.position);
+  if (!pos) return null;
+  return firstLine + sql.slice(0, pos - 1).split("\n").length - 1;
+}
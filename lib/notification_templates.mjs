@@ -0,0 +1,192 @@
+// lib/notification_templates.mjs
+// Job event emails: who gets each event, and the HTML + plain-text bodies. Pure (no database, no SMTP);
+// lib/notifications.mjs loads the rows and sends. Every render returns { subject, text, html }.
+//
+// Event data (notification_events.data):
+//   punchlist_generated  { punchlist_id, created, added, changed, resolved, open_count, open_items: [...] }
+//   walkthrough_signed   { acceptance_id, signer_name, signer_email, signed_at, override_reason, open_count }
+//   receiving_shortage   { short_qty, lines: [{ manufacturer, model, room, qty_expected, qty_received, qty_variance }] }
+
+export const EVENTS = {
+  punchlist_generated: { label: "Punchlist generated", audience: ["client", "pm"], attachPunchlist: true },
+  walkthrough_signed: { label: "Walkthrough signed", audience: ["client", "pm"], attachPunchlist: true },
+  receiving_shortage: { label: "Receiving shortage", audience: ["pm"], attachPunchlist: false },
+};
+export const EVENT_TYPES = Object.keys(EVENTS);
+export const DELIVERY = ["instant", "digest", "off"];
+
+// Lines listed in an email; the attached PDF has all of them
+const MAX_LINES = 25;
+
+const esc = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+const woName = (wo) => [wo?.code ? `WO ${wo.code}` : "", wo?.project_name || wo?.title].filter(Boolean).join(" — ");
+const item = (l) => [l.manufacturer, l.model].filter(Boolean).join(" ") || "(unnamed item)";
+const link = (appUrl, path) => (appUrl ? `${appUrl.replace(/\/+$/, "")}/${path}` : "");
+const when = (iso) => (iso ? new Date(iso).toUTCString().replace(" GMT", " UTC") : "");
+
+// ---------- per event: { title, summary, head + rows (html table), lines (text), more, link } ----------
+function describe(ev, wo, appUrl) {
+  const d = ev.data || {};
+  const wo_id = encodeURIComponent(wo?.id || ev.work_order_id);
+  switch (ev.event) {
+    case "punchlist_generated": {
+      const changes = [
+        d.created ? "new punchlist" : "",
+        d.added ? `${d.added} added` : "",
+        d.changed ? `${d.changed} changed` : "",
+        d.resolved ? `${d.resolved} resolved` : "",
+      ].filter(Boolean).join(", ");
+      return {
+        title: `Punchlist ${d.created ? "generated" : "updated"}: ${d.open_count ?? 0} open item${d.open_count === 1 ? "" : "s"}`,
+        summary: changes ? `Changes: ${changes}.` : "",
+        head: ["Item", "Room", "Missing", "Damaged", "Issue"],
+        rows: (d.open_items || []).map((i) => [item(i), i.room, i.missing_qty, i.damaged_qty, i.issue]),
+        lines: (d.open_items || []).map((i) =>
+          `${item(i)}${i.room ? ` (${i.room})` : ""}: missing ${i.missing_qty ?? 0}, damaged ${i.damaged_qty ?? 0}${i.issue ? ` - ${i.issue}` : ""}`),
+        more: Math.max((d.open_count ?? 0) - (d.open_items || []).length, 0),
+        link: link(appUrl, `punchlist.html?wo=${wo_id}`),
+      };
+    }
+    case "walkthrough_signed":
+      return {
+        title: `Walkthrough signed by ${d.signer_name || "the client"}`,
+        summary: [
+          `Signed ${when(d.signed_at)}${d.signer_email ? ` by ${d.signer_name} <${d.signer_email}>` : ""}.`,
+          d.open_count ? `${d.open_count} punchlist item${d.open_count === 1 ? " is" : "s are"} still open.` : "",
+          d.override_reason ? `Signed with unresolved lines: ${d.override_reason}` : "",
+        ].filter(Boolean).join(" "),
+        head: [],
+        rows: [],
+        lines: [],
+        more: 0,
+        link: link(appUrl, `signature.html?wo=${wo_id}`),
+      };
+    case "receiving_shortage":
+      return {
+        title: `Receiving shortage: ${d.short_qty ?? 0} unit${d.short_qty === 1 ? "" : "s"} not received`,
+        summary: "Expected against received so far, per room.",
+        head: ["Item", "Room", "Expected", "Received", "Short"],
+        rows: (d.lines || []).map((l) => [item(l), l.room, l.qty_expected, l.qty_received, l.qty_variance]),
+        lines: (d.lines || []).map((l) =>
+          `${item(l)}${l.room ? ` (${l.room})` : ""}: expected ${l.qty_expected}, received ${l.qty_received}, short ${l.qty_variance}`),
+        more: 0,
+        link: link(appUrl, "receive.html"),
+      };
+    default:
+      return { title: ev.event, summary: "", head: [], rows: [], lines: [], more: 0, link: "" };
+  }
+}
+
+function textBlock(ev, wo, appUrl) {
+  const s = describe(ev, wo, appUrl);
+  const lines = s.lines.slice(0, MAX_LINES);
+  const more = s.more + Math.max(s.lines.length - lines.length, 0);
+  return [
+    s.title,
+    s.summary,
+    ...lines.map((l) => `  - ${l}`),
+    more ? `  ... and ${more} more` : "",
+    s.link ? `Open: ${s.link}` : "",
+  ].filter(Boolean).join("\n");
+}
+
+function htmlBlock(ev, wo, appUrl) {
+  const s = describe(ev, wo, appUrl);
+  const rows = s.rows.slice(0, MAX_LINES);
+  const more = s.more + Math.max(s.rows.length - rows.length, 0);
+  const cell = "padding:4px 8px;border-bottom:1px solid #eee;text-align:left;font-size:13px";
+  const table = rows.length
+    ? `<table style="border-collapse:collapse;width:100%;margin:8px 0">
+        <tr>${s.head.map((h) => `<th style="${cell};background:#f6f6f6">${esc(h)}</th>`).join("")}</tr>
+        ${rows.map((r) => `<tr>${r.map((v) => `<td style="${cell}">${esc(v)}</td>`).join("")}</tr>`).join("")}
+      </table>`
+    : "";
+  return `<h3 style="margin:16px 0 4px;font-size:16px">${esc(s.title)}</h3>
+    ${s.summary ? `<p style="margin:4px 0;color:#444">${esc(s.summary)}</p>` : ""}
+    ${table}
+    ${more ? `<p style="margin:4px 0;color:#888;font-size:12px">… and ${more} more</p>` : ""}
+    ${s.link ? `<p style="margin:8px 0"><a href="${esc(s.link)}">Open in the app</a></p>` : ""}`;
+}
+
+// Why the reader gets it; an address without an account cannot sign in to change it, so it asks for a reply
+const CONTACT_REASON = "You get this as the client contact on the job. Reply to this email if you would rather not get these updates.";
+
+function layout({ brand, heading, body, appUrl, contact = false }) {
+  const prefs = contact ? "" : link(appUrl, "notifications.html");
+  return `<!doctype html>
+<html><body style="font-family:system-ui,Arial,sans-serif;color:#222;max-width:680px;margin:0 auto;padding:16px">
+  <div style="border-bottom:2px solid #222;padding-bottom:8px;margin-bottom:12px">
+    ${brand?.logo ? `<img src="${esc(brand.logo)}" alt="" style="max-height:40px;max-width:160px;float:right" />` : ""}
+    <div style="font-size:18px;font-weight:600">${esc(brand?.companyName)}</div>
+    <div style="font-size:14px;color:#666">${esc(heading)}</div>
+  </div>
+  ${body}
+  <p style="margin-top:24px;font-size:12px;color:#888">
+    ${contact ? esc(CONTACT_REASON) : "You get this because you are on the job."}${prefs ? ` <a href="${esc(prefs)}">Change how often you hear from us</a>.` : ""}
+  </p>
+</body></html>`;
+}
+
+const footer = (appUrl, contact = false) => {
+  if (contact) return `--\n${CONTACT_REASON}`;
+  const prefs = link(appUrl, "notifications.html");
+  return `--\nYou get this because you are on the job.${prefs ? `\nChange how often you hear from us: ${prefs}` : ""}`;
+};
+
+/**
+ * One event, sent as it happens.
+ * @param {object} ev   notification_events row
+ * @param {{ wo: object, brand: { companyName, logo }, appUrl?: string, attached?: boolean, contact?: boolean }} ctx
+ *   contact: for an address without an account (no link to the preferences page)
+ */
+export function renderEvent(ev, { wo, brand, appUrl = "", attached = false, contact = false }) {
+  const s = describe(ev, wo, appUrl);
+  const heading = woName(wo);
+  const note = attached ? "The current punchlist is attached as a PDF." : "";
+  return {
+    subject: `[${heading || "Work order"}] ${s.title}`,
+    text: [heading, "", textBlock(ev, wo, appUrl), note, "", footer(appUrl, contact)].join("\n"),
+    html: layout({
+      brand,
+      heading,
+      appUrl,
+      contact,
+      body: htmlBlock(ev, wo, appUrl) + (note ? `<p style="color:#444">${esc(note)}</p>` : ""),
+    }),
+  };
+}
+
+/**
+ * The daily digest: every event since the last one, grouped by work order (oldest first within a job).
+ * @param {{ ev: object, wo: object }[]} items
+ * @param {{ brand, appUrl?: string, since?: string, attachments?: number, contact?: boolean }} ctx
+ */
+export function renderDigest(items, { brand, appUrl = "", since = null, attachments = 0, contact = false }) {
+  const jobs = new Map();
+  for (const it of [...items].sort((a, b) => new Date(a.ev.created_at) - new Date(b.ev.created_at))) {
+    const key = it.wo?.id || it.ev.work_order_id;
+    if (!jobs.has(key)) jobs.set(key, { wo: it.wo, evs: [] });
+    jobs.get(key).evs.push(it.ev);
+  }
+  const heading = `Daily summary${since ? ` since ${when(since)}` : ""}`;
+  const note = attachments ? `${attachments} punchlist PDF${attachments === 1 ? " is" : "s are"} attached.` : "";
+  const count = `${items.length} update${items.length === 1 ? "" : "s"} on ${jobs.size} job${jobs.size === 1 ? "" : "s"}`;
+
+  const text = [heading, count, ""];
+  let html = `<p style="color:#444">${esc(count)}.</p>`;
+  for (const { wo, evs } of jobs.values()) {
+    text.push(`== ${woName(wo)} ==`, ...evs.map((ev) => `${textBlock(ev, wo, appUrl)}\n`));
+    html += `<h2 style="font-size:17px;margin:20px 0 0;border-bottom:1px solid #ddd">${esc(woName(wo))}</h2>` +
+      evs.map((ev) => htmlBlock(ev, wo, appUrl)).join("");
+  }
+  if (note) {
+    text.push(note);
+    html += `<p style="color:#444">${esc(note)}</p>`;
+  }
+  text.push("", footer(appUrl, contact));
+  return {
+    subject: `${brand?.companyName ? `${brand.companyName}: ` : ""}${count}`,
+    text: text.join("\n"),
+    html: layout({ brand, heading, body: html, appUrl, contact }),
+  };
+}
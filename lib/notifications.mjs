@@ -0,0 +1,345 @@
+// lib/notifications.mjs
+// Job event emails over SMTP (server-side only: service role + process.env). Schema: sql/020_notifications.sql
+//
+//   await notifySafely("punchlist_generated", work_order_id, data, { actor });   // from a function, after its own write
+//   await runScheduled();     // netlify/functions/notifications_scheduled.js: shortage scan + daily digests
+//
+// notify() records a notification_events row, then mails the work order's members in the event's audience
+// (lib/notification_templates.mjs) whose preference is "instant"; "digest" users get it in sendDigests().
+// Client events also go to the work order's client_email and the walkthrough signer when no member of the job
+// has that address; notification_contacts holds their preference, the same three choices per address.
+// Every message, sent or failed, is a notification_log row.
+//
+// SMTP_HOST / SMTP_PORT default to localhost:1025, where a local mail catcher (Mailpit, MailHog) listens.
+// SMTP_SECURE=1, SMTP_USER / SMTP_PASS for a real server; NOTIFY_FROM; APP_URL (or Netlify's URL) for links;
+// NOTIFY_DIGEST_HOUR (UTC, default 12) for the digest.
+// Functions send right after their own write, inside the request, so a slow or unreachable server must fail
+// fast: SMTP_TIMEOUT_MS (default 3000) bounds connecting and the greeting, twice that any silence after,
+// and once the server could not be reached the rest of that batch is logged as failed without trying.
+
+import { createHash } from "node:crypto";
+import nodemailer from "nodemailer";
+import { select, insert, update } from "./supabase_rest.mjs";
+import { ENV_BRAND, loadBranding } from "./pdf_branding.mjs";
+import { getPunchlistWithItems, renderPunchlistPdf } from "./punchlist_pdf.mjs";
+import { EVENTS, EVENT_TYPES, renderEvent, renderDigest } from "./notification_templates.mjs";
+
+export const SMTP = {
+  host: process.env.SMTP_HOST || "localhost",
+  port: Number(process.env.SMTP_PORT) || 1025,
+  secure: ["1", "true"].includes(process.env.SMTP_SECURE),
+  user: process.env.SMTP_USER || "",
+  pass: process.env.SMTP_PASS || "",
+  timeout: Number(process.env.SMTP_TIMEOUT_MS) || 3000,
+};
+export const FROM = process.env.NOTIFY_FROM || `${ENV_BRAND.companyName} <no-reply@localhost>`;
+export const APP_URL = process.env.APP_URL || process.env.URL || "";
+export const DIGEST_HOUR = Number(process.env.NOTIFY_DIGEST_HOUR ?? 12);
+
+const ACTOR = "system:notifications";
+export const DEFAULT_PREFERENCE = { delivery: "instant", muted_events: [], last_digest_at: null };
+
+let transport = null;
+const mailer = () => (transport ||= nodemailer.createTransport({
+  host: SMTP.host,
+  port: SMTP.port,
+  secure: SMTP.secure,
+  auth: SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined,
+  connectionTimeout: SMTP.timeout,
+  greetingTimeout: SMTP.timeout,
+  socketTimeout: SMTP.timeout * 2,
+}));
+
+// nodemailer's codes for "could not talk to the server at all", as opposed to a rejected message
+const UNREACHABLE = ["ECONNECTION", "ETIMEDOUT", "ESOCKET", "EDNS", "ETLS", "EAUTH"];
+
+const wants = (pref, event) => !(pref.muted_events || []).includes(event);
+
+// One email to one person, logged either way. -> { ok, unreachable }: unreachable = the server
+// could not be reached, so the caller stops there. `skip` logs it as failed without trying.
+async function send({ to, mode, events, subject, text, html, attachments = [], skip = null }) {
+  const log = {
+    mode,
+    event_ids: events.map((e) => e.id),
+    work_order_ids: [...new Set(events.map((e) => e.work_order_id))],
+    recipient_id: to.id,
+    recipient_email: to.email,
+    subject,
+    attachments: attachments.map((a) => ({ filename: a.filename, size: a.content.length })),
+  };
+  try {
+    if (skip) throw skip;
+    const info = await mailer().sendMail({
+      from: FROM,
+      to: { name: to.full_name || "", address: to.email },
+      subject,
+      text,
+      html,
+      attachments,
+    });
+    await insert("notification_log", [{ ...log, status: "sent", message_id: info.messageId || null }]);
+    return { ok: true, unreachable: null };
+  } catch (err) {
+    await insert("notification_log", [{ ...log, status: "failed", error: err.message }]).catch(() => {});
+    return { ok: false, unreachable: UNREACHABLE.includes(err.code) ? err : null };
+  }
+}
+
+const notTried = (err) => Object.assign(new Error(`Not sent, mail server unreachable: ${err.message}`), { code: err.code });
+
+/** email -> notification_contacts row (DEFAULT_PREFERENCE for addresses nobody set one for) */
+export async function loadContactPreferences(emails) {
+  const rows = emails.length
+    ? await select("notification_contacts", `select=*&email=in.(${emails.map((e) => encodeURIComponent(`"${e}"`)).join(",")})`)
+    : [];
+  const byEmail = new Map(rows.map((r) => [r.email, r]));
+  return new Map(emails.map((email) => [email, byEmail.get(email) || { email, ...DEFAULT_PREFERENCE }]));
+}
+
+/** user id -> notification_preferences row (DEFAULT_PREFERENCE for people who never set one) */
+export async function loadPreferences(user_ids) {
+  const rows = user_ids.length
+    ? await select("notification_preferences", `select=*&user_id=in.(${user_ids.join(",")})`)
+    : [];
+  const byUser = new Map(rows.map((r) => [r.user_id, r]));
+  return new Map(user_ids.map((id) => [id, byUser.get(id) || { user_id: id, ...DEFAULT_PREFERENCE }]));
+}
+
+// Lower-cased, and only plain addresses: they go into a PostgREST in.() filter
+export const normalizeEmail = (v) => {
+  const e = String(v ?? "").trim().toLowerCase();
+  return /^[^\s@",()]+@[^\s@",()]+\.[^\s@",()]+$/.test(e) ? e : null;
+};
+
+// Members of the work order the event is for, with an email address and their preference;
+// `emails` holds every member's address, in the audience or not
+async function recipients(work_order_id, event) {
+  const members = await select(
+    "work_order_members",
+    `select=user_id,profile:profiles(id,email,full_name,role)&work_order_id=eq.${work_order_id}`
+  );
+  const people = members.map((m) => m.profile).filter((p) => p?.email && EVENTS[event].audience.includes(p.role));
+  const prefs = await loadPreferences(people.map((p) => p.id));
+  return {
+    people: people.map((p) => ({ ...p, pref: prefs.get(p.id) })),
+    emails: new Set(members.map((m) => normalizeEmail(m.profile?.email)).filter(Boolean)),
+  };
+}
+
+// The job's client contact and walkthrough signer, for client events, unless a member has the address
+async function contactRecipients(wo, ev, memberEmails) {
+  if (!EVENTS[ev.event].audience.includes("client")) return [];
+  const found = new Map();
+  for (const [email, name] of [
+    [wo?.client_email, wo?.client_contact],
+    [ev.data?.signer_email, ev.data?.signer_name],
+    [wo?.signer_email, wo?.signer_name],
+  ]) {
+    const e = normalizeEmail(email);
+    if (e && !memberEmails.has(e) && !found.has(e)) found.set(e, { id: null, email: e, full_name: name || "" });
+  }
+  if (!found.size) return [];
+  const prefs = await loadContactPreferences([...found.keys()]);
+  return [...found.values()].map((c) => ({ ...c, pref: prefs.get(c.email) }));
+}
+
+// The given punchlist, else the work order's newest; null when it has none
+async function punchlistAttachment(work_order_id, punchlist_id = null) {
+  let id = punchlist_id;
+  if (!id) {
+    const [pl] = await select("punchlists", `select=id&work_order_id=eq.${work_order_id}&order=created_at.desc&limit=1`);
+    id = pl?.id;
+  }
+  if (!id) return null;
+  const { wo, bytes } = await renderPunchlistPdf(await getPunchlistWithItems(id));
+  return { filename: `punchlist-${wo.code || id}.pdf`, content: Buffer.from(bytes), contentType: "application/pdf" };
+}
+
+async function sendInstant(ev) {
+  const [wo] = await select("work_orders", `select=*&id=eq.${ev.work_order_id}`);
+  const members = await recipients(ev.work_order_id, ev.event);
+  const people = members.people.filter((p) => wants(p.pref, ev.event));
+  const everyContact = (await contactRecipients(wo, ev, members.emails)).filter((c) => wants(c.pref, ev.event));
+  const contacts = everyContact.filter((c) => c.pref.delivery === "instant");
+  const instant = people.filter((p) => p.pref.delivery === "instant");
+  const queued = [...people, ...everyContact].filter((p) => p.pref.delivery === "digest").length;
+  const out = { sent: 0, failed: 0, queued };
+  if (!instant.length && !contacts.length) return out;
+
+  const brand = await loadBranding(wo);
+  // The email still goes out when the PDF cannot be rendered; it just says nothing is attached
+  const pdf = EVENTS[ev.event].attachPunchlist
+    ? await punchlistAttachment(ev.work_order_id, ev.data?.punchlist_id).catch(() => null)
+    : null;
+  const ctx = { wo, brand, appUrl: APP_URL, attached: !!pdf };
+  const msg = renderEvent(ev, ctx);
+  const contactMsg = renderEvent(ev, { ...ctx, contact: true });
+  let down = null;
+  for (const to of [...instant, ...contacts]) {
+    const body = to.id ? msg : contactMsg;
+    const r = await send({ to, mode: "instant", events: [ev], ...body, attachments: pdf ? [pdf] : [], skip: down && notTried(down) });
+    if (r.ok) out.sent++;
+    else out.failed++;
+    down ||= r.unreachable;
+  }
+  return out;
+}
+
+/**
+ * Record an event and send the instant emails.
+ * @param {string} event   one of EVENT_TYPES
+ * @param {object} data    see lib/notification_templates.mjs
+ * @param {{ actor?: string, dedupe_key?: string }} opts   an event whose dedupe_key was seen before is dropped
+ * @returns {Promise<{ event_id, duplicate, sent, failed, queued }>}
+ */
+export async function notify(event, work_order_id, data = {}, { actor = null, dedupe_key = null } = {}) {
+  if (!EVENTS[event]) throw new Error(`Unknown notification event ${event}`);
+  let ev;
+  try {
+    [ev] = await insert("notification_events", [{ event, work_order_id, data, actor, dedupe_key }]);
+  } catch (err) {
+    if (err.status === 409 && dedupe_key) return { event_id: null, duplicate: true, sent: 0, failed: 0, queued: 0 };
+    throw err;
+  }
+  return { event_id: ev.id, duplicate: false, ...(await sendInstant(ev)) };
+}
+
+// For the functions that raise events: their own write already went through, so a mail problem
+// must not turn the response into an error. Failed sends are in notification_log.
+export async function notifySafely(...args) {
+  try {
+    return await notify(...args);
+  } catch (err) {
+    console.error(`notify ${args[0]} failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Short lines in vw_arrival_variance, per work order that has started receiving and is not closed.
+ * A work order is reported again only when its short lines change (dedupe_key = hash of them).
+ */
+export async function scanShortages() {
+  const short = await select("vw_arrival_variance", "select=*&qty_variance=gt.0&order=room.asc,manufacturer.asc,model.asc");
+  const started = new Set(
+    (await select("vw_arrival_variance", "select=work_order_id&qty_received=gt.0")).map((r) => r.work_order_id)
+  );
+  const byWo = new Map();
+  for (const r of short) {
+    if (!started.has(r.work_order_id)) continue;
+    if (!byWo.has(r.work_order_id)) byWo.set(r.work_order_id, []);
+    byWo.get(r.work_order_id).push(r);
+  }
+  if (!byWo.size) return [];
+
+  const open = new Set((await select(
+    "work_orders",
+    `select=id&id=in.(${[...byWo.keys()].join(",")})&or=(status.is.null,status.neq.closed)`
+  )).map((w) => w.id));
+
+  const results = [];
+  for (const [work_order_id, rows] of byWo) {
+    if (!open.has(work_order_id)) continue;
+    const lines = rows.map(({ manufacturer, model, room, qty_expected, qty_received, qty_variance }) =>
+      ({ manufacturer, model, room, qty_expected, qty_received, qty_variance }));
+    const hash = createHash("sha256").update(JSON.stringify(lines)).digest("hex").slice(0, 16);
+    const out = await notify("receiving_shortage", work_order_id, {
+      short_qty: lines.reduce((n, l) => n + l.qty_variance, 0),
+      lines,
+    }, { actor: ACTOR, dedupe_key: `receiving_shortage:${work_order_id}:${hash}` });
+    results.push({ work_order_id, ...out });
+  }
+  return results;
+}
+
+/** Whether a digest is due: the last one went out before the most recent NOTIFY_DIGEST_HOUR (UTC). */
+export function digestDue(last_digest_at, now = new Date(), hour = DIGEST_HOUR) {
+  const slot = new Date(now);
+  slot.setUTCHours(hour, 0, 0, 0);
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+  return !last_digest_at || new Date(last_digest_at) < slot;
+}
+
+// One digest: the events of `types` on `jobs` since the last one. `done(at)` records that it went out;
+// it is not called when the send failed, so the same events come again on the next run.
+async function digestFor({ to, pref, types, jobs, contact = false, done }, now) {
+  const since = pref.last_digest_at || new Date(now.getTime() - 86400000).toISOString();
+  const result = { user_id: to.id, email: to.email, events: 0, sent: false };
+
+  const events = jobs.length && types.length
+    ? await select(
+      "notification_events",
+      `select=*,work_order:work_orders(*)&work_order_id=in.(${jobs.join(",")})&event=in.(${types.join(",")})` +
+        `&created_at=gt.${encodeURIComponent(since)}&created_at=lte.${now.toISOString()}&order=created_at.asc`
+    )
+    : [];
+  result.events = events.length;
+
+  if (events.length) {
+    // Each job with punchlist news gets its current punchlist attached
+    const attachments = [];
+    for (const id of new Set(events.filter((e) => EVENTS[e.event].attachPunchlist).map((e) => e.work_order_id))) {
+      const pdf = await punchlistAttachment(id).catch(() => null);
+      if (pdf) attachments.push(pdf);
+    }
+    const oneJob = new Set(events.map((e) => e.work_order_id)).size === 1;
+    const brand = await loadBranding(oneJob ? events[0].work_order : null);
+    const msg = renderDigest(events.map((ev) => ({ ev, wo: ev.work_order })), {
+      brand, appUrl: APP_URL, since, attachments: attachments.length, contact,
+    });
+    result.sent = (await send({ to, mode: "digest", events, ...msg, attachments })).ok;
+    if (!result.sent) return result;
+  }
+  await done(now.toISOString());
+  return result;
+}
+
+const memberDigest = async (pref, now) => digestFor({
+  to: pref.profile,
+  pref,
+  types: EVENT_TYPES.filter((e) => EVENTS[e].audience.includes(pref.profile.role) && wants(pref, e)),
+  jobs: (await select("work_order_members", `select=work_order_id&user_id=eq.${pref.profile.id}`)).map((m) => m.work_order_id),
+  done: (at) => update("notification_preferences", `user_id=eq.${pref.profile.id}`, { last_digest_at: at }),
+}, now);
+
+// A contact's jobs: where the address is the client email or the signer and no member of the job has it,
+// the same rule contactRecipients() applies to instant mail
+async function contactDigest(pref, now) {
+  const { email } = pref;
+  const like = encodeURIComponent(email.replace(/[%_\\]/g, "\\$&"));
+  const wos = (await select("work_orders", `select=id,client_email,client_contact,signer_email,signer_name&or=(client_email.ilike.${like},signer_email.ilike.${like})`))
+    .filter((w) => normalizeEmail(w.client_email) === email || normalizeEmail(w.signer_email) === email);
+  const accounts = wos.length
+    ? await select("work_order_members", `select=work_order_id,profile:profiles(email)&work_order_id=in.(${wos.map((w) => w.id).join(",")})`)
+    : [];
+  const covered = new Set(accounts.filter((m) => normalizeEmail(m.profile?.email) === email).map((m) => m.work_order_id));
+  const named = wos.find((w) => normalizeEmail(w.client_email) === email);
+  return digestFor({
+    to: { id: null, email, full_name: named?.client_contact || wos[0]?.signer_name || "" },
+    pref,
+    types: EVENT_TYPES.filter((e) => EVENTS[e].audience.includes("client") && wants(pref, e)),
+    jobs: wos.map((w) => w.id).filter((id) => !covered.has(id)),
+    contact: true,
+    done: (at) => update("notification_contacts", `email=eq.${encodeURIComponent(email)}`, { last_digest_at: at }),
+  }, now);
+}
+
+/** One email per digest user or contact that is due, covering every event since their last one (none when nothing happened). */
+export async function sendDigests(now = new Date()) {
+  const [prefs, contacts] = await Promise.all([
+    select("notification_preferences", "select=*,profile:profiles(id,email,full_name,role)&delivery=eq.digest"),
+    select("notification_contacts", "select=*&delivery=eq.digest"),
+  ]);
+  const out = [];
+  for (const pref of prefs) {
+    if (pref.profile?.email && digestDue(pref.last_digest_at, now)) out.push(await memberDigest(pref, now));
+  }
+  for (const pref of contacts) {
+    if (digestDue(pref.last_digest_at, now)) out.push(await contactDigest(pref, now));
+  }
+  return out;
+}
+
+export async function runScheduled(now = new Date()) {
+  return { shortages: await scanShortages(), digests: await sendDigests(now) };
+}
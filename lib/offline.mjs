@@ -0,0 +1,328 @@
+// lib/offline.mjs
+// Shared offline layer for the field pages (walkthrough, punchlist, signature, upload, add).
+//  - registers sw.js so the pages + CDN modules open with no signal
+//  - IndexedDB cache of work orders and their work_order_items
+//  - durable outbox for inserts / updates / storage uploads / function calls, replayed in order once online
+//
+// Usage (inside a page's <script type="module">):
+//   import { initOffline, loadWorkOrdersCached, loadItemsCached, submit } from "./lib/offline.mjs";
+//   initOffline(supabase);                        // SW + sync badge + auto replay
+//   const { data, offline } = await loadWorkOrdersCached(supabase, "id, code, title");
+//   const res = await submit(supabase, { kind: "insert", table: "photos", rows: [...] });
+//   if (res.queued) ... // saved to outbox, will sync later
+
+const DB_NAME = "wpusa-offline";
+const DB_VERSION = 1;
+export const PUBLIC_URL = "@publicUrl"; // placeholder resolved after an upload op succeeds
+
+let dbPromise = null;
+let client = null;
+let running = null;
+const listeners = new Set();
+const answers = new Map(); // seq -> JSON answer of a "call" op, for a submit() still waiting on it
+
+// ---------- IndexedDB plumbing ----------
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("work_orders")) db.createObjectStore("work_orders", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("items")) db.createObjectStore("items", { keyPath: "work_order_id" });
+      if (!db.objectStoreNames.contains("outbox")) db.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+async function tx(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(store, mode);
+    const s = t.objectStore(store);
+    let result;
+    Promise.resolve(fn(s)).then((r) => { result = r; });
+    t.oncomplete = () => resolve(result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+const reqP = (r) => new Promise((resolve, reject) => {
+  r.onsuccess = () => resolve(r.result);
+  r.onerror = () => reject(r.error);
+});
+
+// ---------- cache: work orders + items ----------
+// Pages select different column sets, so merge into what is already cached.
+export async function cacheWorkOrders(rows) {
+  await tx("work_orders", "readwrite", async (s) => {
+    const existing = new Map((await reqP(s.getAll())).map((r) => [r.id, r]));
+    (rows || []).forEach((r) => s.put({ ...(existing.get(r.id) || {}), ...r }));
+  });
+}
+
+export async function getCachedWorkOrders() {
+  const rows = await tx("work_orders", "readonly", (s) => reqP(s.getAll()));
+  return (rows || []).sort((a, b) => String(b.created_at || "").localeCompare(String(a.created_at || "")));
+}
+
+// Same for items: the fresh list decides which lines exist, each keeps the columns other pages cached
+// (punchlist.html selects fewer than walkthrough.html). Rows without an id can only be replaced.
+export async function cacheItems(workOrderId, items) {
+  await tx("items", "readwrite", async (s) => {
+    const old = await reqP(s.get(workOrderId));
+    const byId = new Map((old?.items || []).filter((r) => r.id != null).map((r) => [r.id, r]));
+    const merged = (items || []).map((r) => (r.id != null && byId.has(r.id) ? { ...byId.get(r.id), ...r } : r));
+    s.put({ work_order_id: workOrderId, items: merged, cached_at: new Date().toISOString() });
+  });
+}
+
+export async function getCachedItems(workOrderId) {
+  const rec = await tx("items", "readonly", (s) => reqP(s.get(workOrderId)));
+  return rec?.items || null;
+}
+
+// Network first; on failure fall back to the IndexedDB copy.
+export async function loadWorkOrdersCached(supabase, columns = "id, code, title, status, created_at") {
+  if (navigator.onLine) {
+    const { data, error } = await supabase.from("work_orders").select(columns).order("created_at", { ascending: false });
+    if (!error) {
+      await cacheWorkOrders(data).catch(() => {});
+      return { data, error: null, offline: false };
+    }
+    if (!isNetworkError(error)) return { data: null, error, offline: false };
+  }
+  const cached = await getCachedWorkOrders();
+  return { data: cached, error: cached.length ? null : { message: "Offline and no cached work orders" }, offline: true };
+}
+
+export async function loadItemsCached(supabase, workOrderId, columns = "*", order = null) {
+  if (navigator.onLine) {
+    let q = supabase.from("work_order_items").select(columns).eq("work_order_id", workOrderId);
+    if (order) q = q.order(order, { ascending: true });
+    const { data, error } = await q;
+    if (!error) {
+      await cacheItems(workOrderId, data).catch(() => {});
+      return { data, error: null, offline: false };
+    }
+    if (!isNetworkError(error)) return { data: null, error, offline: false };
+  }
+  const cached = await getCachedItems(workOrderId);
+  return { data: cached || [], error: cached ? null : { message: "Offline and this work order was never opened here" }, offline: true };
+}
+
+// ---------- outbox ----------
+// Op shapes:
+//   { kind: "insert", table, rows }
+//   { kind: "update", table, values, match: {col: val}, expect?: {col: val} }   // expect = conflict check
+//   { kind: "upload", bucket, path, blob, options, then?: [op, ...] }           // "@publicUrl" is filled in for `then`
+//   { kind: "call", url, body }   // POST to a Netlify function with the session token; an error answer is a conflict
+export async function enqueue(op, label = "") {
+  const rec = { ...op, label: label || describe(op), state: "pending", created_at: new Date().toISOString(), error: null };
+  const seq = await tx("outbox", "readwrite", (s) => reqP(s.add(rec)));
+  notify();
+  return seq;
+}
+
+export async function listOutbox() {
+  return tx("outbox", "readonly", (s) => reqP(s.getAll()));
+}
+
+export async function discard(seq) {
+  await tx("outbox", "readwrite", (s) => s.delete(seq));
+  notify();
+}
+
+export async function retry(seq) {
+  await tx("outbox", "readwrite", async (s) => {
+    const rec = await reqP(s.get(seq));
+    if (rec) s.put({ ...rec, state: "pending", error: null });
+  });
+  notify();
+  return replayOutbox();
+}
+
+// Queue the op and try to flush right away, so online and offline saves take the same path
+// and stay in order behind anything already queued.
+export async function submit(supabase, op, label) {
+  client = client || supabase;
+  const seq = await enqueue(op, label);
+  answers.set(seq, null);
+  if (running) await running;
+  await replayOutbox();
+  const left = await tx("outbox", "readonly", (s) => reqP(s.get(seq)));
+  const result = answers.get(seq) ?? null;
+  answers.delete(seq);
+  if (!left) return { queued: false, error: null, result };
+  if (left.state === "conflict") return { queued: false, error: { message: left.error }, result, seq };
+  return { queued: true, error: null };
+}
+
+// Replays pending ops oldest-first. A network failure stops the run (try again later);
+// a server-side rejection marks that op as a conflict and moves on.
+export function replayOutbox() {
+  if (!running) running = drain().finally(() => { running = null; });
+  return running;
+}
+
+async function drain() {
+  if (!client || !navigator.onLine) return;
+  try {
+    const ops = (await listOutbox()).filter((o) => o.state === "pending").sort((a, b) => a.seq - b.seq);
+    for (const op of ops) {
+      const err = await runOp(client, op);
+      if (!err) {
+        await tx("outbox", "readwrite", (s) => s.delete(op.seq));
+        continue;
+      }
+      if (isNetworkError(err)) break;
+      await tx("outbox", "readwrite", (s) => s.put({ ...op, state: "conflict", error: err.message || String(err) }));
+    }
+  } finally {
+    notify();
+  }
+}
+
+async function runOp(supabase, op, ctx = {}) {
+  try {
+    if (op.kind === "insert") {
+      const { error } = await supabase.from(op.table).insert(fill(op.rows, ctx));
+      return error;
+    }
+    if (op.kind === "update") {
+      if (op.expect) {
+        let q = supabase.from(op.table).select(Object.keys(op.expect).join(","));
+        for (const [k, v] of Object.entries(op.match)) q = q.eq(k, v);
+        const { data, error } = await q.limit(1);
+        if (error) return error;
+        const row = data?.[0];
+        if (!row) return { message: `Conflict: ${op.table} row no longer exists` };
+        const changed = Object.entries(op.expect).filter(([k, v]) => (row[k] ?? null) !== (v ?? null));
+        if (changed.length) {
+          return { message: `Conflict: ${changed.map(([k]) => `${k} is now "${row[k]}"`).join(", ")} (changed since this was queued)` };
+        }
+      }
+      let q = supabase.from(op.table).update(fill(op.values, ctx));
+      for (const [k, v] of Object.entries(op.match)) q = q.eq(k, v);
+      const { error } = await q;
+      return error;
+    }
+    if (op.kind === "upload") {
+      const { error } = await supabase.storage.from(op.bucket).upload(op.path, op.blob, op.options || {});
+      // A re-run after a half-finished replay finds the file already there; that is fine.
+      if (error && !/exists|duplicate/i.test(error.message || "")) return error;
+      const publicUrl = supabase.storage.from(op.bucket).getPublicUrl(op.path)?.data?.publicUrl;
+      for (const next of op.then || []) {
+        const e = await runOp(supabase, next, { publicUrl });
+        if (e) return e;
+      }
+      return null;
+    }
+    if (op.kind === "call") {
+      const { data: { session } } = await supabase.auth.getSession();
+      const res = await fetch(op.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(session ? { Authorization: `Bearer ${session.access_token}` } : {}) },
+        body: JSON.stringify(op.body),
+      });
+      const out = await res.json().catch(() => ({}));
+      if (answers.has(op.seq)) answers.set(op.seq, out);
+      return res.ok ? null : { message: out.error || res.statusText };
+    }
+    return { message: `Unknown outbox op: ${op.kind}` };
+  } catch (e) {
+    return e;
+  }
+}
+
+function fill(value, ctx) {
+  if (value === PUBLIC_URL) return ctx.publicUrl ?? null;
+  if (Array.isArray(value)) return value.map((v) => fill(v, ctx));
+  if (value && typeof value === "object" && !(value instanceof Blob)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, ctx)]));
+  }
+  return value;
+}
+
+function isNetworkError(err) {
+  if (!navigator.onLine) return true;
+  const m = String(err?.message || err || "");
+  return err instanceof TypeError || /Failed to fetch|NetworkError|Load failed|network/i.test(m);
+}
+
+function describe(op) {
+  if (op.kind === "upload") return `Upload ${op.path}`;
+  if (op.kind === "update") return `Update ${op.table}`;
+  if (op.kind === "call") return `Send to ${op.url.split("/").pop()}`;
+  return `Insert ${op.rows?.length ?? 0} row(s) into ${op.table}`;
+}
+
+// ---------- status badge ----------
+function notify() {
+  listeners.forEach((fn) => fn());
+}
+
+export function onOutboxChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function mountBadge() {
+  const badge = document.createElement("div");
+  badge.style.cssText = "position:fixed;right:12px;bottom:12px;z-index:9999;font:13px system-ui,Arial,sans-serif;" +
+    "background:#fff;border:1px solid #ddd;border-radius:999px;padding:6px 12px;box-shadow:0 2px 8px rgba(0,0,0,.1);cursor:pointer";
+  const panel = document.createElement("div");
+  panel.style.cssText = "position:fixed;right:12px;bottom:52px;z-index:9999;font:13px system-ui,Arial,sans-serif;max-width:420px;" +
+    "max-height:50vh;overflow:auto;background:#fff;border:1px solid #ddd;border-radius:8px;padding:10px;display:none;box-shadow:0 2px 12px rgba(0,0,0,.15)";
+  document.body.append(panel, badge);
+  badge.addEventListener("click", () => { panel.style.display = panel.style.display === "none" ? "block" : "none"; });
+
+  const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[m]));
+
+  async function render() {
+    const ops = await listOutbox().catch(() => []);
+    const pending = ops.filter((o) => o.state === "pending").length;
+    const conflicts = ops.filter((o) => o.state === "conflict");
+    const net = navigator.onLine ? "🟢 Online" : "🔴 Offline";
+    badge.textContent = `${net} · ${pending} queued` + (conflicts.length ? ` · ⚠ ${conflicts.length} conflict(s)` : "");
+    badge.style.borderColor = conflicts.length ? "#b91c1c" : "#ddd";
+
+    if (!ops.length) { panel.innerHTML = `<div style="color:#777">Outbox is empty.</div>`; return; }
+    panel.innerHTML = ops.map((o) => `
+      <div style="border-bottom:1px solid #eee;padding:6px 0">
+        <div><b>#${o.seq}</b> ${esc(o.label)} <span style="color:#777">${esc(new Date(o.created_at).toLocaleString())}</span></div>
+        ${o.state === "conflict" ? `
+          <div style="color:#b91c1c">${esc(o.error)}</div>
+          <button data-retry="${o.seq}">Retry</button> <button data-discard="${o.seq}">Discard</button>`
+        : `<div style="color:#777">waiting for signal…</div>`}
+      </div>`).join("");
+    panel.querySelectorAll("[data-retry]").forEach((b) => b.addEventListener("click", () => retry(Number(b.dataset.retry))));
+    panel.querySelectorAll("[data-discard]").forEach((b) => b.addEventListener("click", () => {
+      if (confirm("Discard this queued change? It will not be sent.")) discard(Number(b.dataset.discard));
+    }));
+  }
+
+  onOutboxChange(render);
+  window.addEventListener("online", render);
+  window.addEventListener("offline", render);
+  render();
+}
+
+// ---------- bootstrap ----------
+export function initOffline(supabase, { badge = true } = {}) {
+  client = supabase;
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("./sw.js").catch((e) => console.warn("Service worker not registered:", e));
+  }
+  if (badge) {
+    if (document.body) mountBadge();
+    else window.addEventListener("DOMContentLoaded", mountBadge);
+  }
+  window.addEventListener("online", () => replayOutbox());
+  setInterval(() => replayOutbox(), 30000);
+  replayOutbox();
+}
@@ -0,0 +1,46 @@
+// lib/pdf_branding.mjs
+// Branding for generated PDFs: work order overrides → its company row (sql/009_company_branding.sql) → BRAND_* env vars.
+
+import { rgb } from "pdf-lib";
+import { select } from "./supabase_rest.mjs";
+
+export const ENV_BRAND = {
+  companyName: process.env.BRAND_COMPANY_NAME || "WPUSA",
+  tagline: process.env.BRAND_COMPANY_TAGLINE || "Field Delivery • Receiving • Punchlist",
+  address: process.env.BRAND_COMPANY_ADDRESS || "123 Any Street • Orlando, FL 32801 • (555) 123-4567",
+  logo: process.env.BRAND_LOGO_URL || "",
+};
+
+// "#1f4e79" / "1f4e79" -> rgb(); null when missing or malformed
+export function hexColor(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || "").trim());
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+}
+
+/**
+ * @param {object} wo  work_orders row (needs company_id, company_display_name, company_logo_url, client_* when present)
+ * @returns {{ companyName, tagline, address, contact, logo, accent, clientName, clientLogo, pdf: object }}
+ */
+export async function loadBranding(wo) {
+  let company = null;
+  if (wo?.company_id) {
+    try {
+      [company] = await select("companies", `select=*&id=eq.${wo.company_id}`);
+    } catch {
+      company = null; // table not created yet: keep env branding
+    }
+  }
+  return {
+    companyName: wo?.company_display_name || company?.display_name || company?.name || ENV_BRAND.companyName,
+    tagline: company?.tagline || ENV_BRAND.tagline,
+    address: company?.address || ENV_BRAND.address,
+    contact: [company?.phone, company?.email, company?.website].filter(Boolean).join(" • "),
+    logo: wo?.company_logo_url || company?.logo_url || ENV_BRAND.logo,
+    accent: hexColor(company?.accent_color),
+    clientName: wo?.client_name || "",
+    clientLogo: wo?.client_logo_url || "",
+    pdf: company?.pdf_defaults || {},
+  };
+}
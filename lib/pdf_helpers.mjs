@@ -0,0 +1,84 @@
+// lib/pdf_helpers.mjs
+// Shared pdf-lib drawing helpers for the PDF functions (punchlist_pdf.js, closeout_pdf.js).
+
+import { rgb } from "pdf-lib";
+
+export const GREY = rgb(0.45, 0.45, 0.45);
+export const MUTED = rgb(0.35, 0.35, 0.35);
+
+export async function embedRemoteImage(pdfDoc, url) {
+  if (!url) return null;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    const buf = await res.arrayBuffer();
+    const contentType = res.headers.get("content-type") || "";
+    if (contentType.includes("png") || /\.png(\?|$)/i.test(url)) return await pdfDoc.embedPng(buf);
+    // default try jpeg
+    return await pdfDoc.embedJpg(buf);
+  } catch {
+    return null;
+  }
+}
+
+// Standard fonts are WinAnsi only; swap what they cannot encode instead of throwing mid-render.
+export function safeText(font, text) {
+  const s = String(text ?? "");
+  try {
+    font.encodeText(s);
+    return s;
+  } catch {
+    return [...s].map((ch) => {
+      try { font.encodeText(ch); return ch; } catch { return "?"; }
+    }).join("");
+  }
+}
+
+export function drawText(page, text, x, y, opts) {
+  const {
+    font,
+    size = 10,
+    color = rgb(0, 0, 0),
+    maxWidth = null,
+  } = opts || {};
+  let t = safeText(font, text);
+  if (!maxWidth) {
+    page.drawText(t, { x, y, size, font, color });
+    return;
+  }
+  // simple single-line clamp
+  while (font.widthOfTextAtSize(t, size) > maxWidth && t.length > 0) {
+    t = t.slice(0, -1);
+  }
+  page.drawText(t, { x, y, size, font, color });
+}
+
+export function drawFooter(page, font, pageNumber, pageCount) {
+  const footerY = 36;
+  drawText(page, `Generated by WPUSA • ${new Date().toLocaleString()}`, 50, footerY, {
+    font,
+    size: 9,
+    color: GREY,
+  });
+  const pn = `Page ${pageNumber} of ${pageCount}`;
+  const width = font.widthOfTextAtSize(pn, 9);
+  const pageWidth = page.getWidth();
+  drawText(page, pn, pageWidth - 50 - width, footerY, { font, size: 9, color: GREY });
+}
+
+// Scale an embedded image to fit inside a box, keeping its aspect ratio.
+export function fitImage(img, maxW, maxH) {
+  const s = Math.min(maxW / img.width, maxH / img.height, 1);
+  return { width: img.width * s, height: img.height * s };
+}
+
+// Signature image (or a blank line when there is none) with a caption underneath.
+export function drawSignatureBlock(page, { x, y, width = 220, image = null, caption, font, detail = "" }) {
+  if (image) {
+    const dim = fitImage(image, width, 60);
+    page.drawImage(image, { x, y: y + 2, width: dim.width, height: dim.height });
+  }
+  page.drawLine({ start: { x, y }, end: { x: x + width, y }, thickness: 0.5, color: rgb(0.2, 0.2, 0.2) });
+  drawText(page, caption, x, y - 12, { font, size: 9, color: MUTED });
+  if (detail) drawText(page, detail, x, y - 24, { font, size: 8, color: GREY, maxWidth: width });
+}
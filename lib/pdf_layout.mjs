@@ -0,0 +1,211 @@
+// lib/pdf_layout.mjs
+// Flowing layout for the PDF functions: page sizes, a page cursor that breaks pages,
+// word-wrapped text, and tables with configurable columns, room grouping and subtotals.
+
+import { rgb } from "pdf-lib";
+import { GREY, safeText } from "./pdf_helpers.mjs";
+
+export const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89],
+};
+
+// ("a4" | "letter", "portrait" | "landscape") -> [width, height]; unknown values fall back to Letter portrait.
+export function pageSize(size = "letter", orientation = "portrait") {
+  const [w, h] = PAGE_SIZES[String(size).toLowerCase()] || PAGE_SIZES.letter;
+  return String(orientation).toLowerCase() === "landscape" ? [h, w] : [w, h];
+}
+
+/**
+ * Word-wrap text to a width. Honors explicit line breaks; words wider than the
+ * column are split so nothing runs into the next cell.
+ * @returns {string[]} at least one line
+ */
+export function wrapText(font, text, size, maxWidth) {
+  const fits = (s) => font.widthOfTextAtSize(s, size) <= maxWidth;
+  const lines = [];
+  // Split first: safeText turns characters the font cannot encode, newlines included, into "?"
+  for (const para of String(text ?? "").split(/\r?\n/)) {
+    let line = "";
+    for (let word of safeText(font, para).split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (fits(next)) {
+        line = next;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = "";
+      // Each pass takes at least one character; a single character wider than the column gets its own line
+      while (word.length > 1 && !fits(word)) {
+        let cut = word.length - 1;
+        while (cut > 1 && !fits(word.slice(0, cut))) cut--;
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+      line = word;
+    }
+    lines.push(line);
+  }
+  return lines.length ? lines : [""];
+}
+
+// Draws wrapped text downward from y (baseline of the first line); returns the y below the last line.
+export function drawWrapped(page, text, x, y, { font, size = 10, maxWidth, lineHeight = size * 1.25, color = rgb(0, 0, 0) }) {
+  for (const line of wrapText(font, text, size, maxWidth)) {
+    page.drawText(line, { x, y, size, font, color });
+    y -= lineHeight;
+  }
+  return y;
+}
+
+/**
+ * Page cursor. `onNewPage(page, cursor)` draws the running header and may move cursor.y down.
+ * Leave `bottom` room for the footer that drawFooter() adds afterwards.
+ */
+export function createCursor(pdfDoc, { size, orientation, margin = 50, bottom = 60, onNewPage } = {}) {
+  const dims = pageSize(size, orientation);
+  const c = {
+    page: null,
+    y: 0,
+    margin,
+    width: dims[0] - margin * 2,
+    pageWidth: dims[0],
+    pageHeight: dims[1],
+  };
+  c.newPage = () => {
+    c.page = pdfDoc.addPage(dims);
+    c.y = dims[1] - margin;
+    if (onNewPage) onNewPage(c.page, c);
+    return c.page;
+  };
+  // Start a new page when h points will not fit; true when a break happened.
+  c.ensure = (h) => {
+    if (!c.page || c.y - h < bottom) {
+      c.newPage();
+      return true;
+    }
+    return false;
+  };
+  return c;
+}
+
+/**
+ * Pick and order columns from a catalog. `keys` is an array or "a,b,c"; unknown keys are ignored,
+ * an empty selection returns the catalog's defaults (columns without `optional: true`).
+ */
+export function selectColumns(catalog, keys) {
+  const list = Array.isArray(keys) ? keys : String(keys || "").split(",");
+  const wanted = list.map((k) => k.trim()).filter(Boolean);
+  const picked = wanted.map((k) => catalog.find((c) => c.key === k)).filter(Boolean);
+  return picked.length ? picked : catalog.filter((c) => !c.optional);
+}
+
+// Column `width` values are relative weights; scale them to the available width.
+function resolveWidths(columns, total) {
+  const sum = columns.reduce((a, c) => a + (c.width || 1), 0);
+  return columns.map((c) => ({ ...c, w: ((c.width || 1) / sum) * total }));
+}
+
+const cellText = (col, row) => {
+  const v = col.format ? col.format(row[col.key], row) : row[col.key];
+  return v === null || v === undefined ? "" : String(v);
+};
+
+/**
+ * Draw a table at the cursor, breaking pages (and repeating the header) as needed.
+ * @param {object} c        cursor from createCursor()
+ * @param {object} opts
+ *   columns   [{ key, title, width (weight), align?: "right", format?(value,row), sum?: boolean }]
+ *   rows      array of plain objects
+ *   fonts     { regular, bold }
+ *   fontSize  default 9
+ *   groupBy   row key to group by (e.g. "room"); groups keep first-seen order
+ *   subtotals true to add a subtotal row per group and a grand total (sums columns with `sum: true`)
+ *   empty     text when there are no rows
+ */
+export function drawTable(c, { columns, rows, fonts, fontSize = 9, groupBy = null, subtotals = false, empty = "None." }) {
+  const pad = 4;
+  const lineH = fontSize * 1.25;
+  const cols = resolveWidths(columns, c.width);
+  const x0 = c.margin;
+
+  const measure = (row, font) =>
+    cols.map((col) => wrapText(font, cellText(col, row), fontSize, col.w - pad * 2));
+
+  const drawRow = (row, { font = fonts.regular, fill = null } = {}) => {
+    const cells = measure(row, font);
+    const h = Math.max(...cells.map((l) => l.length)) * lineH + pad * 2;
+    if (c.ensure(h)) header();
+    if (fill) c.page.drawRectangle({ x: x0, y: c.y - h, width: c.width, height: h, color: fill });
+    let x = x0;
+    cols.forEach((col, i) => {
+      let y = c.y - pad - fontSize;
+      for (const line of cells[i]) {
+        const tx = col.align === "right" ? x + col.w - pad - font.widthOfTextAtSize(line, fontSize) : x + pad;
+        c.page.drawText(line, { x: tx, y, size: fontSize, font });
+        y -= lineH;
+      }
+      x += col.w;
+    });
+    c.page.drawLine({ start: { x: x0, y: c.y - h }, end: { x: x0 + c.width, y: c.y - h }, thickness: 0.25, color: rgb(0.8, 0.8, 0.8) });
+    c.y -= h;
+  };
+
+  // Header row; drawn directly so a page break inside drawRow cannot recurse into it
+  function header() {
+    const cells = measure(Object.fromEntries(cols.map((col) => [col.key, col.title])), fonts.bold);
+    const h = Math.max(...cells.map((l) => l.length)) * lineH + pad * 2;
+    c.page.drawRectangle({ x: x0, y: c.y - h, width: c.width, height: h, color: rgb(0.93, 0.93, 0.93) });
+    let x = x0;
+    cols.forEach((col, i) => {
+      let y = c.y - pad - fontSize;
+      for (const line of cells[i]) {
+        c.page.drawText(line, { x: x + pad, y, size: fontSize, font: fonts.bold });
+        y -= lineH;
+      }
+      x += col.w;
+    });
+    c.y -= h;
+  }
+
+  c.ensure(lineH * 4);
+  header();
+  if (!rows.length) {
+    c.page.drawText(safeText(fonts.regular, empty), { x: x0 + pad, y: c.y - pad - fontSize, size: fontSize, font: fonts.regular, color: GREY });
+    c.y -= lineH + pad * 2 + 8;
+    return;
+  }
+
+  const totals = (list, label) => {
+    const t = {};
+    cols.forEach((col) => {
+      if (col.sum) t[col.key] = list.reduce((a, r) => a + (Number(r[col.key]) || 0), 0);
+    });
+    t[cols[0].key] = label;
+    return t;
+  };
+  const labelCol = cols[0].key;
+
+  if (!groupBy) {
+    rows.forEach((row, i) => drawRow(row, { fill: i % 2 === 1 ? rgb(0.975, 0.975, 0.975) : null }));
+    if (subtotals) drawRow(totals(rows, "Total"), { font: fonts.bold, fill: rgb(0.93, 0.93, 0.93) });
+    c.y -= 12;
+    return;
+  }
+
+  const groups = new Map();
+  rows.forEach((r) => {
+    const k = String(r[groupBy] ?? "").trim() || "(none)";
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  });
+  for (const [name, list] of groups) {
+    // keep the group title with at least its first row
+    c.ensure(lineH * 3 + pad * 4);
+    drawRow({ [labelCol]: name }, { font: fonts.bold, fill: rgb(0.88, 0.91, 0.96) });
+    list.forEach((row, i) => drawRow(row, { fill: i % 2 === 1 ? rgb(0.975, 0.975, 0.975) : null }));
+    if (subtotals) drawRow(totals(list, `Subtotal – ${name}`), { font: fonts.bold, fill: rgb(0.95, 0.95, 0.95) });
+  }
+  if (subtotals) drawRow(totals(rows, "Total"), { font: fonts.bold, fill: rgb(0.9, 0.9, 0.9) });
+  c.y -= 12;
+}
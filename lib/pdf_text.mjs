@@ -0,0 +1,309 @@
+// lib/pdf_text.mjs
+// Positioned text from text-based PDFs (purchase orders, packing slips), built on pdf-lib's stream
+// decoding so no extra dependency is needed. Scanned PDFs have no text layer and come back empty.
+// Server-side (lib/manifest_ingest.mjs).
+//
+//   const pages = await extractPdfText(bytes);   // [{ page: 1, items: [{ x, y, width, size, text }] }]
+//   const lines = textLines(pages[0].items);      // [{ y, size, cells: [{ x, x2, text }] }] top to bottom
+//
+// Handles Tj / TJ / ' / " with Td, TD, Tm, T*, cm and q / Q; ToUnicode maps for embedded / CID fonts,
+// byte-per-char (WinAnsi-ish) otherwise. Widths come from the font's Widths / W arrays, else 0.5 em.
+
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFRawStream, PDFNumber, decodePDFRawStream } from "pdf-lib";
+
+// ---------- content stream tokens ----------
+const WS = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIM = new Set([..."()<>[]{}/%"].map((c) => c.charCodeAt(0)));
+
+function* tokenize(bytes) {
+  let i = 0;
+  const n = bytes.length;
+  while (i < n) {
+    const c = bytes[i];
+    if (WS.has(c)) { i++; continue; }
+    if (c === 0x25) { while (i < n && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++; continue; } // % comment
+    if (c === 0x28) { // (literal string)
+      const out = [];
+      let depth = 1;
+      i++;
+      while (i < n && depth) {
+        let b = bytes[i++];
+        if (b === 0x5c) { // backslash escape
+          const e = bytes[i++];
+          const simple = { 0x6e: 10, 0x72: 13, 0x74: 9, 0x62: 8, 0x66: 12 }[e];
+          if (simple !== undefined) out.push(simple);
+          else if (e >= 0x30 && e <= 0x37) {
+            let oct = e - 0x30;
+            for (let k = 0; k < 2 && bytes[i] >= 0x30 && bytes[i] <= 0x37; k++) oct = oct * 8 + (bytes[i++] - 0x30);
+            out.push(oct & 0xff);
+          } else if (e === 0x0d) { if (bytes[i] === 0x0a) i++; } // line continuation
+          else if (e !== 0x0a) out.push(e);
+          continue;
+        }
+        if (b === 0x28) depth++;
+        if (b === 0x29 && --depth === 0) break;
+        out.push(b);
+      }
+      yield { type: "string", bytes: Uint8Array.from(out) };
+      continue;
+    }
+    if (c === 0x3c && bytes[i + 1] === 0x3c) { yield { type: "op", value: "<<" }; i += 2; continue; }
+    if (c === 0x3e && bytes[i + 1] === 0x3e) { yield { type: "op", value: ">>" }; i += 2; continue; }
+    if (c === 0x3c) { // <hex string>
+      let hex = "";
+      i++;
+      while (i < n && bytes[i] !== 0x3e) { if (!WS.has(bytes[i])) hex += String.fromCharCode(bytes[i]); i++; }
+      i++;
+      if (hex.length % 2) hex += "0";
+      yield { type: "string", bytes: Uint8Array.from(hex.match(/../g) || [], (h) => parseInt(h, 16)) };
+      continue;
+    }
+    if (c === 0x5b || c === 0x5d || c === 0x7b || c === 0x7d) { yield { type: "op", value: String.fromCharCode(c) }; i++; continue; }
+    let s = "";
+    if (c === 0x2f) { s = "/"; i++; }
+    while (i < n && !WS.has(bytes[i]) && !DELIM.has(bytes[i])) s += String.fromCharCode(bytes[i++]);
+    if (!s) { i++; continue; }
+    if (s[0] === "/") yield { type: "name", value: s.slice(1) };
+    else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(s)) yield { type: "number", value: Number(s) };
+    else {
+      yield { type: "op", value: s };
+      if (s === "ID") { // inline image data: skip to EI
+        i++;
+        while (i < n && !(WS.has(bytes[i - 1]) && bytes[i] === 0x45 && bytes[i + 1] === 0x49 && (i + 2 >= n || WS.has(bytes[i + 2])))) i++;
+        i += 2;
+      }
+    }
+  }
+}
+
+// ---------- fonts ----------
+const hexToInt = (h) => parseInt(h, 16);
+const utf16 = (hex) => {
+  let s = "";
+  for (let k = 0; k + 4 <= hex.length; k += 4) s += String.fromCharCode(parseInt(hex.slice(k, k + 4), 16));
+  return s || String.fromCharCode(parseInt(hex || "0", 16));
+};
+
+// ToUnicode CMap: bfchar / bfrange entries, and the code width from codespacerange
+export function parseCMap(text) {
+  const map = new Map();
+  let bytesPerCode = 1;
+  const space = /begincodespacerange([\s\S]*?)endcodespacerange/.exec(text);
+  if (space) {
+    const first = /<([0-9a-fA-F]+)>/.exec(space[1]);
+    if (first) bytesPerCode = Math.max(1, first[1].length / 2);
+  }
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) map.set(hexToInt(m[1]), utf16(m[2]));
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const lo = hexToInt(m[1]);
+      const hi = hexToInt(m[2]);
+      if (m[3][0] === "[") {
+        [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((d, k) => map.set(lo + k, utf16(d[1])));
+      } else {
+        const dst = m[3].slice(1, -1);
+        const base = hexToInt(dst.slice(-4) || "0");
+        const prefix = dst.length > 4 ? utf16(dst.slice(0, -4)) : "";
+        for (let code = lo; code <= hi && code - lo < 65536; code++) map.set(code, prefix + String.fromCharCode(base + code - lo));
+      }
+    }
+  }
+  return { map, bytesPerCode };
+}
+
+const num = (obj) => (obj instanceof PDFNumber ? obj.asNumber() : Number(obj?.asNumber?.() ?? NaN));
+const streamText = (stream) => {
+  const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents?.();
+  return bytes ? Buffer.from(bytes).toString("latin1") : "";
+};
+
+function loadFont(doc, dict) {
+  const font = { bytesPerCode: 1, toUnicode: null, widths: new Map(), defaultWidth: 500 };
+  if (!(dict instanceof PDFDict)) return font;
+  const subtype = dict.lookup(PDFName.of("Subtype"))?.asString?.();
+  if (subtype === "/Type0") {
+    font.bytesPerCode = 2;
+    const desc = dict.lookup(PDFName.of("DescendantFonts"), PDFArray)?.lookup(0, PDFDict);
+    if (desc) {
+      const dw = num(desc.lookup(PDFName.of("DW")));
+      if (Number.isFinite(dw)) font.defaultWidth = dw;
+      const w = desc.lookup(PDFName.of("W"));
+      if (w instanceof PDFArray) {
+        // [c [w1 w2 ...]] or [cFirst cLast w]
+        for (let k = 0; k < w.size();) {
+          const first = num(w.lookup(k));
+          const next = w.lookup(k + 1);
+          if (next instanceof PDFArray) {
+            for (let j = 0; j < next.size(); j++) font.widths.set(first + j, num(next.lookup(j)));
+            k += 2;
+          } else {
+            const last = num(next);
+            const width = num(w.lookup(k + 2));
+            for (let code = first; code <= last && code - first < 65536; code++) font.widths.set(code, width);
+            k += 3;
+          }
+        }
+      }
+    }
+  } else {
+    const firstChar = num(dict.lookup(PDFName.of("FirstChar")));
+    const widths = dict.lookup(PDFName.of("Widths"));
+    if (widths instanceof PDFArray && Number.isFinite(firstChar)) {
+      for (let j = 0; j < widths.size(); j++) font.widths.set(firstChar + j, num(widths.lookup(j)));
+    }
+  }
+  const tu = dict.lookup(PDFName.of("ToUnicode"));
+  if (tu instanceof PDFRawStream) {
+    try {
+      const cmap = parseCMap(streamText(tu));
+      font.toUnicode = cmap.map;
+      if (subtype === "/Type0") font.bytesPerCode = cmap.bytesPerCode;
+    } catch { /* keep byte decoding */ }
+  }
+  return font;
+}
+
+function decodeString(font, bytes) {
+  const glyphs = [];
+  for (let k = 0; k + font.bytesPerCode <= bytes.length; k += font.bytesPerCode) {
+    const code = font.bytesPerCode === 2 ? (bytes[k] << 8) | bytes[k + 1] : bytes[k];
+    const text = font.toUnicode?.get(code) ?? (font.bytesPerCode === 1 ? String.fromCharCode(code) : "");
+    glyphs.push({ code, text, width: font.widths.get(code) ?? font.defaultWidth });
+  }
+  return glyphs;
+}
+
+// ---------- text state machine ----------
+const mul = (a, b) => [
+  a[0] * b[0] + a[1] * b[2], a[0] * b[1] + a[1] * b[3],
+  a[2] * b[0] + a[3] * b[2], a[2] * b[1] + a[3] * b[3],
+  a[4] * b[0] + a[5] * b[2] + b[4], a[4] * b[1] + a[5] * b[3] + b[5],
+];
+const translate = (tx, ty) => [1, 0, 0, 1, tx, ty];
+
+function pageItems(doc, page) {
+  const fonts = new Map();
+  const fontDicts = page.node.Resources()?.lookup(PDFName.of("Font"));
+  const fontFor = (name) => {
+    if (!fonts.has(name)) fonts.set(name, loadFont(doc, name && fontDicts instanceof PDFDict ? fontDicts.lookup(PDFName.of(name)) : null));
+    return fonts.get(name);
+  };
+
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? Array.from({ length: contents.size() }, (_, k) => contents.lookup(k))
+    : [contents];
+  const src = streams.filter(Boolean).map(streamText).join("\n");
+
+  const items = [];
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  let tm = [1, 0, 0, 1, 0, 0];
+  let tlm = tm;
+  let font = fontFor(null);
+  let size = 12;
+  let leading = 0;
+  let charSpace = 0;
+  let wordSpace = 0;
+  let hScale = 1;
+  let operands = [];
+
+  const nextLine = (tx, ty) => { tlm = mul(translate(tx, ty), tlm); tm = tlm; };
+  const show = (parts) => {
+    const m = mul(tm, ctm);
+    const scale = Math.hypot(m[2], m[3]) || 1;
+    const start = { x: m[4], y: m[5] };
+    let text = "";
+    let advance = 0;
+    for (const part of parts) {
+      if (typeof part === "number") { advance -= (part / 1000) * size * hScale; continue; }
+      for (const g of decodeString(font, part)) {
+        text += g.text;
+        advance += ((g.width / 1000) * size + charSpace + (g.code === 32 && font.bytesPerCode === 1 ? wordSpace : 0)) * hScale;
+      }
+    }
+    tm = mul(translate(advance, 0), tm);
+    if (text.trim()) items.push({ x: start.x, y: start.y, width: advance * Math.hypot(m[0], m[1]), size: size * scale, text });
+  };
+
+  for (const tok of tokenize(Buffer.from(src, "latin1"))) {
+    if (tok.type !== "op") { operands.push(tok.type === "string" ? tok.bytes : tok.value); continue; }
+    const o = operands;
+    switch (tok.value) {
+      case "[": operands.push("["); continue;
+      case "]": {
+        const at = o.lastIndexOf("[");
+        const arr = o.splice(at);
+        arr.shift();
+        o.push(arr);
+        continue;
+      }
+      case "<<": case ">>": continue; // inline dicts (BDC properties) are skipped with their operands
+      case "q": stack.push(ctm); break;
+      case "Q": ctm = stack.pop() || ctm; break;
+      case "cm": if (o.length >= 6) ctm = mul(o.slice(-6), ctm); break;
+      case "BT": tm = tlm = [1, 0, 0, 1, 0, 0]; break;
+      case "Tf": font = fontFor(o[o.length - 2]); size = Number(o[o.length - 1]) || size; break;
+      case "TL": leading = Number(o[0]) || 0; break;
+      case "Tc": charSpace = Number(o[0]) || 0; break;
+      case "Tw": wordSpace = Number(o[0]) || 0; break;
+      case "Tz": hScale = (Number(o[0]) || 100) / 100; break;
+      case "Td": nextLine(Number(o[0]) || 0, Number(o[1]) || 0); break;
+      case "TD": leading = -(Number(o[1]) || 0); nextLine(Number(o[0]) || 0, Number(o[1]) || 0); break;
+      case "Tm": if (o.length >= 6) tm = tlm = o.slice(-6).map(Number); break;
+      case "T*": nextLine(0, -leading); break;
+      case "Tj": if (o[0] instanceof Uint8Array) show([o[0]]); break;
+      case "TJ": if (Array.isArray(o[0])) show(o[0]); break;
+      case "'": nextLine(0, -leading); if (o[0] instanceof Uint8Array) show([o[0]]); break;
+      case "\"": wordSpace = Number(o[0]) || 0; charSpace = Number(o[1]) || 0; nextLine(0, -leading); if (o[2] instanceof Uint8Array) show([o[2]]); break;
+      default: break;
+    }
+    operands = [];
+  }
+  return items;
+}
+
+/**
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {Promise<Array<{ page: number, width: number, height: number, items: Array<{ x, y, width, size, text }> }>>}
+ */
+export async function extractPdfText(bytes) {
+  const doc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  return doc.getPages().map((page, k) => {
+    const { width, height } = page.getSize();
+    let items = [];
+    try { items = pageItems(doc, page); } catch { items = []; } // one unreadable page should not sink the file
+    return { page: k + 1, width, height, items };
+  });
+}
+
+/**
+ * Group a page's items into lines (same baseline, top to bottom) and the line into cells:
+ * items closer than ~one character apart join into one cell ("Sonos" + "Arc" -> "Sonos Arc").
+ */
+export function textLines(items) {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const it of sorted) {
+    const line = lines.find((l) => Math.abs(l.y - it.y) <= Math.max(2, it.size * 0.35));
+    if (line) line.items.push(it);
+    else lines.push({ y: it.y, items: [it] });
+  }
+  return lines.map((l) => {
+    const cells = [];
+    for (const it of l.items.sort((a, b) => a.x - b.x)) {
+      const last = cells[cells.length - 1];
+      const gap = last ? it.x - last.x2 : Infinity;
+      if (last && gap < Math.max(it.size, 4) * 0.9) {
+        last.text += (gap > it.size * 0.15 && !/\s$/.test(last.text) && !/^\s/.test(it.text) ? " " : "") + it.text;
+        last.x2 = Math.max(last.x2, it.x + it.width);
+      } else {
+        cells.push({ x: it.x, x2: it.x + it.width, text: it.text });
+      }
+    }
+    cells.forEach((c) => { c.text = c.text.replace(/\s+/g, " ").trim(); });
+    return { y: l.y, size: Math.max(...l.items.map((it) => it.size)), cells: cells.filter((c) => c.text) };
+  }).filter((l) => l.cells.length);
+}
@@ -0,0 +1,138 @@
+// lib/photo_markup.mjs
+// Arrow / circle markup over a photo, kept as a separate layer: the photo itself is never changed.
+// Shapes use 0..1 coordinates (fractions of the image), so they redraw at any size and can be edited later.
+//
+//   shape = { type: "arrow" | "circle", color, x1, y1, x2, y2 }   circle: centre (x1,y1), edge point (x2,y2)
+//
+// Usage:
+//   import { openMarkup, renderLayer, drawShapes } from "./lib/photo_markup.mjs";
+//   const shapes = await openMarkup(blob, previous);   // null when cancelled
+//   const png = await renderLayer(shapes, width, height); // transparent PNG of just the markup
+
+export const COLORS = ["#e11d48", "#facc15", "#2563eb", "#ffffff"];
+
+export function drawShapes(ctx, shapes, width, height) {
+  const lw = Math.max(3, Math.round(Math.max(width, height) / 250));
+  ctx.save();
+  ctx.lineWidth = lw;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  for (const s of shapes || []) {
+    const x1 = s.x1 * width, y1 = s.y1 * height, x2 = s.x2 * width, y2 = s.y2 * height;
+    ctx.strokeStyle = s.color;
+    ctx.fillStyle = s.color;
+    ctx.beginPath();
+    if (s.type === "circle") {
+      ctx.arc(x1, y1, Math.hypot(x2 - x1, y2 - y1), 0, Math.PI * 2);
+      ctx.stroke();
+      continue;
+    }
+    // arrow: shaft from (x1,y1), head at (x2,y2)
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const head = lw * 5;
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+// Transparent PNG the size of the photo, to lay over it in the gallery / PDFs
+export async function renderLayer(shapes, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  drawShapes(canvas.getContext("2d"), shapes, width, height);
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * Full-screen editor. Drag to draw; the tool and colour buttons pick what is drawn.
+ * @param {Blob} imageBlob
+ * @param {Array} initial  shapes from an earlier edit
+ * @returns {Promise<Array|null>}  shapes, or null when cancelled
+ */
+export function openMarkup(imageBlob, initial = []) {
+  return new Promise(async (resolve) => {
+    const bitmap = await createImageBitmap(imageBlob);
+    const shapes = [...(initial || [])];
+    let tool = "arrow";
+    let color = COLORS[0];
+    let drag = null;
+
+    const wrap = document.createElement("div");
+    wrap.style.cssText = "position:fixed;inset:0;z-index:10000;background:rgba(0,0,0,.85);display:flex;flex-direction:column;align-items:center;justify-content:center;gap:8px;padding:8px";
+    wrap.innerHTML = `
+      <div style="display:flex;gap:6px;flex-wrap:wrap;justify-content:center">
+        <button type="button" data-tool="arrow">➜ Arrow</button>
+        <button type="button" data-tool="circle">◯ Circle</button>
+        ${COLORS.map((c) => `<button type="button" data-color="${c}" style="width:34px;background:${c}" aria-label="colour ${c}">&nbsp;</button>`).join("")}
+        <button type="button" data-act="undo">Undo</button>
+        <button type="button" data-act="clear">Clear</button>
+        <button type="button" data-act="cancel">Cancel</button>
+        <button type="button" data-act="done"><b>Done</b></button>
+      </div>
+      <canvas style="touch-action:none;max-width:100%;max-height:calc(100vh - 80px);background:#222"></canvas>`;
+    document.body.appendChild(wrap);
+
+    const canvas = wrap.querySelector("canvas");
+    const scale = Math.min(1, 1600 / Math.max(bitmap.width, bitmap.height));
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext("2d");
+
+    const redraw = () => {
+      ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      drawShapes(ctx, drag ? [...shapes, drag] : shapes, canvas.width, canvas.height);
+      wrap.querySelectorAll("[data-tool]").forEach((b) => { b.style.outline = b.dataset.tool === tool ? "3px solid #fff" : ""; });
+      wrap.querySelectorAll("[data-color]").forEach((b) => { b.style.outline = b.dataset.color === color ? "3px solid #fff" : ""; });
+    };
+    const point = (e) => {
+      const r = canvas.getBoundingClientRect();
+      return { x: Math.min(1, Math.max(0, (e.clientX - r.left) / r.width)), y: Math.min(1, Math.max(0, (e.clientY - r.top) / r.height)) };
+    };
+
+    canvas.addEventListener("pointerdown", (e) => {
+      canvas.setPointerCapture(e.pointerId);
+      const p = point(e);
+      drag = { type: tool, color, x1: p.x, y1: p.y, x2: p.x, y2: p.y };
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      if (!drag) return;
+      const p = point(e);
+      drag.x2 = p.x;
+      drag.y2 = p.y;
+      redraw();
+    });
+    canvas.addEventListener("pointerup", () => {
+      // ignore taps that did not drag
+      if (drag && Math.hypot(drag.x2 - drag.x1, drag.y2 - drag.y1) > 0.01) shapes.push(drag);
+      drag = null;
+      redraw();
+    });
+
+    const close = (result) => {
+      bitmap.close?.();
+      wrap.remove();
+      resolve(result);
+    };
+    wrap.addEventListener("click", (e) => {
+      const b = e.target.closest("button");
+      if (!b) return;
+      if (b.dataset.tool) tool = b.dataset.tool;
+      if (b.dataset.color) color = b.dataset.color;
+      if (b.dataset.act === "undo") shapes.pop();
+      if (b.dataset.act === "clear") shapes.length = 0;
+      if (b.dataset.act === "cancel") return close(null);
+      if (b.dataset.act === "done") return close(shapes);
+      redraw();
+    });
+    redraw();
+  });
+}
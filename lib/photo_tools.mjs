@@ -0,0 +1,165 @@
+// lib/photo_tools.mjs
+// Browser-side photo prep for upload.html: EXIF (capture time + GPS) and resize/compress before upload.
+// EXIF has to be read from the original file: re-encoding through a canvas drops it.
+//
+// Usage:
+//   import { readExif, compressImage } from "./lib/photo_tools.mjs";
+//   const exif = await readExif(file);            // { takenAt, lat, lng } (any of them may be null)
+//   const out = await compressImage(file);        // { blob, width, height, compressed }
+
+const EXIF_SCAN_BYTES = 256 * 1024; // APP1 sits at the start of the file
+
+const TAG = {
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTime: 0x0132,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+  gpsLatRef: 0x0001,
+  gpsLat: 0x0002,
+  gpsLngRef: 0x0003,
+  gpsLng: 0x0004,
+};
+
+// Bytes per component for the TIFF types we read
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readIfd(view, tiff, offset, little) {
+  const out = new Map();
+  if (offset + 2 > view.byteLength) return out;
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const e = offset + 2 + i * 12;
+    if (e + 12 > view.byteLength) break;
+    const tag = view.getUint16(e, little);
+    const type = view.getUint16(e + 2, little);
+    const n = view.getUint32(e + 4, little);
+    const size = (TYPE_SIZE[type] || 1) * n;
+    const at = size > 4 ? tiff + view.getUint32(e + 8, little) : e + 8;
+    if (at + size > view.byteLength) continue;
+    out.set(tag, readValue(view, type, n, at, little));
+  }
+  return out;
+}
+
+function readValue(view, type, n, at, little) {
+  if (type === 2) {
+    let s = "";
+    for (let i = 0; i < n; i++) {
+      const c = view.getUint8(at + i);
+      if (!c) break;
+      s += String.fromCharCode(c);
+    }
+    return s.trim();
+  }
+  const vals = [];
+  for (let i = 0; i < n; i++) {
+    if (type === 3) vals.push(view.getUint16(at + i * 2, little));
+    else if (type === 4) vals.push(view.getUint32(at + i * 4, little));
+    else if (type === 9) vals.push(view.getInt32(at + i * 4, little));
+    else if (type === 5 || type === 10) {
+      const get = type === 5 ? "getUint32" : "getInt32";
+      const num = view[get](at + i * 8, little);
+      const den = view[get](at + i * 8 + 4, little);
+      vals.push(den ? num / den : 0);
+    } else vals.push(view.getUint8(at + i));
+  }
+  return n === 1 ? vals[0] : vals;
+}
+
+// "2025:03:14 09:26:53" (+ optional "+02:00") -> ISO string. Without an offset it is camera-local time.
+function exifDate(value, offset) {
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || "");
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m;
+  const date = /^[+-]\d{2}:\d{2}$/.test(offset || "")
+    ? new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`)
+    : new Date(+y, +mo - 1, +d, +h, +mi, +s);
+  return Number.isNaN(date.getTime()) || +y < 1990 ? null : date.toISOString();
+}
+
+function gpsCoord(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const v = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(v) || v === 0) return null;
+  return Math.round((ref === "S" || ref === "W" ? -v : v) * 1e7) / 1e7;
+}
+
+/**
+ * Capture time and GPS from a JPEG's EXIF block. Anything missing (PNG, HEIC, stripped files) comes back null.
+ * @param {Blob} file
+ * @returns {Promise<{ takenAt: string|null, lat: number|null, lng: number|null }>}
+ */
+export async function readExif(file) {
+  const none = { takenAt: null, lat: null, lng: null };
+  try {
+    const view = new DataView(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return none;
+
+    let p = 2;
+    while (p + 4 <= view.byteLength) {
+      const marker = view.getUint16(p);
+      const len = view.getUint16(p + 2);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // start of scan: no EXIF ahead
+      // APP1 "Exif\0\0"
+      if (marker === 0xffe1 && view.getUint32(p + 4) === 0x45786966 && view.getUint16(p + 8) === 0) {
+        const tiff = p + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd0 = readIfd(view, tiff, tiff + view.getUint32(tiff + 4, little), little);
+        const exif = ifd0.has(TAG.exifIfd) ? readIfd(view, tiff, tiff + ifd0.get(TAG.exifIfd), little) : new Map();
+        const gps = ifd0.has(TAG.gpsIfd) ? readIfd(view, tiff, tiff + ifd0.get(TAG.gpsIfd), little) : new Map();
+        const lat = gpsCoord(gps.get(TAG.gpsLat), gps.get(TAG.gpsLatRef));
+        const lng = gpsCoord(gps.get(TAG.gpsLng), gps.get(TAG.gpsLngRef));
+        return {
+          takenAt: exifDate(exif.get(TAG.dateTimeOriginal) || ifd0.get(TAG.dateTime), exif.get(TAG.offsetTimeOriginal)),
+          lat: lat !== null && lng !== null ? lat : null,
+          lng: lat !== null && lng !== null ? lng : null,
+        };
+      }
+      p += 2 + len;
+    }
+  } catch (e) {
+    console.warn("EXIF read failed:", e);
+  }
+  return none;
+}
+
+/**
+ * Downscale to maxDim on the long edge and re-encode as JPEG. Keeps the original when the browser
+ * can't decode it (e.g. HEIC outside Safari) or when re-encoding would not make it smaller.
+ * @param {File|Blob} file
+ * @param {{ maxDim?: number, quality?: number }} opts
+ * @returns {Promise<{ blob: Blob, width: number|null, height: number|null, compressed: boolean }>}
+ */
+export async function compressImage(file, { maxDim = 2048, quality = 0.82 } = {}) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  } catch {
+    return { blob: file, width: null, height: null, compressed: false };
+  }
+  const scale = Math.min(1, maxDim / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+  if (!blob || (scale === 1 && blob.size >= file.size && file.type === "image/jpeg")) {
+    return { blob: file, width, height, compressed: false };
+  }
+  return { blob, width, height, compressed: true };
+}
+
+// Local value for <input type="datetime-local">
+export function toLocalInput(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export const formatBytes = (n) => (n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(n / 1024))} KB`);
@@ -0,0 +1,73 @@
+// lib/product_catalog.mjs
+// Product catalog lookups for the Netlify functions (sql/017_product_catalog.sql). Server-side: uses the
+// Service Role helpers. Lines linked by work_order_items.product_id use that; anything else (punchlist
+// items, incoming manifest rows) matches on manufacturer + model + SKU the same way the SQL trigger does.
+
+import { select } from "./supabase_rest.mjs";
+
+export const CATALOG_FIELDS = [
+  "description", "category", "model_url", "manual_url", "spec_url",
+  "weight_lbs", "dimensions", "serialized", "install_notes",
+];
+
+const PRODUCT_COLS = ["id", "manufacturer", "model", "sku", ...CATALOG_FIELDS].join(",");
+
+// Mirrors public.catalog_norm()
+export const catalogNorm = (v) => String(v ?? "").trim().replace(/\s+/g, " ").toUpperCase();
+
+export const productKey = (r) => `${catalogNorm(r.manufacturer)}|${catalogNorm(r.model)}|${catalogNorm(r.sku)}`;
+
+// PostgREST in.(...) list with every value quoted
+const inList = (values) => `(${values.map((v) => `"${String(v).replace(/["\\]/g, "\\$&")}"`).join(",")})`;
+
+/** Catalog rows for the given lines: by product_id where set, else by model. [] when the table is missing. */
+export async function loadProducts(rows) {
+  const ids = [...new Set(rows.map((r) => r.product_id).filter(Boolean))];
+  const models = [...new Set(rows.filter((r) => !r.product_id && String(r.model ?? "").trim()).map((r) => String(r.model).trim()))];
+  try {
+    const [byId, byModel] = await Promise.all([
+      ids.length ? select("products", `select=${PRODUCT_COLS}&id=in.${encodeURIComponent(inList(ids))}`) : [],
+      models.length ? select("products", `select=${PRODUCT_COLS}&model=in.${encodeURIComponent(inList(models))}`) : [],
+    ]);
+    return [...new Map([...byId, ...byModel].map((p) => [p.id, p])).values()];
+  } catch {
+    return []; // catalog not created yet: callers fall back to the line's own fields
+  }
+}
+
+/** The catalog product for one line: product_id, exact key, then manufacturer + model when either side has no SKU. */
+export function findProduct(products, r) {
+  if (r.product_id) {
+    const p = products.find((x) => x.id === r.product_id);
+    if (p) return p;
+  }
+  const key = productKey(r);
+  const exact = products.find((p) => productKey(p) === key);
+  if (exact || !catalogNorm(r.model)) return exact || null;
+  return products.find((p) =>
+    catalogNorm(p.manufacturer) === catalogNorm(r.manufacturer) &&
+    catalogNorm(p.model) === catalogNorm(r.model) &&
+    (!catalogNorm(p.sku) || !catalogNorm(r.sku))) || null;
+}
+
+/**
+ * Lines with their catalog details: the line's own description / links win, blanks come from the
+ * catalog. Adds `product` (or null), `product_category`, `spec_url` and `install_notes`.
+ */
+export async function withCatalog(rows) {
+  const products = await loadProducts(rows || []);
+  return (rows || []).map((r) => {
+    const p = findProduct(products, r);
+    if (!p) return { ...r, product: null };
+    return {
+      ...r,
+      product: p,
+      description: r.description || p.description || null,
+      model_url: r.model_url || p.model_url || null,
+      manual_url: r.manual_url || p.manual_url || null,
+      spec_url: p.spec_url || null,
+      product_category: p.category || null,
+      install_notes: p.install_notes || null,
+    };
+  });
+}
@@ -0,0 +1,232 @@
+// lib/punchlist_issues.mjs
+// Turns a technician's free-text punchlist note ("left sonos arc box crushed, corner dented, need replacement")
+// into structured issue fields, and drafts distributor claim emails per vendor.
+// Used by netlify/functions/punchlist_ai.js (with ai/local_ai_client.mjs) and punchlist.html (rules only,
+// when offline). Pure: the LLM client is passed in, never imported here.
+//
+// Issue: { category, severity, affected_qty, action, description, confidence }
+//   description is customer-facing: it goes into punchlist_items.issue, which the PDFs print.
+
+export const CATEGORIES = ["damaged", "missing", "wrong_item", "defective", "installation", "other"];
+export const SEVERITIES = ["low", "medium", "high", "critical"];
+export const ACTIONS = ["replace", "return", "repair"];
+
+export const CATEGORY_LABELS = {
+  damaged: "Damaged", missing: "Missing", wrong_item: "Wrong item",
+  defective: "Defective", installation: "Installation", other: "Other",
+};
+
+const str = (v) => String(v ?? "").trim();
+
+export const ISSUE_SCHEMA = {
+  type: "object",
+  required: ["category", "severity", "affected_qty", "action", "description", "confidence"],
+  properties: {
+    category: { type: "string", enum: CATEGORIES },
+    severity: { type: "string", enum: SEVERITIES },
+    affected_qty: { type: "integer", minimum: 0 },
+    action: { type: "string", enum: ACTIONS },
+    description: { type: "string", minLength: 1, maxLength: 240 },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+  },
+};
+
+export const CLAIM_SCHEMA = {
+  type: "object",
+  required: ["subject", "body"],
+  properties: {
+    subject: { type: "string", minLength: 1, maxLength: 160 },
+    body: { type: "string", minLength: 1, maxLength: 6000 },
+  },
+};
+
+// ---------- rules (offline fallback, and the deterministic mock) ----------
+const KEYWORDS = [
+  ["wrong_item", /\b(wrong (item|model|unit|size|color|colour)|not what (we|was) ordered|mis-?shipped|incorrect (item|model))\b/i],
+  ["missing", /\b(missing|short(ed)?|never (arrived|came|delivered)|not (delivered|received|in the box)|didn'?t (arrive|come)|lost)\b/i],
+  ["damaged", /\b(crush(ed)?|dent(ed)?|crack(ed)?|broken|scratch(ed)?|shatter(ed)?|bent|torn|smashed|damage(d)?|chipped|wet)\b/i],
+  ["defective", /\b(doa|dead on arrival|won'?t (power|turn on|boot)|no power|defect(ive)?|faulty|not working|dead pixels?|no picture|no sound)\b/i],
+  ["installation", /\b(install(ation)?|mount(ing)?|wiring|wired|bracket|drywall|conduit|cable run|terminat)\w*/i],
+];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, both: 2 };
+
+const NUM = "\\d+|one|two|three|four|five|six|seven|eight|nine|ten";
+// "3 of 4" (the count is the first number), "2 speakers missing" (not "65 inch ... damaged")
+const N_OF_M = new RegExp(`\\b(${NUM})\\s+(?:out\\s+)?of\\s+(?:the\\s+)?(?:${NUM})\\b`);
+const N_ISSUE = new RegExp(`\\b(${NUM})\\s+(?!(?:inch(?:es)?|in|ft|foot|feet|cm|mm|watts?|w)\\b)(?:[a-z-]+\\s+)?` +
+  "(?:missing|damaged|broken|cracked|dented|short|defective|dead|lost)\\b");
+
+// "3 of 4", "2 speakers missing", "2 boxes", "qty 3", "x2", "both" — a bare number is more likely
+// a size ("65 inch") than a count
+function quantityIn(note) {
+  const t = str(note).toLowerCase();
+  const m = t.match(N_OF_M)
+    || t.match(N_ISSUE)
+    || t.match(/\b(\d+)\s*(?:x\b|units?\b|boxes\b|box\b|pcs?\b|pieces?\b|of them\b)/)
+    || t.match(/\b(?:qty|quantity|x)\s*:?\s*(\d+)\b/)
+    || t.match(/\b(one|two|three|four|five|six|seven|eight|nine|ten|both)\b/);
+  if (!m) return null;
+  return /^\d+$/.test(m[1]) ? Number(m[1]) : NUMBER_WORDS[m[1]];
+}
+
+const sentence = (s) => {
+  const t = str(s).replace(/\s+/g, " ");
+  return t ? t[0].toUpperCase() + t.slice(1) + (/[.!?]$/.test(t) ? "" : ".") : "";
+};
+
+/**
+ * Keyword parse of a note. `item` gives context and fallbacks: { manufacturer, model, room, missing_qty, damaged_qty }.
+ * Confidence stays low (≤ 0.6) so the page shows these as suggestions, not facts.
+ */
+export function parseNoteRules(note, item = {}) {
+  const text = str(note);
+  const hit = KEYWORDS.find(([, re]) => re.test(text));
+  const category = hit ? hit[0]
+    : Number(item.damaged_qty) > 0 ? "damaged"
+    : Number(item.missing_qty) > 0 ? "missing"
+    : "other";
+  const qtyFromItem = category === "missing" ? Number(item.missing_qty) || 0
+    : category === "damaged" ? Number(item.damaged_qty) || 0 : 0;
+  const affected_qty = quantityIn(text) ?? (qtyFromItem || 1);
+
+  let action = category === "missing" || category === "wrong_item" ? "replace" : category === "installation" ? "repair" : "replace";
+  if (/\b(return|send (it )?back|rma|refund)\b/i.test(text)) action = "return";
+  else if (/\b(repair|fix|patch|touch[- ]?up|re-?terminate)\b/i.test(text)) action = "repair";
+  else if (/\b(replace(ment)?|swap|new one|reorder)\b/i.test(text)) action = "replace";
+
+  const severity = /\b(urgent|asap|critical|safety|leak|sparks?|smoke|fire)\b/i.test(text) ? "critical"
+    : category === "missing" || category === "wrong_item" || category === "defective" ? "high"
+    : /\b(scratch(ed)?|scuff(ed)?|cosmetic|minor)\b/i.test(text) ? "low"
+    : category === "damaged" ? "medium" : "low";
+
+  const product = [item.manufacturer, item.model].map(str).filter(Boolean).join(" ") || "Item";
+  const where = str(item.room) ? ` (${str(item.room)})` : "";
+  const what = {
+    damaged: `${affected_qty} × ${product}${where} arrived damaged`,
+    missing: `${affected_qty} × ${product}${where} not delivered`,
+    wrong_item: `${affected_qty} × ${product}${where}: wrong item delivered`,
+    defective: `${affected_qty} × ${product}${where} is defective`,
+    installation: `${product}${where}: installation issue`,
+    other: `${product}${where}`,
+  }[category];
+  const description = sentence(`${what}${text ? ` — ${text.replace(/[.!?\s]+$/, "")}` : ""}`).slice(0, 240);
+
+  return { category, severity, affected_qty, action, description, confidence: hit ? 0.6 : 0.3 };
+}
+
+// ---------- LLM ----------
+const ISSUE_SYSTEM = `You turn a field technician's punchlist note about low-voltage / AV equipment into structured JSON.
+category: one of ${CATEGORIES.join(", ")}. severity: one of ${SEVERITIES.join(", ")} (critical = safety or blocks handover).
+affected_qty: units affected (use the note, else the item's missing/damaged quantity). action: replace, return or repair.
+description: one or two plain sentences for the customer, no jargon, no blame, no internal shorthand; name the product and room.
+confidence: 0 to 1. Reply with JSON only.`;
+
+/**
+ * Structured issue for one note. Falls back to the rules when there is no client or the model fails.
+ * @returns {Promise<{ issue, source: "ai" | "rules", ai_error: string|null }>}
+ */
+export async function structureNote(note, item = {}, { client = null } = {}) {
+  if (!client) return { issue: parseNoteRules(note, item), source: "rules", ai_error: null };
+  try {
+    const issue = await client.chatJSON({
+      system: ISSUE_SYSTEM,
+      prompt: JSON.stringify({
+        note: str(note),
+        item: {
+          manufacturer: str(item.manufacturer) || null, model: str(item.model) || null, room: str(item.room) || null,
+          expected_qty: item.expected_qty ?? null, missing_qty: item.missing_qty ?? null, damaged_qty: item.damaged_qty ?? null,
+        },
+      }),
+      schema: ISSUE_SCHEMA,
+    });
+    return { issue: { ...issue, description: str(issue.description) }, source: "ai", ai_error: null };
+  } catch (err) {
+    return { issue: parseNoteRules(note, item), source: "rules", ai_error: err.message };
+  }
+}
+
+// ---------- claim emails ----------
+// Vendor = the item's manufacturer; claims go to the distributor's rep for that line
+export function groupByVendor(items) {
+  const out = new Map();
+  for (const it of items || []) {
+    const vendor = str(it.manufacturer) || "Unknown vendor";
+    if (!out.has(vendor)) out.set(vendor, []);
+    out.get(vendor).push(it);
+  }
+  return out;
+}
+
+const claimLine = (it) => {
+  const qty = it.affected_qty ?? (Number(it.missing_qty) || 0) + (Number(it.damaged_qty) || 0);
+  const cat = CATEGORY_LABELS[it.issue_category] || (Number(it.missing_qty) > 0 ? "Missing" : "Damaged");
+  return `- ${str(it.model) || "(no model)"} × ${qty} — ${cat}${it.suggested_action ? `, please ${it.suggested_action}` : ""}` +
+    `${str(it.room) ? ` (room: ${str(it.room)})` : ""}${str(it.issue) ? `\n  ${str(it.issue)}` : ""}`;
+};
+
+/** Plain template; the LLM only rewords it, so every claim has the same facts either way. */
+export function claimTemplate(vendor, items, wo = {}) {
+  const job = [str(wo.code), str(wo.project_name || wo.title)].filter(Boolean).join(" — ") || "our job";
+  return {
+    subject: `Claim: ${vendor} items for ${job}`,
+    body: [
+      "Hello,",
+      "",
+      `We are filing a claim for the following ${vendor} items on ${job}:`,
+      "",
+      ...items.map(claimLine),
+      "",
+      "Photos are available on request. Please confirm the replacement / return (RMA) details and the expected ship date.",
+      "",
+      "Thank you,",
+    ].join("\n"),
+  };
+}
+
+const CLAIM_SYSTEM = `You write short, polite claim emails from an AV installation company to an equipment distributor.
+Keep every model number, quantity and room exactly as given; do not invent order numbers, prices or dates.
+Reply with JSON only: {"subject": "...", "body": "..."} (plain text body, no markdown).`;
+
+/**
+ * One draft per vendor for the given punchlist items (open ones, usually).
+ * @returns {Promise<Array<{ vendor, subject, body, items: number, source: "ai" | "template", ai_error: string|null }>>}
+ */
+export async function draftClaimEmails(items, { wo = {}, client = null } = {}) {
+  const out = [];
+  for (const [vendor, list] of groupByVendor(items)) {
+    const draft = claimTemplate(vendor, list, wo);
+    let source = "template";
+    let ai_error = null;
+    if (client) {
+      try {
+        const ai = await client.chatJSON({
+          system: CLAIM_SYSTEM,
+          prompt: JSON.stringify({ vendor, job: { code: wo.code ?? null, name: wo.project_name || wo.title || null }, draft }),
+          schema: CLAIM_SCHEMA,
+        });
+        // Models drop lines; keep the template unless every model number survived
+        const kept = list.every((it) => !str(it.model) || ai.body.includes(str(it.model)));
+        if (kept) {
+          Object.assign(draft, { subject: str(ai.subject), body: str(ai.body) });
+          source = "ai";
+        } else {
+          ai_error = "AI draft left out items; using the template";
+        }
+      } catch (err) {
+        ai_error = err.message;
+      }
+    }
+    out.push({ vendor, ...draft, items: list.length, source, ai_error });
+  }
+  return out;
+}
+
+// ---------- mock model (LOCAL_AI_STUB=1 and tests) ----------
+// Answers the two prompts above deterministically from the rules / template.
+export function mockResponder({ messages }) {
+  const req = JSON.parse(messages.find((m) => m.role === "user").content);
+  if (req.draft) return req.draft;
+  const issue = parseNoteRules(req.note, req.item || {});
+  return { ...issue, confidence: 0.5 };
+}
@@ -0,0 +1,182 @@
+// lib/punchlist_pdf.mjs
+// Punchlist PDF rendering, shared by netlify/functions/punchlist_pdf.js (download) and lib/notifications.mjs
+// (email attachment). Branding: work order → company row → Netlify env, see lib/pdf_branding.mjs.
+
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { select } from "./supabase_rest.mjs";
+import { MUTED, embedRemoteImage, drawText, drawFooter, fitImage, drawSignatureBlock } from "./pdf_helpers.mjs";
+import { createCursor, drawTable, drawWrapped, selectColumns } from "./pdf_layout.mjs";
+import { loadBranding } from "./pdf_branding.mjs";
+import { signatureImageUrl } from "./signatures.mjs";
+import { withCatalog } from "./product_catalog.mjs";
+
+// width = relative weight; optional columns only appear when asked for
+const COLUMNS = [
+  { key: "manufacturer", title: "Manufacturer", width: 2.6 },
+  { key: "model", title: "Model", width: 2.2 },
+  { key: "room", title: "Room", width: 1.4 },
+  { key: "expected_qty", title: "Exp", width: 0.9, align: "right", sum: true },
+  { key: "received_qty", title: "Rec", width: 0.9, align: "right", sum: true },
+  { key: "missing_qty", title: "Miss", width: 0.9, align: "right", sum: true },
+  { key: "damaged_qty", title: "Dmg", width: 0.9, align: "right", sum: true },
+  { key: "issue", title: "Issue", width: 3.6 },
+  { key: "status", title: "Status", width: 1.2, optional: true },
+  { key: "assigned_to", title: "Assigned", width: 1.5, optional: true },
+  { key: "due_date", title: "Due", width: 1.2, optional: true },
+  { key: "issue_category", title: "Category", width: 1.3, optional: true },
+  { key: "severity", title: "Severity", width: 1.1, optional: true },
+  { key: "suggested_action", title: "Action", width: 1.1, optional: true },
+  { key: "notes", title: "Notes", width: 3.2, optional: true },
+  { key: "description", title: "Description", width: 3.2, optional: true },       // product catalog
+  { key: "product_category", title: "Type", width: 1.3, optional: true },         // product catalog
+  { key: "resolution_notes", title: "Resolution", width: 3.2, optional: true },
+];
+
+const DEFAULTS = { size: "letter", orientation: "landscape", group_by: null, subtotals: false, columns: null };
+
+export async function getPunchlistWithItems(punchlistId) {
+  // punchlist
+  const [pl] = await select("punchlists", `select=id,work_order_id,created_at,status&id=eq.${punchlistId}`);
+  if (!pl) throw new Error("Punchlist not found");
+
+  // items, with description / type from the product catalog
+  const items = await withCatalog(await select(
+    "punchlist_items",
+    `select=*&punchlist_id=eq.${pl.id}&order=manufacturer.asc,model.asc,room.asc`
+  ));
+
+  return { pl, items };
+}
+
+async function getWorkOrder(work_order_id) {
+  const [wo] = await select("work_orders", `select=*&id=eq.${work_order_id}`);
+  return wo || {};
+}
+
+// query string > company pdf_defaults > DEFAULTS
+function resolveOptions(query, pdfDefaults) {
+  const pick = (k, qk = k) => query[qk] ?? pdfDefaults?.[k] ?? DEFAULTS[k];
+  const group = pick("group_by", "group");
+  const subtotals = pick("subtotals");
+  return {
+    size: pick("size"),
+    orientation: pick("orientation"),
+    columns: selectColumns(COLUMNS, pick("columns")),
+    groupBy: group && group !== "none" ? group : null,
+    subtotals: subtotals === true || subtotals === "1" || subtotals === "true",
+  };
+}
+
+async function buildPdf({ branding, wo, punchlist, items, options }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const fonts = { regular: font, bold: fontBold };
+
+  // Pre-embed logos
+  const companyLogoImg = await embedRemoteImage(pdfDoc, branding.logo);
+  const clientLogoImg = await embedRemoteImage(pdfDoc, branding.clientLogo);
+  // Client signature captured in signature.html (blank line when not signed yet)
+  const signatureImg = await embedRemoteImage(pdfDoc, await signatureImageUrl(wo));
+
+  // Full letterhead on the first page, a one-line running header after that
+  const drawHeader = (page, c) => {
+    const leftX = c.margin;
+    const rightX = c.pageWidth - c.margin;
+    const topY = c.y;
+
+    if (pdfDoc.getPageCount() > 1) {
+      drawText(page, `${branding.companyName} — Punchlist • ${wo.code || ""} • ${wo.project_name || ""}`, leftX, topY, {
+        font, size: 9, color: MUTED, maxWidth: c.width,
+      });
+      c.y -= 22;
+      return;
+    }
+
+    // Company logo
+    let logoX = leftX;
+    if (companyLogoImg) {
+      const dim = fitImage(companyLogoImg, 140, 50);
+      page.drawImage(companyLogoImg, { x: logoX, y: topY - dim.height, width: dim.width, height: dim.height });
+      logoX += dim.width + 10;
+    }
+
+    // Client logo (top-right)
+    let textWidth = rightX - logoX;
+    if (clientLogoImg) {
+      const dimR = fitImage(clientLogoImg, 140, 50);
+      page.drawImage(clientLogoImg, { x: rightX - dimR.width, y: topY - dimR.height, width: dimR.width, height: dimR.height });
+      textWidth -= dimR.width + 10;
+    }
+
+    // Company name, tagline, address, contact
+    drawText(page, branding.companyName, logoX, topY - 10, { font: fontBold, size: 20, color: branding.accent || undefined, maxWidth: textWidth });
+    let y = topY - 28;
+    for (const line of [branding.tagline, branding.address, branding.contact].filter(Boolean)) {
+      drawText(page, line, logoX, y, { font, size: line === branding.tagline ? 10 : 9, color: MUTED, maxWidth: textWidth });
+      y -= 13;
+    }
+
+    // Big title
+    y = Math.min(y, topY - 56) - 16;
+    drawText(page, `${branding.companyName} — Punchlist`, leftX, y, { font: fontBold, size: 22, maxWidth: c.width });
+
+    // Meta
+    y -= 20;
+    drawText(page, `Punchlist ID: ${punchlist.id}`, leftX, y, { font, size: 10 });
+    drawText(page, `Work Order: ${wo.code || ""}`, leftX, y - 14, { font, size: 10 });
+    y = drawWrapped(page, `Project: ${wo.project_name || "Demo job"}${branding.clientName ? ` • Client: ${branding.clientName}` : ""}`, leftX, y - 28, {
+      font, size: 10, maxWidth: c.width,
+    });
+    c.y = y - 12;
+  };
+
+  const c = createCursor(pdfDoc, { size: options.size, orientation: options.orientation, onNewPage: drawHeader });
+  c.newPage();
+
+  drawTable(c, {
+    columns: options.columns,
+    rows: items,
+    fonts,
+    fontSize: 9,
+    groupBy: options.groupBy,
+    subtotals: options.subtotals,
+    empty: "No items.",
+  });
+
+  // Signature block, once, after the table
+  c.ensure(110);
+  const sigTop = Math.min(c.y - 70, c.margin + 90);
+  drawSignatureBlock(c.page, { x: c.margin, y: sigTop, caption: "Technician Signature / Date", font });
+  drawSignatureBlock(c.page, {
+    x: c.margin + 280,
+    y: sigTop,
+    image: signatureImg,
+    caption: "Client Signature / Date",
+    font,
+    detail: wo.signer_name
+      ? `${wo.signer_name}${wo.signed_at ? ` • ${new Date(wo.signed_at).toLocaleString()}` : ""}`
+      : "",
+  });
+
+  // Footer with page numbers
+  const footerFont = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+  const pageCount = pdfDoc.getPageCount();
+  for (let i = 0; i < pageCount; i++) {
+    drawFooter(pdfDoc.getPage(i), footerFont, i + 1, pageCount);
+  }
+
+  return pdfDoc.save();
+}
+
+/**
+ * @param {{ pl, items }} punchlist   from getPunchlistWithItems()
+ * @param {object} query   columns / group / subtotals / size / orientation (see the function's header)
+ * @returns {Promise<{ wo: object, bytes: Uint8Array }>}
+ */
+export async function renderPunchlistPdf({ pl, items }, query = {}) {
+  const wo = await getWorkOrder(pl.work_order_id);
+  const branding = await loadBranding(wo);
+  const options = resolveOptions(query, branding.pdf);
+  return { wo, bytes: await buildPdf({ branding, wo, punchlist: pl, items, options }) };
+}
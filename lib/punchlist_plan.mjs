@@ -0,0 +1,84 @@
+// lib/punchlist_plan.mjs
+// What a punchlist regeneration changes (netlify/functions/generate_punchlist.js). Pure: the function
+// applies the plan, or returns it as-is for a dry run.
+//
+// Only lines the generator created (source "auto") are changed or resolved. Lines a person reported on
+// punchlist.html (source "manual") are left alone, and while one is open for a product + room the
+// generator does not add its own line next to it.
+
+export const OPEN_STATUSES = ["open", "in_progress"];
+export const QTY_FIELDS = ["expected_qty", "received_qty", "missing_qty", "damaged_qty"];
+
+export const keyOf = (r) => [r.manufacturer, r.model, r.room].map((v) => String(v ?? "").trim().toUpperCase()).join("|");
+
+/** v_manifest_vs_received row -> punchlist_items quantities */
+export function variance(r) {
+  const expected_qty = r.expected_qty ?? 0;
+  const received_qty = r.total_received ?? 0;
+  return {
+    manufacturer: r.manufacturer,
+    model: r.model,
+    room: r.room,
+    expected_qty,
+    received_qty,
+    missing_qty: Math.max(expected_qty - received_qty, 0),
+    damaged_qty: r.total_damaged ?? 0,
+  };
+}
+
+const hasIssue = (v) => v.missing_qty > 0 || v.damaged_qty > 0;
+const isAuto = (i) => i.source === "auto";
+
+function pick(i) {
+  return Object.fromEntries(["manufacturer", "model", "room", "status", ...QTY_FIELDS].map((f) => [f, i[f] ?? null]));
+}
+
+/**
+ * Compare the view against the punchlist's current items.
+ * @returns {{ added: Array, changed: Array, resolved: Array, unchanged: number, manual: number }}
+ *   manual: view lines with an issue left to the person who reported them
+ */
+export function planChanges(diffRows, items) {
+  const auto = items.filter(isAuto);
+  const byKey = new Map(auto.map((i) => [keyOf(i), i]));
+  const reported = new Set(items.filter((i) => !isAuto(i) && OPEN_STATUSES.includes(i.status)).map(keyOf));
+  const seen = new Set();
+  const plan = { added: [], changed: [], resolved: [], unchanged: 0, manual: 0 };
+
+  for (const row of diffRows) {
+    const v = variance(row);
+    const key = keyOf(v);
+    seen.add(key);
+    const item = byKey.get(key);
+
+    if (!item) {
+      if (!hasIssue(v)) continue;
+      if (reported.has(key)) plan.manual++;
+      else plan.added.push(v);
+      continue;
+    }
+    // Lines a person resolved/verified are theirs; only auto-resolved ones are reopened.
+    const autoClosed = item.auto_resolved && item.status === "resolved";
+    if (!OPEN_STATUSES.includes(item.status) && !autoClosed) {
+      plan.unchanged++;
+      continue;
+    }
+
+    const qtyChanged = QTY_FIELDS.some((f) => Number(item[f] ?? 0) !== v[f]);
+    if (!hasIssue(v)) {
+      if (autoClosed) plan.unchanged++;
+      else plan.resolved.push({ id: item.id, before: pick(item), after: v, reason: "Goods received in full, no damage" });
+    } else if (qtyChanged || autoClosed) {
+      plan.changed.push({ id: item.id, before: pick(item), after: v, reopen: autoClosed });
+    } else {
+      plan.unchanged++;
+    }
+  }
+
+  // Generated lines no longer in the view at all (manifest line removed)
+  for (const item of auto) {
+    if (seen.has(keyOf(item)) || !OPEN_STATUSES.includes(item.status)) continue;
+    plan.resolved.push({ id: item.id, before: pick(item), after: null, reason: "No longer on the manifest" });
+  }
+  return plan;
+}
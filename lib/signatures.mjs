@@ -0,0 +1,73 @@
+// lib/signatures.mjs
+// Walkthrough acceptance: what the client signs, its SHA-256, and where the evidence lives.
+// Server-side only (service role via lib/supabase_rest.mjs). Schema: sql/010_signature_attempts.sql
+//
+// The hash covers a canonical JSON of the acceptance summary, so the page can show the hash
+// before signing and the function can refuse a signature if anything changed in between.
+
+import { createHash } from "node:crypto";
+import { select, storageSignedUrl } from "./supabase_rest.mjs";
+
+// Private bucket; objects are uploaded with upsert=false and storage has no update/delete policy.
+export const ACCEPTANCE_BUCKET = "signed-acceptances";
+
+export const sha256 = (data) => createHash("sha256").update(data).digest("hex");
+
+// JSON with sorted keys at every level, so the same content always hashes the same
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k] ?? null)}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Acceptance summary for one work order: manifest items, open punchlist items, photo count.
+ * @returns {Promise<null | { wo, content, content_hash }>}
+ */
+export async function loadAcceptance(work_order_id) {
+  const [wo] = await select("work_orders", `select=*&id=eq.${work_order_id}`);
+  if (!wo) return null;
+
+  const [items, punchlists, photos] = await Promise.all([
+    select(
+      "work_order_items",
+      `select=id,line_no,manufacturer,model,sku,room,qty_ordered,description&work_order_id=eq.${work_order_id}&order=line_no.asc.nullslast,room.asc,manufacturer.asc,model.asc,id.asc`
+    ),
+    select("punchlists", `select=id&work_order_id=eq.${work_order_id}`),
+    select("photos", `select=id&work_order_id=eq.${work_order_id}`),
+  ]);
+  const openItems = punchlists.length
+    ? await select(
+      "punchlist_items",
+      `select=id,manufacturer,model,room,missing_qty,damaged_qty,issue,status&punchlist_id=in.(${punchlists.map((p) => p.id).join(",")})&status=in.(open,in_progress)&order=room.asc,manufacturer.asc,model.asc,id.asc`
+    )
+    : [];
+
+  const content = {
+    work_order: {
+      id: wo.id,
+      code: wo.code ?? null,
+      title: wo.title ?? null,
+      project_name: wo.project_name ?? null,
+      client_name: wo.client_name ?? null,
+    },
+    items,
+    open_punchlist_items: openItems,
+    photo_count: photos.length,
+  };
+  return { wo, content, content_hash: sha256(canonicalJson(content)) };
+}
+
+// URL the PDF functions can fetch the signature image from: the private copy when there is one.
+export async function signatureImageUrl(wo) {
+  if (wo?.signature_path) {
+    try {
+      return await storageSignedUrl(ACCEPTANCE_BUCKET, wo.signature_path, 300);
+    } catch {
+      return null;
+    }
+  }
+  return wo?.signature_url || null;
+}
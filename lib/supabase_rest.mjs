@@ -0,0 +1,74 @@
+// lib/supabase_rest.mjs
+// Server-side PostgREST helper for Netlify functions (Service Role key — never import from a page).
+
+export const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+export function supaEnv() {
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SRK = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return { SUPABASE_URL, SRK, ok: !!SUPABASE_URL && !!SRK };
+}
+
+export async function supaFetch(path, init = {}) {
+  const { SUPABASE_URL, SRK } = supaEnv();
+  const res = await fetch(`${SUPABASE_URL}${path}`, {
+    ...init,
+    headers: {
+      apikey: SRK,
+      Authorization: `Bearer ${SRK}`,
+      "Content-Type": "application/json",
+      ...(init.headers || {}),
+    },
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    const err = new Error(`Supabase error ${res.status}: ${t}`);
+    err.status = res.status;
+    throw err;
+  }
+  const ct = res.headers.get("content-type") || "";
+  if (!ct.includes("application/json")) return res.text();
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Shorthands for the common PostgREST calls
+export const select = (table, query) => supaFetch(`/rest/v1/${table}?${query}`);
+
+export const insert = (table, rows) =>
+  supaFetch(`/rest/v1/${table}`, {
+    method: "POST",
+    headers: { Prefer: "return=representation" },
+    body: JSON.stringify(rows),
+  });
+
+export const update = (table, query, values) =>
+  supaFetch(`/rest/v1/${table}?${query}`, {
+    method: "PATCH",
+    headers: { Prefer: "return=representation" },
+    body: JSON.stringify(values),
+  });
+
+export const remove = (table, query) =>
+  supaFetch(`/rest/v1/${table}?${query}`, {
+    method: "DELETE",
+    headers: { Prefer: "return=representation" },
+  });
+
+// Storage: upload raw bytes. upsert=false makes Supabase answer 409 when the object already exists.
+export const storageUpload = (bucket, path, bytes, contentType, { upsert = false } = {}) =>
+  supaFetch(`/storage/v1/object/${bucket}/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": contentType, "x-upsert": String(upsert) },
+    body: bytes,
+  });
+
+// Time-limited URL for an object in a private bucket
+export async function storageSignedUrl(bucket, path, expiresIn = 600) {
+  const out = await supaFetch(`/storage/v1/object/sign/${bucket}/${path}`, {
+    method: "POST",
+    body: JSON.stringify({ expiresIn }),
+  });
+  return out?.signedURL ? `${supaEnv().SUPABASE_URL}/storage/v1${out.signedURL}` : null;
+}
@@ -0,0 +1,98 @@
+// lib/technician_board.mjs
+// Dispatcher view of technician_status (dispatch.html). Every add.html save is a new row, so the table is
+// already each technician's history: the latest row is where they are now, the rest is the timeline.
+// Pure functions only; the page owns loading and the realtime subscription.
+
+export const DEFAULTS = {
+  staleMinutes: 30,    // no check-in for this long while not complete -> stale
+  fatigueAlert: 7,     // fatigue_level at or above -> alert
+};
+
+export const STATUS_LABELS = {
+  pending: "Pending",
+  in_progress: "On site",
+  paused: "Paused",
+  complete: "Complete",
+};
+
+const ts = (r) => new Date(r.last_sync || r.created_at || 0).getTime();
+
+// Oldest first, per technician
+export function groupByTechnician(rows) {
+  const out = new Map();
+  for (const r of rows || []) {
+    const key = String(r.technician_id ?? "").trim() || "(unknown)";
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(r);
+  }
+  for (const list of out.values()) list.sort((a, b) => ts(a) - ts(b));
+  return out;
+}
+
+/**
+ * Current state of one technician from their rows (oldest first).
+ * statusSince = first row of the current run with the same job + status.
+ */
+export function technicianState(rows, now = Date.now(), opts = {}) {
+  const { staleMinutes, fatigueAlert } = { ...DEFAULTS, ...opts };
+  const latest = rows[rows.length - 1];
+  let since = latest;
+  for (let i = rows.length - 2; i >= 0; i--) {
+    if (rows[i].status !== latest.status || rows[i].job_id !== latest.job_id) break;
+    since = rows[i];
+  }
+  const lastSyncMs = now - ts(latest);
+  const fatigue = Number(latest.fatigue_level ?? 0);
+  const stale = latest.status !== "complete" && lastSyncMs > staleMinutes * 60000;
+  const tired = fatigue >= fatigueAlert;
+  return {
+    technician_id: latest.technician_id,
+    job_id: latest.job_id,
+    status: latest.status,
+    fatigue,
+    notes: latest.notes,
+    latest,
+    status_since: since.last_sync || since.created_at,
+    status_ms: now - ts(since),
+    last_sync_ms: lastSyncMs,
+    stale,
+    fatigue_alert: tired,
+    alerts: [stale && "stale", tired && "fatigue"].filter(Boolean),
+  };
+}
+
+// Board rows: alerts first, then longest since last sync
+export function boardState(rows, now = Date.now(), opts = {}) {
+  return [...groupByTechnician(rows)]
+    .map(([, list]) => technicianState(list, now, opts))
+    .sort((a, b) => b.alerts.length - a.alerts.length || b.last_sync_ms - a.last_sync_ms);
+}
+
+// Timeline entries, newest first: one per change of job / status / fatigue, with how long it lasted
+export function timeline(rows, now = Date.now()) {
+  const out = [];
+  rows.forEach((r, i) => {
+    const prev = rows[i - 1];
+    const changed = !prev || prev.status !== r.status || prev.job_id !== r.job_id ||
+      Number(prev.fatigue_level ?? 0) !== Number(r.fatigue_level ?? 0);
+    if (changed) out.push({ ...r, at: r.last_sync || r.created_at, checkins: 1 });
+    else {
+      out[out.length - 1].checkins++;
+      if (r.notes) out[out.length - 1].notes = r.notes;
+    }
+  });
+  out.forEach((e, i) => {
+    const end = out[i + 1] ? new Date(out[i + 1].at).getTime() : now;
+    e.duration_ms = end - new Date(e.at).getTime();
+  });
+  return out.reverse();
+}
+
+export function formatDuration(ms) {
+  const m = Math.max(0, Math.floor(ms / 60000));
+  if (m < 1) return "just now";
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ${m % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
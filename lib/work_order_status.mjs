@@ -0,0 +1,180 @@
+// lib/work_order_status.mjs
+// Work order lifecycle, enforced server-side (netlify/functions/work_order_status.js, sign_walkthrough.js, …).
+// Schema + DB guard: sql/011_work_order_status.sql
+//
+//   created → manifest_imported → receiving → walkthrough → walkthrough_signed → punchlist_open → closed
+//
+// A transition may have preconditions. Overridable ones can be bypassed with override + override_reason
+// (recorded in work_order_status_history); the rest always block.
+
+import { select, insert, update } from "./supabase_rest.mjs";
+
+export const STAGES = ["created", "manifest_imported", "receiving", "walkthrough", "walkthrough_signed", "punchlist_open", "closed"];
+
+export const STAGE_LABELS = {
+  created: "Created",
+  manifest_imported: "Manifest imported",
+  receiving: "Receiving",
+  walkthrough: "Walkthrough",
+  walkthrough_signed: "Walkthrough signed",
+  punchlist_open: "Punchlist open",
+  closed: "Closed",
+};
+
+// from -> [{ to, label, checks, via? }]. `via` = the only function allowed to make that move.
+export const TRANSITIONS = {
+  created: [{ to: "manifest_imported", label: "Mark manifest imported", checks: ["has_items"] }],
+  manifest_imported: [
+    { to: "receiving", label: "Start receiving", checks: ["has_items"] },
+  ],
+  receiving: [
+    { to: "walkthrough", label: "Start walkthrough", checks: [] },
+    { to: "manifest_imported", label: "Back to manifest", checks: [] },
+  ],
+  walkthrough: [
+    { to: "walkthrough_signed", label: "Client sign-off", checks: ["no_unresolved_damage", "no_shortages"], via: "sign_walkthrough" },
+    { to: "receiving", label: "Back to receiving", checks: [] },
+  ],
+  walkthrough_signed: [
+    { to: "punchlist_open", label: "Open punchlist", checks: [] },
+    { to: "closed", label: "Close job", checks: ["no_open_punchlist"] },
+  ],
+  punchlist_open: [{ to: "closed", label: "Close job", checks: ["no_open_punchlist"] }],
+  closed: [{ to: "punchlist_open", label: "Reopen punchlist", checks: [] }],
+};
+
+const CHECKS = {
+  has_items: {
+    overridable: false,
+    test: (f) => f.item_count > 0 || "The work order has no manifest items",
+  },
+  no_unresolved_damage: {
+    overridable: true,
+    test: (f) => !f.unresolved_damaged.length ||
+      `${f.unresolved_damaged.length} line(s) with damaged goods are not resolved`,
+  },
+  no_shortages: {
+    overridable: true,
+    test: (f) => !f.unresolved_short.length ||
+      `${f.unresolved_short.length} line(s) are still short and not resolved`,
+  },
+  no_open_punchlist: {
+    overridable: false,
+    test: (f) => !f.open_punchlist_items || `${f.open_punchlist_items} punchlist item(s) are not verified yet`,
+  },
+};
+
+// Legacy rows (free-text / null status) are treated as "created"
+export const currentStage = (wo) => (STAGES.includes(wo?.status) ? wo.status : "created");
+
+const keyOf = (r) => [r.manufacturer, r.model, r.room].map((v) => String(v ?? "").trim().toUpperCase()).join("|");
+
+// Everything the checks look at, for one work order
+export async function loadFacts(work_order_id) {
+  const [items, lines, punchlists] = await Promise.all([
+    select("work_order_items", `select=id&work_order_id=eq.${work_order_id}`),
+    select("v_manifest_vs_received", `select=*&work_order_id=eq.${work_order_id}`),
+    select("punchlists", `select=id&work_order_id=eq.${work_order_id}`),
+  ]);
+  const punchItems = punchlists.length
+    ? await select("punchlist_items", `select=manufacturer,model,room,status&punchlist_id=in.(${punchlists.map((p) => p.id).join(",")})`)
+    : [];
+
+  // A variance line is resolved once its punchlist item was resolved or verified
+  const done = new Set(punchItems.filter((i) => i.status === "resolved" || i.status === "verified").map(keyOf));
+  const open = (l) => !done.has(keyOf(l));
+  const label = (l) => [l.manufacturer, l.model, l.room].filter(Boolean).join(" / ");
+
+  return {
+    item_count: items.length,
+    unresolved_damaged: lines.filter((l) => (l.total_damaged ?? 0) > 0 && open(l)).map(label),
+    unresolved_short: lines.filter((l) => (l.expected_qty ?? 0) > (l.total_received ?? 0) && open(l)).map(label),
+    // Resolved is the technician's word that it is fixed; the job only closes once a PM verified it
+    open_punchlist_items: punchItems.filter((i) => i.status !== "verified").length,
+  };
+}
+
+// -> [{ code, message, overridable }]
+export function blockers(transition, facts) {
+  const out = [];
+  for (const code of transition.checks) {
+    const res = CHECKS[code].test(facts);
+    if (res !== true) out.push({ code, message: res, overridable: CHECKS[code].overridable });
+  }
+  return out;
+}
+
+// Next actions for a work order, each with what currently blocks it
+export function nextActions(wo, facts) {
+  return (TRANSITIONS[currentStage(wo)] || []).map((t) => ({
+    to: t.to,
+    label: t.label,
+    via: t.via || null,
+    blocked: facts ? blockers(t, facts) : [],
+  }));
+}
+
+/**
+ * Validate a transition without applying it.
+ * @returns {{ ok: true, from, transition, blocked } | { ok: false, status: number, error: string, blocked? }}
+ */
+export async function checkTransition(wo, to, { override = false, override_reason = null, via = null } = {}) {
+  const from = currentStage(wo);
+  const transition = (TRANSITIONS[from] || []).find((t) => t.to === to);
+  if (!transition) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Cannot move a work order from ${from} to ${to}`,
+      allowed: (TRANSITIONS[from] || []).map((t) => t.to),
+    };
+  }
+  if (transition.via && transition.via !== via) {
+    return { ok: false, status: 409, error: `${STAGE_LABELS[to]} is set by ${transition.via}` };
+  }
+  const blocked = blockers(transition, await loadFacts(wo.id));
+  const hard = blocked.filter((b) => !b.overridable);
+  if (hard.length) return { ok: false, status: 422, error: hard.map((b) => b.message).join("; "), blocked };
+  if (blocked.length && !override) {
+    return { ok: false, status: 422, error: blocked.map((b) => b.message).join("; "), blocked, can_override: true };
+  }
+  if (blocked.length && !String(override_reason || "").trim()) {
+    return { ok: false, status: 400, error: "override_reason is required to override", blocked };
+  }
+  return { ok: true, from, transition, blocked };
+}
+
+// Apply a checked transition and record who/when. `extra` lands on the work order in the same update.
+// The update only matches while the work order is still in the status it was checked in; null when another
+// transition got there first (nothing is written, callers answer 409).
+export async function applyTransition(wo, check, { actor = null, override_reason = null, extra = {} } = {}) {
+  const now = new Date().toISOString();
+  const expected = wo.status == null ? "status=is.null" : `status=eq.${encodeURIComponent(wo.status)}`;
+  const [saved] = await update("work_orders", `id=eq.${wo.id}&${expected}`, {
+    ...extra,
+    status: check.transition.to,
+    status_changed_at: now,
+    status_changed_by: actor,
+  });
+  if (!saved) return null;
+  await insert("work_order_status_history", [{
+    work_order_id: wo.id,
+    from_status: wo.status ?? null,
+    to_status: check.transition.to,
+    actor,
+    override: check.blocked.length > 0,
+    override_reason: check.blocked.length ? override_reason : null,
+    blocked: check.blocked.length ? check.blocked : null,
+    changed_at: now,
+  }]);
+  return saved;
+}
+
+// Best-effort forward move used by other functions (import, punchlist generation); never throws on "not applicable".
+export async function advance(work_order_id, from, to, actor) {
+  const [wo] = await select("work_orders", `select=id,status&id=eq.${work_order_id}`);
+  if (!wo || !from.includes(currentStage(wo))) return null;
+  const check = await checkTransition(wo, to);
+  if (!check.ok) return null;
+  return applyTransition(wo, check, { actor });
+}
@@ -0,0 +1,153 @@
+// lib/work_orders.mjs
+// Work order fields, schedule entries and the week calendar. Shared by work_orders.html (form checks,
+// calendar) and netlify/functions/work_orders.js / work_order_schedule.js (enforced before writing).
+// Schema: sql/019_work_order_scheduling.sql
+//
+// clean*() return { row, errors }: row holds only the fields that were sent, trimmed, "" -> null;
+// errors is [{ field, message }].
+
+const str = (v) => String(v ?? "").trim();
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Editable on the work order; code is set once at creation, status goes through work_order_status.js
+export const WORK_ORDER_FIELDS = [
+  "title", "project_name",
+  "client_name", "client_contact", "client_email", "client_phone",
+  "site_address", "site_notes",
+  // Branding the PDFs read (lib/pdf_branding.mjs): company row, then these per-job overrides
+  "company_id", "company_display_name", "company_logo_url", "client_logo_url",
+];
+
+export const SCHEDULE_KINDS = ["delivery", "install", "walkthrough"];
+export const KIND_LABELS = { delivery: "Delivery", install: "Install", walkthrough: "Walkthrough" };
+
+/** "001", "002", ... "1000": the same padding as public.next_work_order_code() */
+export const formatCode = (n) => String(n).padStart(3, "0");
+export const isCode = (v) => /^\d{1,18}$/.test(str(v));
+
+function isUrl(v) {
+  try {
+    return ["http:", "https:"].includes(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {object} input   work order fields (unknown keys are ignored)
+ * @param {{ creating?: boolean }} opts   creating: title required, `code` accepted (blank = next number)
+ */
+export function cleanWorkOrder(input, { creating = false } = {}) {
+  const row = {};
+  const errors = [];
+  const err = (field, message) => errors.push({ field, message });
+
+  for (const f of WORK_ORDER_FIELDS) {
+    if (input?.[f] !== undefined) row[f] = str(input[f]) || null;
+  }
+  if (creating && str(input?.code)) {
+    if (isCode(input.code)) row.code = str(input.code);
+    else err("code", "Code must be digits only, e.g. 014 (leave it blank for the next number)");
+  }
+  if (creating && !row.title) err("title", "Title is required");
+  if (!creating && "title" in row && !row.title) err("title", "Title cannot be blank");
+  if (row.client_email && !EMAIL_RE.test(row.client_email)) err("client_email", `"${row.client_email}" is not an email address`);
+  for (const f of ["company_logo_url", "client_logo_url"]) {
+    if (row[f] && !isUrl(row[f])) err(f, "Logo must be an http(s) URL");
+  }
+  if (row.company_id && !UUID_RE.test(row.company_id)) err("company_id", "Unknown company");
+  return { row, errors };
+}
+
+/**
+ * @param {object} input  { kind, starts_at, ends_at?, all_day?, technician_ids?, notes? }
+ *   All-day entries cover whole local days: the page sends local midnight and the end of the last day.
+ */
+export function cleanScheduleEntry(input) {
+  const row = {};
+  const errors = [];
+  const err = (field, message) => errors.push({ field, message });
+
+  row.kind = str(input?.kind);
+  if (!SCHEDULE_KINDS.includes(row.kind)) err("kind", `Kind must be one of ${SCHEDULE_KINDS.join(", ")}`);
+
+  const start = new Date(input?.starts_at ?? "");
+  if (!str(input?.starts_at) || Number.isNaN(start.getTime())) err("starts_at", "Start date is required");
+  else row.starts_at = start.toISOString();
+
+  row.ends_at = null;
+  if (str(input?.ends_at)) {
+    const end = new Date(input.ends_at);
+    if (Number.isNaN(end.getTime())) err("ends_at", "End is not a date");
+    else if (row.starts_at && end < start) err("ends_at", "End is before the start");
+    else row.ends_at = end.toISOString();
+  }
+
+  row.all_day = !!input?.all_day;
+  const ids = Array.isArray(input?.technician_ids) ? input.technician_ids.map(str).filter(Boolean) : [];
+  if (ids.some((id) => !UUID_RE.test(id))) err("technician_ids", "Unknown technician");
+  row.technician_ids = [...new Set(ids)];
+  row.notes = str(input?.notes) || null;
+  return { row, errors };
+}
+
+// ---------- week calendar (local time) ----------
+const DAY_MS = 86400000;
+
+/** Monday 00:00 of the week holding `date` */
+export function weekStart(date = new Date()) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+export function weekDays(start) {
+  return Array.from({ length: 7 }, (_, i) => {
+    const d = new Date(start);
+    d.setDate(d.getDate() + i);
+    return d;
+  });
+}
+
+export const addWeeks = (start, n) => {
+  const d = new Date(start);
+  d.setDate(d.getDate() + 7 * n);
+  return d;
+};
+
+/** Entries touching the local day `day`, earliest first; a multi-day install shows on every day it spans. */
+export function entriesOnDay(entries, day) {
+  const from = new Date(day).setHours(0, 0, 0, 0);
+  const to = from + DAY_MS;
+  return (entries || [])
+    .filter((e) => {
+      const s = new Date(e.starts_at).getTime();
+      const end = e.ends_at ? new Date(e.ends_at).getTime() : s;
+      return s < to && (end > from || s >= from);
+    })
+    .sort((a, b) => Number(b.all_day) - Number(a.all_day) || new Date(a.starts_at) - new Date(b.starts_at));
+}
+
+/**
+ * Entries whose technician is booked on something else at the same time: { [entry id]: [other entry ids] }
+ * An entry without an end counts as one hour.
+ */
+export function doubleBookings(entries) {
+  const out = {};
+  const span = (e) => [new Date(e.starts_at).getTime(), new Date(e.ends_at || e.starts_at).getTime() + (e.ends_at ? 0 : 3600000)];
+  const list = entries || [];
+  list.forEach((a, i) => {
+    for (const b of list.slice(i + 1)) {
+      if (!a.technician_ids?.some((t) => b.technician_ids?.includes(t))) continue;
+      const [as, ae] = span(a);
+      const [bs, be] = span(b);
+      if (as < be && bs < ae) {
+        (out[a.id] ||= []).push(b.id);
+        (out[b.id] ||= []).push(a.id);
+      }
+    }
+  });
+  return out;
+}
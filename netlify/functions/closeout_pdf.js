@@ -0,0 +1,326 @@
+// netlify/functions/closeout_pdf.js
+// Job closeout packet for ONE work order, handed to the client at the end of the job:
+//   cover page → manifest (line numbers + rooms) → product documentation → receiving variance → punchlist
+//   → photos → sign-off. Descriptions, manuals and spec sheets come from the product catalog
+//   (lib/product_catalog.mjs) when the line has none.
+// The sign-off page embeds the signature captured in signature.html instead of a blank line.
+//
+// GET ?work_order_id=...  -> application/pdf   (any signed-in role assigned to the work order)
+
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { json, supaEnv, select } from "../../lib/supabase_rest.mjs";
+import { GREY, MUTED, embedRemoteImage, drawText, drawFooter, fitImage, drawSignatureBlock } from "../../lib/pdf_helpers.mjs";
+import { createCursor, drawTable, drawWrapped } from "../../lib/pdf_layout.mjs";
+import { loadBranding } from "../../lib/pdf_branding.mjs";
+import { signatureImageUrl } from "../../lib/signatures.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds } from "../../lib/auth.mjs";
+import { withCatalog } from "../../lib/product_catalog.mjs";
+
+const MAX_PHOTOS = 60;
+
+const fmtDate = (v) => (v ? new Date(v).toLocaleString() : "");
+const str = (v) => (v === null || v === undefined ? "" : String(v));
+
+async function loadPacket(work_order_id) {
+  const [wo] = await select("work_orders", `select=*&id=eq.${work_order_id}`);
+  if (!wo) return null;
+
+  const [items, variance, punchlists, photos] = await Promise.all([
+    select("work_order_items", `select=*&work_order_id=eq.${work_order_id}&order=line_no.asc.nullslast,room.asc,manufacturer.asc,model.asc`),
+    select("vw_line_receiving", `select=*&work_order_id=eq.${work_order_id}&order=room.asc,line_no.asc.nullslast`),
+    select("punchlists", `select=id,status,created_at,closed_at&work_order_id=eq.${work_order_id}&order=created_at.desc&limit=1`),
+    select("photos", `select=url,markup_url,caption,taken_at,room,work_order_item_id,punchlist_item_id&work_order_id=eq.${work_order_id}&order=taken_at.asc.nullslast&limit=${MAX_PHOTOS}`),
+  ]);
+  const punchlist = punchlists[0] || null;
+  const punchItems = punchlist
+    ? await select("punchlist_items", `select=*&punchlist_id=eq.${punchlist.id}&order=room.asc,manufacturer.asc,model.asc`)
+    : [];
+
+  return { wo, items: await withCatalog(items), variance, punchlist, punchItems, photos };
+}
+
+const heading = (c, fonts, text) => {
+  c.ensure(60);
+  drawText(c.page, text, c.margin, c.y, { font: fonts.bold, size: 16 });
+  c.y -= 24;
+};
+
+function drawCover(c, fonts, data, branding, logos) {
+  const { wo, items, variance, punchItems, photos } = data;
+  const page = c.newPage();
+  const x = c.margin;
+  let y = c.y;
+
+  if (logos.company) {
+    const dim = fitImage(logos.company, 160, 60);
+    page.drawImage(logos.company, { x, y: y - dim.height, ...dim });
+  }
+  if (logos.client) {
+    const dim = fitImage(logos.client, 160, 60);
+    page.drawImage(logos.client, { x: c.pageWidth - c.margin - dim.width, y: y - dim.height, ...dim });
+  }
+  y -= 120;
+
+  drawText(page, branding.companyName, x, y, { font: fonts.bold, size: 14, color: branding.accent || MUTED });
+  for (const line of [branding.tagline, branding.address, branding.contact].filter(Boolean)) {
+    y -= 14;
+    drawText(page, line, x, y, { font: fonts.regular, size: 9, color: MUTED, maxWidth: c.width });
+  }
+  y -= 40;
+  drawText(page, "Job Closeout Packet", x, y, { font: fonts.bold, size: 28 });
+  y = drawWrapped(page, wo.project_name || "", x, y - 36, { font: fonts.regular, size: 16, maxWidth: c.width }) - 24;
+
+  const meta = [
+    ["Work Order", wo.code],
+    ["Client", branding.clientName],
+    ["Status", wo.status],
+    ["Signed", wo.signed_at ? `${fmtDate(wo.signed_at)} by ${str(wo.signer_name)}` : "Not signed"],
+    ["Prepared", fmtDate(new Date())],
+  ];
+  meta.forEach(([k, v]) => {
+    drawText(page, k, x, y, { font: fonts.bold, size: 11 });
+    drawText(page, str(v) || "—", x + 110, y, { font: fonts.regular, size: 11, maxWidth: c.width - 110 });
+    y -= 18;
+  });
+  y -= 24;
+
+  const sum = (rows, f) => rows.reduce((a, r) => a + (Number(r[f]) || 0), 0);
+  const openIssues = punchItems.filter((i) => i.status !== "verified" && i.status !== "resolved").length;
+  const stats = [
+    ["Manifest lines", items.length],
+    ["Units ordered", sum(items, "qty_ordered")],
+    ["Units received", sum(variance, "qty_received")],
+    ["Units short", sum(variance, "qty_short")],
+    ["Units damaged / wrong item", `${sum(variance, "qty_damaged")} / ${sum(variance, "qty_wrong_item")}`],
+    ["Punchlist items", `${punchItems.length} (${openIssues} open)`],
+    ["Photos", photos.length],
+  ];
+  drawText(page, "Summary", x, y, { font: fonts.bold, size: 14 });
+  y -= 20;
+  stats.forEach(([k, v]) => {
+    drawText(page, k, x, y, { font: fonts.regular, size: 11, color: MUTED });
+    drawText(page, str(v), x + 160, y, { font: fonts.bold, size: 11 });
+    y -= 16;
+  });
+}
+
+function drawManifest(c, fonts, items) {
+  c.newPage();
+  heading(c, fonts, "Manifest");
+  drawTable(c, {
+    fonts,
+    columns: [
+      { title: "Line", key: "line_no", width: 0.7 },
+      { title: "Manufacturer", key: "manufacturer", width: 1.8 },
+      { title: "Model", key: "model", width: 1.8 },
+      { title: "Description", key: "description", width: 3.2 },
+      { title: "Qty", key: "qty_ordered", width: 0.8, align: "right", sum: true },
+    ],
+    rows: items.map((r, i) => ({ ...r, line_no: r.line_no ?? i + 1 })),
+    groupBy: "room",
+    subtotals: true,
+    empty: "No manifest lines.",
+  });
+}
+
+// One row per catalog product on the job that has a manual, spec sheet or install notes
+function drawDocumentation(c, fonts, items) {
+  const seen = new Map();
+  for (const it of items) {
+    if (!it.manual_url && !it.spec_url && !it.install_notes) continue;
+    const key = it.product?.id || `${it.manufacturer}|${it.model}`;
+    if (!seen.has(key)) seen.set(key, it);
+  }
+  if (!seen.size) return;
+  heading(c, fonts, "Product Documentation");
+  drawTable(c, {
+    fonts,
+    columns: [
+      { title: "Product", key: "item", width: 2 },
+      { title: "Type", key: "product_category", width: 1 },
+      { title: "Manual", key: "manual_url", width: 2.4 },
+      { title: "Spec sheet", key: "spec_url", width: 2.4 },
+      { title: "Install notes", key: "install_notes", width: 2.2 },
+    ],
+    rows: [...seen.values()].map((it) => ({ ...it, item: [it.manufacturer, it.model].filter(Boolean).join(" ") })),
+  });
+}
+
+function drawVariance(c, fonts, variance) {
+  heading(c, fonts, "Receiving Variance");
+  // vw_line_receiving: one row per manifest line; received counts good + damaged, never wrong items
+  drawTable(c, {
+    fonts,
+    columns: [
+      { title: "Line", key: "line_no", width: 0.6 },
+      { title: "Item", key: "item", width: 2.6 },
+      { title: "Expected", key: "qty_expected", width: 0.9, align: "right", sum: true },
+      { title: "Received", key: "qty_received", width: 0.9, align: "right", sum: true },
+      { title: "Short", key: "qty_short", width: 0.7, align: "right", sum: true },
+      { title: "Over", key: "qty_over", width: 0.7, align: "right", sum: true },
+      { title: "Damaged", key: "qty_damaged", width: 0.9, align: "right", sum: true },
+      { title: "Wrong", key: "qty_wrong_item", width: 0.8, align: "right", sum: true },
+    ],
+    rows: variance.map((r) => ({
+      ...r,
+      item: [r.manufacturer, r.model].filter(Boolean).join(" ") +
+        (r.serials?.length ? `  S/N ${r.serials.join(", ")}` : ""),
+    })),
+    groupBy: "room",
+    subtotals: true,
+    empty: "Nothing expected or received yet.",
+  });
+}
+
+function drawPunchlist(c, fonts, punchlist, punchItems) {
+  heading(c, fonts, "Punchlist");
+  if (punchlist) {
+    const line = `Status: ${punchlist.status}${punchlist.closed_at ? ` • closed ${fmtDate(punchlist.closed_at)}` : ""}`;
+    drawText(c.page, line, c.margin, c.y, { font: fonts.regular, size: 10, color: MUTED });
+    c.y -= 18;
+  }
+  drawTable(c, {
+    fonts,
+    columns: [
+      { title: "Item", key: "item", width: 2.4 },
+      { title: "Missing", key: "missing_qty", width: 0.8, align: "right", sum: true },
+      { title: "Dmg", key: "damaged_qty", width: 0.7, align: "right", sum: true },
+      { title: "Status", key: "status", width: 1.1 },
+      { title: "Resolution", key: "resolution_notes", width: 3.4 },
+    ],
+    rows: punchItems.map((i) => ({
+      ...i,
+      item: [i.manufacturer, i.model].filter(Boolean).join(" "),
+      resolution_notes: i.resolution_notes || i.issue || "",
+    })),
+    groupBy: "room",
+    empty: punchlist ? "No punchlist items." : "No punchlist for this job.",
+  });
+}
+
+async function drawPhotos(c, pdfDoc, fonts, photos, items) {
+  c.newPage();
+  heading(c, fonts, "Photos");
+  if (!photos.length) {
+    drawText(c.page, "No photos.", c.margin + 4, c.y, { font: fonts.regular, size: 10, color: GREY });
+    c.y -= 18;
+    return;
+  }
+  // Two per row; embedRemoteImage returns null for anything that is not a JPG/PNG
+  const cellW = (c.width - 20) / 2;
+  const imgH = 190;
+  const lineOf = new Map(items.map((i) => [i.id, [i.line_no != null ? `Line #${i.line_no}` : "", i.manufacturer, i.model].filter(Boolean).join(" ")]));
+  for (let i = 0; i < photos.length; i += 2) {
+    c.ensure(imgH + 52);
+    for (const [j, p] of photos.slice(i, i + 2).entries()) {
+      const x = c.margin + j * (cellW + 20);
+      const img = await embedRemoteImage(pdfDoc, p.url);
+      if (img) {
+        const dim = fitImage(img, cellW, imgH);
+        c.page.drawImage(img, { x, y: c.y - dim.height, ...dim });
+        // markup layer (upload.html) is a transparent PNG the same size as the photo
+        const layer = p.markup_url ? await embedRemoteImage(pdfDoc, p.markup_url) : null;
+        if (layer) c.page.drawImage(layer, { x, y: c.y - dim.height, ...dim });
+      } else {
+        c.page.drawRectangle({ x, y: c.y - imgH, width: cellW, height: imgH, borderWidth: 0.5, borderColor: rgb(0.7, 0.7, 0.7) });
+        drawText(c.page, "Image unavailable", x + 8, c.y - imgH / 2, { font: fonts.regular, size: 9, color: GREY });
+      }
+      drawText(c.page, p.caption || "(no caption)", x, c.y - imgH - 12, { font: fonts.regular, size: 9, maxWidth: cellW });
+      drawText(c.page, p.taken_at ? `Taken ${fmtDate(p.taken_at)}` : "", x, c.y - imgH - 24, { font: fonts.regular, size: 8, color: GREY, maxWidth: cellW });
+      const link = [lineOf.get(p.work_order_item_id), p.room].filter(Boolean).join(" · ");
+      drawText(c.page, link, x, c.y - imgH - 35, { font: fonts.regular, size: 8, color: GREY, maxWidth: cellW });
+    }
+    c.y -= imgH + 52;
+  }
+}
+
+function drawSignOff(c, fonts, wo, signatureImg) {
+  c.newPage();
+  heading(c, fonts, "Customer Acceptance");
+  const text = `By signing, the client acknowledges receipt and installation of the items listed in this packet for work order ${str(wo.code)}, subject to any open punchlist items noted above.`;
+  c.y = drawWrapped(c.page, text, c.margin, c.y, { font: fonts.regular, size: 11, maxWidth: c.width }) - 100;
+
+  drawSignatureBlock(c.page, {
+    x: c.margin,
+    y: c.y,
+    width: 260,
+    image: signatureImg,
+    caption: "Client Signature",
+    font: fonts.regular,
+    detail: [wo.signer_name, wo.signer_email, fmtDate(wo.signed_at)].filter(Boolean).join(" • ") || "Not signed yet",
+  });
+  drawSignatureBlock(c.page, { x: c.margin + 300, y: c.y, width: 200, caption: "Technician Signature / Date", font: fonts.regular });
+}
+
+async function buildPdf(data, branding) {
+  const pdfDoc = await PDFDocument.create();
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+    italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+  };
+  const { wo } = data;
+  const logos = {
+    company: await embedRemoteImage(pdfDoc, branding.logo),
+    client: await embedRemoteImage(pdfDoc, branding.clientLogo),
+  };
+  const signatureImg = await embedRemoteImage(pdfDoc, await signatureImageUrl(wo));
+
+  // Packet is portrait by default; a company's pdf_defaults can switch it to A4
+  const runningTitle = `${branding.companyName} • Closeout • ${str(wo.code)} • ${str(wo.project_name)}`;
+  const c = createCursor(pdfDoc, {
+    size: branding.pdf.size,
+    orientation: "portrait",
+    onNewPage: (page, cur) => {
+      if (pdfDoc.getPageCount() === 1) return; // cover
+      drawText(page, runningTitle, cur.margin, cur.y, { font: fonts.regular, size: 9, color: GREY, maxWidth: cur.width });
+      cur.y -= 24;
+    },
+  });
+
+  drawCover(c, fonts, data, branding, logos);
+  drawManifest(c, fonts, data.items);
+  drawDocumentation(c, fonts, data.items);
+  drawVariance(c, fonts, data.variance);
+  drawPunchlist(c, fonts, data.punchlist, data.punchItems);
+  await drawPhotos(c, pdfDoc, fonts, data.photos, data.items);
+  drawSignOff(c, fonts, wo, signatureImg);
+
+  const pageCount = pdfDoc.getPageCount();
+  for (let i = 0; i < pageCount; i++) {
+    drawFooter(pdfDoc.getPage(i), fonts.italic, i + 1, pageCount);
+  }
+  return pdfDoc.save();
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req);
+    if (denied) return denied;
+    const params = new URL(req.url).searchParams;
+    const work_order_id = params.get("work_order_id");
+    if (!work_order_id) {
+      return json({ error: "Provide ?work_order_id=..." }, 400);
+    }
+    const bad = invalidIds(params, ["work_order_id"]);
+    if (bad) return bad;
+    if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+
+    const data = await loadPacket(work_order_id);
+    if (!data) return json({ error: "Work order not found" }, 404);
+
+    const bytes = await buildPdf(data, await loadBranding(data.wo));
+    return new Response(bytes, {
+      status: 200,
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="closeout-${data.wo.code || work_order_id}.pdf"`,
+      },
+    });
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
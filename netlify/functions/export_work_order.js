@@ -0,0 +1,183 @@
+// netlify/functions/export_work_order.js
+// Export ONE work order to a multi-sheet XLSX, or one sheet of it to CSV.
+// Product columns use the vendor manifest layout (lib/manifest_mapping.mjs exportColumns), so the
+// Variance / Punchlist sheets can go straight back to the distributor as a claim.
+//
+// GET ?work_order_id=...
+//     &format=xlsx|csv          (default xlsx)
+//     &sheet=manifest|rooms|variance|receipts|punchlist|photos   (csv only, default variance)
+//     &profile_id=...           mapping profile whose headers to use (default: sample_manifest.csv layout)
+// Any signed-in role assigned to the work order (lib/auth.mjs).
+
+import * as XLSX from "xlsx";
+import { json, supaEnv, select } from "../../lib/supabase_rest.mjs";
+import { exportColumns } from "../../lib/manifest_mapping.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds } from "../../lib/auth.mjs";
+
+const SHEETS = {
+  manifest: "Manifest Items",
+  rooms: "Expected vs Received",
+  variance: "Variance",
+  receipts: "Receipts",
+  punchlist: "Punchlist Items",
+  photos: "Photos",
+};
+
+const keyOf = (r) => [r.manufacturer, r.model, r.room].map((v) => String(v ?? "").trim().toUpperCase()).join("|");
+
+async function loadData(work_order_id, profile_id) {
+  const [wo] = await select("work_orders", `select=*&id=eq.${work_order_id}`);
+  if (!wo) return null;
+
+  const [items, lines, lineVariance, receipts, punchlists, photos, profiles] = await Promise.all([
+    select("work_order_items", `select=*&work_order_id=eq.${work_order_id}&order=line_no.asc.nullslast,room.asc,manufacturer.asc,model.asc`),
+    select("v_manifest_vs_received", `select=*&work_order_id=eq.${work_order_id}&order=room.asc,manufacturer.asc,model.asc`),
+    select("vw_line_receiving", `select=*&work_order_id=eq.${work_order_id}&order=line_no.asc.nullslast,room.asc`),
+    select("vw_receiving_log", `select=*&work_order_id=eq.${work_order_id}&order=received_at.asc`),
+    select("punchlists", `select=id,status&work_order_id=eq.${work_order_id}&order=created_at.desc&limit=1`),
+    select("photos", `select=*&work_order_id=eq.${work_order_id}&order=taken_at.asc.nullslast`),
+    profile_id ? select("manifest_mapping_profiles", `select=*&id=eq.${profile_id}`) : Promise.resolve([]),
+  ]);
+  const punchlist = punchlists[0] || null;
+  const punchItems = punchlist
+    ? await select("punchlist_items", `select=*&punchlist_id=eq.${punchlist.id}&order=room.asc,manufacturer.asc,model.asc`)
+    : [];
+
+  return { wo, items, lines, lineVariance, receipts, punchlist, punchItems, photos, profile: profiles[0] || null };
+}
+
+// Vendor columns for a row shaped like a manifest line (qty = qty_ordered)
+function vendorCells(cols, r) {
+  return cols.map((c) => {
+    const vals = c.fields.map((f) => r[f]).filter((v) => v !== null && v !== undefined && v !== "");
+    return vals.length > 1 ? vals.join(c.sep) : vals[0] ?? "";
+  });
+}
+
+// Each sheet is an array of arrays (header row first)
+function buildSheets(data) {
+  const cols = exportColumns(data.profile);
+  const head = cols.map((c) => c.header);
+
+  // Manifest lines by product + room, to fill SKU / line # / description on derived sheets
+  const itemByKey = new Map();
+  data.items.forEach((i) => { if (!itemByKey.has(keyOf(i))) itemByKey.set(keyOf(i), i); });
+  const asLine = (r, qty) => ({ ...(itemByKey.get(keyOf(r)) || {}), ...r, qty });
+
+  const manifest = [head, ...data.items.map((i) => vendorCells(cols, { ...i, qty: i.qty_ordered }))];
+
+  const totals = new Map();
+  data.lines.forEach((l) => {
+    const room = l.room || "";
+    const t = totals.get(room) || { expected: 0, received: 0, damaged: 0 };
+    t.expected += l.expected_qty || 0;
+    t.received += l.total_received || 0;
+    t.damaged += l.total_damaged || 0;
+    totals.set(room, t);
+  });
+  const rooms = [
+    [cols.find((c) => c.fields.includes("room"))?.header || "Room", "Expected", "Received", "Damaged", "Short", "Over"],
+    ...[...totals].map(([room, t]) => [
+      room, t.expected, t.received, t.damaged, Math.max(t.expected - t.received, 0), Math.max(t.received - t.expected, 0),
+    ]),
+  ];
+
+  // Only manifest lines that need a claim: short, over, damaged or wrong item (vw_line_receiving)
+  const itemById = new Map(data.items.map((i) => [i.id, i]));
+  const variance = [
+    [...head, "Expected", "Received", "Short", "Over", "Damaged", "Wrong Item", "Deliveries", "Serials"],
+    ...data.lineVariance
+      .filter((l) => l.qty_short || l.qty_over || l.qty_damaged || l.qty_wrong_item)
+      .map((l) => [
+        ...vendorCells(cols, { ...(itemById.get(l.work_order_item_id) || {}), ...l, qty: l.qty_expected }),
+        l.qty_expected, l.qty_received, l.qty_short, l.qty_over, l.qty_damaged, l.qty_wrong_item,
+        l.deliveries, (l.serials || []).join(", "),
+      ]),
+  ];
+
+  // Every scan with the delivery it came on, so a serial can be traced to its room
+  const receipts = [
+    ["Delivered", "Carrier", "Packing Slip", "Line", "Manufacturer", "Model", "Room", "Qty", "Condition", "Serial", "Received At", "Notes"],
+    ...data.receipts.map((r) => [
+      r.delivered_on ?? "", r.carrier ?? "", r.packing_slip ?? "", r.line_no ?? "", r.manufacturer ?? "", r.model ?? "",
+      r.room ?? "", r.qty_received, r.condition ?? "", r.serial_number ?? "", r.received_at ?? "", r.notes ?? "",
+    ]),
+  ];
+
+  const punchlist = [
+    [...head, "Missing", "Damaged", "Issue", "Status", "Assigned To", "Due", "Resolution"],
+    ...data.punchItems.map((p) => [
+      ...vendorCells(cols, asLine(p, p.expected_qty)),
+      p.missing_qty ?? 0, p.damaged_qty ?? 0, p.issue ?? "", p.status ?? "", p.assigned_to ?? "", p.due_date ?? "", p.resolution_notes ?? "",
+    ]),
+  ];
+
+  // Photos name the exact manifest line they show (upload.html), so a claim can quote it
+  const itemLabel = new Map(data.punchItems.map((p) => [p.id, [p.manufacturer, p.model, p.room].filter(Boolean).join(" / ")]));
+  const lineLabel = new Map(data.items.map((i) => [i.id, [i.line_no != null ? `#${i.line_no}` : "", i.manufacturer, i.model].filter(Boolean).join(" ")]));
+  const photos = [
+    ["Taken At", "Caption", "Manifest Line", "Room", "Punchlist Item", "Notes", "GPS", "URL", "Markup URL"],
+    ...data.photos.map((p) => [
+      p.taken_at ?? p.created_at ?? "", p.caption ?? "", lineLabel.get(p.work_order_item_id) ?? "", p.room ?? "",
+      itemLabel.get(p.punchlist_item_id) ?? "", p.notes ?? "", p.gps_lat != null ? `${p.gps_lat},${p.gps_lng}` : "",
+      p.url ?? "", p.markup_url ?? "",
+    ]),
+  ];
+
+  return { manifest, rooms, variance, receipts, punchlist, photos };
+}
+
+const safeName = (s) => String(s || "").replace(/[^A-Za-z0-9._-]+/g, "_");
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req);
+    if (denied) return denied;
+    const q = new URL(req.url).searchParams;
+    const work_order_id = q.get("work_order_id");
+    const format = (q.get("format") || "xlsx").toLowerCase();
+    const sheet = q.get("sheet") || "variance";
+    if (!work_order_id) return json({ error: "Provide ?work_order_id=..." }, 400);
+    const bad = invalidIds(q, ["work_order_id", "profile_id"]);
+    if (bad) return bad;
+    if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+    if (!["xlsx", "csv"].includes(format)) return json({ error: "format must be xlsx or csv" }, 400);
+    if (format === "csv" && !SHEETS[sheet]) {
+      return json({ error: `sheet must be one of ${Object.keys(SHEETS).join(", ")}` }, 400);
+    }
+
+    const data = await loadData(work_order_id, q.get("profile_id"));
+    if (!data) return json({ error: "Work order not found" }, 404);
+    const sheets = buildSheets(data);
+    const base = safeName(data.wo.code || work_order_id);
+
+    if (format === "csv") {
+      const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(sheets[sheet]));
+      return new Response(csv, {
+        status: 200,
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${base}-${sheet}.csv"`,
+        },
+      });
+    }
+
+    const wb = XLSX.utils.book_new();
+    for (const [key, title] of Object.entries(SHEETS)) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sheets[key]), title);
+    }
+    const buf = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+    return new Response(buf, {
+      status: 200,
+      headers: {
+        "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "Content-Disposition": `attachment; filename="${base}.xlsx"`,
+      },
+    });
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
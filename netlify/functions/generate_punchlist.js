@@ -1,98 +1,152 @@
 // netlify/functions/generate_punchlist.js
+// Builds / refreshes the punchlist for ONE work order from v_manifest_vs_received.
+// Idempotent: re-running updates the work order's open punchlist in place instead of creating a new one.
+//   - new shortfalls/damage      -> added
+//   - quantities moved            -> changed (received/missing/damaged updated)
+//   - shortfall gone (goods came) -> resolved (status "resolved", auto_resolved = true)
+//   - auto-resolved line short again -> changed + reopened
+// Only the lines it created (source "auto") are changed or resolved; lines a technician reported on
+// punchlist.html stay as they were (lib/punchlist_plan.mjs).
+//
+// Body: { work_order_id: string, dry_run?: boolean }   (admin / pm / technician on the work order)
+// -> { punchlist_id, work_order_id, dry_run, created, added: [...], changed: [...], resolved: [...], unchanged, manual }
+// A run that changed anything emails the client and PM (lib/notifications.mjs, punchlist PDF attached).
+
+import { json, supaEnv, select, insert, update } from "../../lib/supabase_rest.mjs";
+import { advance } from "../../lib/work_order_status.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds, STAFF } from "../../lib/auth.mjs";
+import { notifySafely } from "../../lib/notifications.mjs";
+import { OPEN_STATUSES, planChanges } from "../../lib/punchlist_plan.mjs";
+
+const ACTOR = "system:generate_punchlist";
+
+async function openPunchlist(work_order_id) {
+  const [pl] = await select(
+    "punchlists",
+    `select=id,status&work_order_id=eq.${work_order_id}&status=in.(draft,open)&order=created_at.desc&limit=1`
+  );
+  return pl || null;
+}
+
+async function applyPlan(pl, plan) {
+  const now = new Date().toISOString();
+  const history = [];
+
+  if (plan.added.length) {
+    const rows = await insert("punchlist_items", plan.added.map((v) => ({ ...v, punchlist_id: pl.id, status: "open", source: "auto" })));
+    rows.forEach((r) => history.push({
+      punchlist_id: pl.id, punchlist_item_id: r.id, event: "auto_added", to_status: "open", actor: ACTOR,
+      note: `Missing ${r.missing_qty}, damaged ${r.damaged_qty}`,
+    }));
+  }
+
+  for (const c of plan.changed) {
+    const patch = { ...c.after, updated_at: now };
+    if (c.reopen) Object.assign(patch, { status: "open", auto_resolved: false, resolved_at: null, resolution_notes: null });
+    await update("punchlist_items", `id=eq.${c.id}`, patch);
+    history.push({
+      punchlist_id: pl.id, punchlist_item_id: c.id, event: c.reopen ? "auto_reopened" : "auto_updated",
+      from_status: c.before.status, to_status: c.reopen ? "open" : c.before.status, actor: ACTOR,
+      data: { before: c.before, after: c.after },
+    });
+  }
+
+  for (const r of plan.resolved) {
+    await update("punchlist_items", `id=eq.${r.id}`, {
+      ...(r.after || {}),
+      status: "resolved",
+      auto_resolved: true,
+      resolved_at: now,
+      resolved_by: ACTOR,
+      resolution_notes: `Auto-resolved: ${r.reason}`,
+      updated_at: now,
+    });
+    history.push({
+      punchlist_id: pl.id, punchlist_item_id: r.id, event: "auto_resolved",
+      from_status: r.before.status, to_status: "resolved", actor: ACTOR, note: r.reason,
+    });
+  }
+
+  if (history.length) await insert("punchlist_history", history.map((h) => ({ changed_at: now, ...h })));
+}
+
 export default async (req) => {
   try {
     if (req.method !== "POST") {
-      return new Response(JSON.stringify({ error: "Use POST" }), { status: 405 });
+      return json({ error: "Use POST" }, 405);
     }
-
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SRK = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    if (!SUPABASE_URL || !SRK) {
-      return new Response(JSON.stringify({ error: "Missing SUPABASE_URL or SERVICE ROLE KEY" }), { status: 500 });
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SERVICE ROLE KEY" }, 500);
     }
 
-    // Body: { work_order_id?: string|null }
+    const { auth, denied } = await authorize(req, { roles: STAFF });
+    if (denied) return denied;
+
     const body = await req.json().catch(() => ({}));
     const work_order_id = body?.work_order_id ?? null;
+    const dry_run = !!body?.dry_run;
+    if (!work_order_id) {
+      return json({ error: "work_order_id is required" }, 400);
+    }
+    const bad = invalidIds(body, ["work_order_id"]);
+    if (bad) return bad;
+    if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
 
-    // 1) Pull the diff rows from the view
-    const diffRes = await fetch(`${SUPABASE_URL}/rest/v1/v_manifest_vs_received?select=*`, {
-      headers: { "apikey": SRK, "Authorization": `Bearer ${SRK}` }
-    });
-    if (!diffRes.ok) {
-      const t = await diffRes.text();
-      return new Response(JSON.stringify({ error: "Failed to read diff view", details: t }), { status: 500 });
+    // 1) Variance rows for this work order only
+    let diff;
+    try {
+      diff = await select("v_manifest_vs_received", `select=*&work_order_id=eq.${work_order_id}`);
+    } catch (e) {
+      return json({ error: "Failed to read diff view", details: e.message }, 500);
     }
-    const diff = await diffRes.json();
-
-    // 2) Build punchlist items only where missing or damaged > 0
-    const items = (diff || []).map(r => {
-      const missing = Math.max((r.expected_qty ?? 0) - (r.total_received ?? 0), 0);
-      const damaged = r.total_damaged ?? 0;
-      return {
-        manufacturer: r.manufacturer,
-        model: r.model,
-        room: r.room,
-        expected_qty: r.expected_qty ?? 0,
-        received_qty: r.total_received ?? 0,
-        missing_qty: missing,
-        damaged_qty: damaged
-      };
-    }).filter(i => i.missing_qty > 0 || i.damaged_qty > 0);
-
-    // If nothing to report, we still create a punchlist (empty) for audit
-    // 3) Create punchlist master row
-    const plCreate = await fetch(`${SUPABASE_URL}/rest/v1/punchlists`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "apikey": SRK,
-        "Authorization": `Bearer ${SRK}`,
-        "Prefer": "return=representation"
-      },
-      body: JSON.stringify([{ work_order_id, status: "draft" }])
+
+    // 2) The open punchlist (if any) and its items
+    let pl = await openPunchlist(work_order_id);
+    const items = pl ? await select("punchlist_items", `select=*&punchlist_id=eq.${pl.id}`) : [];
+    const plan = planChanges(diff || [], items);
+
+    const result = (created) => json({
+      punchlist_id: pl?.id ?? null,
+      work_order_id,
+      dry_run,
+      created,
+      added: plan.added,
+      changed: plan.changed,
+      resolved: plan.resolved,
+      unchanged: plan.unchanged,
+      manual: plan.manual,
     });
-    if (!plCreate.ok) {
-      const t = await plCreate.text();
-      return new Response(JSON.stringify({ error: "Failed to create punchlist", details: t }), { status: 500 });
+
+    if (dry_run) return result(false);
+
+    // 3) First run for the job creates the punchlist (even if empty, for audit)
+    let created = false;
+    if (!pl) {
+      [pl] = await insert("punchlists", [{ work_order_id, status: "draft" }]);
+      created = true;
     }
-    const [pl] = await plCreate.json();
-
-    // 4) Insert line items (if any)
-    if (items.length > 0) {
-      const payload = items.map(i => ({ ...i, punchlist_id: pl.id }));
-      const ins = await fetch(`${SUPABASE_URL}/rest/v1/punchlist_items`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "apikey": SRK,
-          "Authorization": `Bearer ${SRK}`,
-          "Prefer": "return=representation"
-        },
-        body: JSON.stringify(payload)
-      });
-      if (!ins.ok) {
-        const t = await ins.text();
-        return new Response(JSON.stringify({ error: "Failed to insert punchlist items", details: t }), { status: 500 });
-      }
-      const itemsInserted = await ins.json();
-
-      return new Response(JSON.stringify({
-        punchlist_id: pl.id,
-        work_order_id: work_order_id,
-        items_count: itemsInserted.length,
-        items: itemsInserted
-      }), { status: 200, headers: { "Content-Type": "application/json" } });
-    } else {
-      return new Response(JSON.stringify({
+    await applyPlan(pl, plan);
+    // Items left to chase after sign-off put the job in the punchlist stage
+    if (plan.added.length || plan.changed.length) await advance(work_order_id, ["walkthrough_signed"], "punchlist_open", ACTOR);
+
+    if (created || plan.added.length || plan.changed.length || plan.resolved.length) {
+      const open = await select(
+        "punchlist_items",
+        `select=manufacturer,model,room,missing_qty,damaged_qty,issue&punchlist_id=eq.${pl.id}` +
+          `&status=in.(${OPEN_STATUSES.join(",")})&order=room.asc,manufacturer.asc,model.asc`
+      );
+      await notifySafely("punchlist_generated", work_order_id, {
         punchlist_id: pl.id,
-        work_order_id: work_order_id,
-        items_count: 0,
-        items: []
-      }), { status: 200, headers: { "Content-Type": "application/json" } });
+        created,
+        added: plan.added.length,
+        changed: plan.changed.length,
+        resolved: plan.resolved.length,
+        open_count: open.length,
+        open_items: open.slice(0, 25),
+      }, { actor: auth.actor });
     }
-
+    return result(created);
   } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), { status: 500 });
+    return json({ error: err.message }, 500);
   }
 };
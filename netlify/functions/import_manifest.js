@@ -1,159 +1,303 @@
 // netlify/functions/import_manifest.js
-// Purpose: Auto-fix schema + policies for imported_manifest, then upsert rows.
-// Security: Uses Service Role key (server-side). UI remains read-only.
-
-async function pg(sql, SUPABASE_URL, SRK) {
-  // Run SQL via /rest/v1/rpc with a simple function wrapper (no need for psql)
-  const fn = `do_sql_${cryptoRandom(6)}`;
-  const create = await fetch(`${SUPABASE_URL}/rest/v1/rpc`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "apikey": SRK, "Authorization": `Bearer ${SRK}` },
-    body: JSON.stringify({ /* placeholder */ })
-  });
-  // We don't actually create RPCs here; instead we use the SQL executor endpoint if available.
-  // Fallback: PostgREST can't run arbitrary SQL; so we use a two-step approach:
-  // 1) Ensure table/index with idempotent DDL via PostgREST's /rest/v1 call to a prepared SQL function we create once below.
-  // 2) As a simpler pattern (and fully PostgREST-compatible), we send DDL via "sql" extension if enabled.
-  // NOTE: Many Supabase projects include the "sql" extension now. If yours doesn't, we inline DDL in a "helper" function we create once.
-  throw new Error("This project doesn't expose a direct SQL executor over REST. See helper below.");
+// Purpose: versioned manifest import into work_order_items.
+//   Every upload is stored as a numbered manifest_revisions row, diffed line-by-line against the
+//   job's current items, and only the changes the user accepts are applied. Each applied/rejected
+//   change is kept in manifest_changes as the audit trail.
+// Security: Uses Service Role key (server-side); callers must be an admin or a PM on the work order
+// (lib/auth.mjs). applied_by / override_by are the signed-in user. Schema: sql/004_manifest_revisions.sql
+//
+// POST { action: "validate", work_order_id, rows: [...] }
+//   -> { validation }   (lib/manifest_validation.mjs report, nothing stored)
+// POST { action: "suggest", work_order_id, rows: [...], ai?: false }
+//   -> { suggestions, ai }   cleanup suggestions (lib/manifest_normalizer.mjs), nothing stored.
+//   Uses the local LLM (ai/local_ai_client.mjs, LOCAL_AI_URL) unless ai: false; LOCAL_AI_STUB=1 swaps in
+//   the deterministic stub client. The LLM gets LOCAL_AI_DEADLINE_MS (default 8 s) for all its batches;
+//   past that the rule suggestions come back with ai.error.
+// POST { action: "preview", work_order_id, filename?, source_document_id?, rows: [...], override?, override_reason? }
+//   -> { revision_id, revision_no, summary, changes, validation, catalog: { known, new } }
+//   Rows with validation errors are refused (422) unless override + override_reason are given.
+//   Blank descriptions are filled from the product catalog (lib/product_catalog.mjs); each change is
+//   marked catalog: "known" | "new". Applied lines link to / create catalog products in the database
+//   (sql/017_product_catalog.sql). source_document_id links the file stored by ingest_manifest.js, and must
+//   belong to the same work order.
+// POST { action: "apply", revision_id, accept: ["c1", "c4", ...] }
+//   -> { revision_id, applied: [...], rejected: [...], skipped: [...], superseded: [revision_no, ...] }
+//   The revision is claimed pending -> applying first, so only one apply runs (409 otherwise); a failed
+//   apply puts it back to pending. Every other pending revision of the job, older or newer, becomes superseded.
+// POST { action: "discard", revision_id }
+// GET  ?work_order_id=...  -> revision history (newest first)
+
+import { json, supaEnv, select, insert, update, remove } from "../../lib/supabase_rest.mjs";
+import { diffManifest, toItem, productKey, ITEM_FIELDS } from "../../lib/manifest_diff.mjs";
+import { validateRows } from "../../lib/manifest_validation.mjs";
+import { suggestCleanups } from "../../lib/manifest_normalizer.mjs";
+import { loadProducts, findProduct } from "../../lib/product_catalog.mjs";
+import { clientFromEnv } from "../../ai/local_ai_client.mjs";
+import { advance } from "../../lib/work_order_status.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds } from "../../lib/auth.mjs";
+
+const ITEM_COLS = ["id", ...ITEM_FIELDS].join(",");
+
+async function currentItems(work_order_id) {
+  return select("work_order_items", `select=${ITEM_COLS}&work_order_id=eq.${work_order_id}&order=line_no.asc.nullslast`);
 }
 
-function cryptoRandom(len = 6) {
-  const chars = "abcdefghijklmnopqrstuvwxyz0123456789";
-  let out = "";
-  for (let i = 0; i < len; i++) out += chars[Math.floor(Math.random() * chars.length)];
-  return out;
+// Canonical room list for the job; falls back to the rooms already on its items.
+async function knownRooms(work_order_id) {
+  const rooms = await select("work_order_rooms", `select=name&work_order_id=eq.${work_order_id}`).catch(() => []);
+  if (rooms.length) return rooms.map((r) => r.name);
+  const items = await select("work_order_items", `select=room&work_order_id=eq.${work_order_id}`);
+  return [...new Set(items.map((i) => i.room).filter(Boolean))];
 }
 
-async function ensureDDL(SUPABASE_URL, SRK) {
-  // Use PostgREST to call a helper function that runs DDL safely + idempotently.
-  // First attempt to create the helper; if it exists already, creation will no-op.
-  const ddlHelperSQL = `
-  create or replace function public.wpusa_import_manifest_prepare()
-  returns void
-  language plpgsql
-  security definer
-  as $$
-  begin
-    -- 1) Table
-    create table if not exists public.imported_manifest (
-      id uuid primary key default gen_random_uuid(),
-      manufacturer text,
-      model text,
-      room text,
-      expected_qty int default 0,
-      created_at timestamptz default now()
-    );
-
-    -- 2) Unique index for merge behavior
-    begin
-      create unique index ux_imported_manifest_item
-      on public.imported_manifest (manufacturer, model, room);
-    exception when duplicate_table then
-      null;
-    when others then
-      -- if already exists or any other benign issue, ignore
-      null;
-    end;
-
-    -- 3) RLS + READ policy for anon (UI reads only)
-    alter table public.imported_manifest enable row level security;
-
-    -- Drop ALL existing policies then re-add read-only (idempotent)
-    perform 1;
-    perform (select 1 from pg_policies where schemaname='public' and tablename='imported_manifest');
-    for pol in
-      select policyname from pg_policies
-      where schemaname='public' and tablename='imported_manifest'
-    loop
-      execute format('drop policy if exists %I on public.imported_manifest', pol.policyname);
-    end loop;
-
-    create policy imported_manifest_anon_read
-      on public.imported_manifest
-      for select
-      to anon
-      using (true);
-
-  end $$;
-  `;
-
-  // Create the helper function via SQL-over-HTTP endpoint.
-  // Supabase PostgREST doesn't execute arbitrary SQL directly.
-  // We can bootstrap with the "sql" extension when enabled:
-  const sqlEndpoint = `${SUPABASE_URL}/rest/v1/sql`;
-  let res = await fetch(sqlEndpoint, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "apikey": SRK, "Authorization": `Bearer ${SRK}` },
-    body: JSON.stringify({ q: ddlHelperSQL })
-  });
+async function validate(body) {
+  const { work_order_id, rows } = body;
+  if (!work_order_id) return json({ error: "work_order_id is required" }, 400);
+  if (!Array.isArray(rows)) return json({ error: "Provide a rows array" }, 400);
+  return json({ validation: validateRows(rows, { rooms: await knownRooms(work_order_id) }) });
+}
+
+async function suggest(body) {
+  const { work_order_id, rows } = body;
+  if (!work_order_id) return json({ error: "work_order_id is required" }, 400);
+  if (!Array.isArray(rows)) return json({ error: "Provide a rows array" }, 400);
+  // Created first: its deadline counts from here, so the whole request stays under the function limit
+  const client = body.ai === false ? null : clientFromEnv(() => ({ items: [] }));
+  // Model -> manufacturer pairs already on the job help fill blanks in the new file
+  const [rooms, known] = await Promise.all([
+    knownRooms(work_order_id),
+    select("work_order_items", `select=manufacturer,model&work_order_id=eq.${work_order_id}&manufacturer=not.is.null`),
+  ]);
+  return json(await suggestCleanups(rows, { rooms, known, client }));
+}
 
-  if (!res.ok) {
-    // If /rest/v1/sql is not enabled, we fallback to a one-time manual step:
-    // Ask the operator to paste ddlHelperSQL in Supabase SQL editor.
-    throw new Error("SQL endpoint not available. Please paste ddlHelperSQL in Supabase SQL editor once, then retry.");
+async function nextRevisionNo(work_order_id) {
+  const [last] = await select(
+    "manifest_revisions",
+    `select=revision_no&work_order_id=eq.${work_order_id}&order=revision_no.desc&limit=1`
+  );
+  return (last?.revision_no ?? 0) + 1;
+}
+
+async function preview(body) {
+  const { work_order_id, filename = null, source_document_id = null } = body;
+  const rows = body.rows;
+  if (!work_order_id) return json({ error: "work_order_id is required" }, 400);
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return json({ error: "Provide a non-empty rows array" }, 400);
+  }
+  if (source_document_id) {
+    const [doc] = await select("manifest_documents", `select=work_order_id&id=eq.${source_document_id}`);
+    if (!doc || doc.work_order_id !== work_order_id) {
+      return json({ error: "source_document_id is not a file uploaded to this work order" }, 400);
+    }
   }
 
-  // Now call the helper to apply DDL + policies idempotently.
-  const rpc = await fetch(`${SUPABASE_URL}/rest/v1/rpc/wpusa_import_manifest_prepare`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "apikey": SRK, "Authorization": `Bearer ${SRK}` },
-    body: JSON.stringify({})
-  });
+  const validation = validateRows(rows, { rooms: await knownRooms(work_order_id) });
+  const override = !!body.override && String(body.override_reason ?? "").trim() !== "";
+  if (!validation.ok && !override) {
+    return json({
+      error: `Manifest has ${validation.summary.errors} error(s); fix them or override with a reason`,
+      validation,
+    }, 422);
+  }
+
+  const parsed = rows.map(toItem);
+  const products = await loadProducts(parsed);
+  const incoming = parsed.map((r) => ({ ...r, description: r.description ?? findProduct(products, r)?.description ?? null }));
+  const { changes, summary } = diffManifest(await currentItems(work_order_id), incoming);
+  const catalog = { known: 0, new: 0 };
+  for (const c of changes) {
+    if (!c.after) continue;
+    c.catalog = findProduct(products, c.after) ? "known" : "new";
+    catalog[c.catalog]++;
+  }
 
-  if (!rpc.ok) {
-    const t = await rpc.text();
-    throw new Error(`Failed to run wpusa_import_manifest_prepare: ${t}`);
+  // Two uploads racing for the same number hit the unique index; take the next one.
+  let revision;
+  for (let attempt = 0; attempt < 3 && !revision; attempt++) {
+    try {
+      [revision] = await insert("manifest_revisions", [{
+        work_order_id,
+        revision_no: await nextRevisionNo(work_order_id),
+        source_filename: filename,
+        source_document_id,
+        row_count: incoming.length,
+        rows: incoming,
+        diff: { summary, changes },
+        validation,
+        override_reason: validation.ok ? null : String(body.override_reason).trim(),
+        override_by: validation.ok ? null : body.override_by ?? null,
+        status: "pending",
+      }]);
+    } catch (e) {
+      if (e.status !== 409 || attempt === 2) throw e;
+    }
   }
+
+  return json({ revision_id: revision.id, revision_no: revision.revision_no, summary, changes, validation, catalog });
 }
 
-export default async (req) => {
+// True when the item still looks the way it did when the diff was computed.
+function unchangedSince(item, before) {
+  return !!item && ITEM_FIELDS.every((f) => String(item[f] ?? "") === String(before[f] ?? ""));
+}
+
+// Same product in the same room: an "added" line that is already on the job (applied by a retry or another revision)
+const sameLine = (a, b) => productKey(a) === productKey(b) &&
+  String(a.room ?? "").trim().toUpperCase() === String(b.room ?? "").trim().toUpperCase();
+
+async function applyChange(c, work_order_id, byId) {
+  if (c.type === "added") {
+    if ([...byId.values()].some((i) => sameLine(i, c.after))) return null;
+    const [row] = await insert("work_order_items", [{ ...c.after, work_order_id }]);
+    return row.id;
+  }
+  const item = byId.get(c.work_order_item_id);
+  if (!unchangedSince(item, c.before)) return null;
+
+  if (c.type === "removed") {
+    await remove("work_order_items", `id=eq.${item.id}`);
+  } else {
+    // qty_changed / room_moved take every field from the new manifest line
+    await update("work_order_items", `id=eq.${item.id}`, c.after);
+  }
+  return item.id;
+}
+
+async function apply(body) {
+  const { revision_id, applied_by = null } = body;
+  const accept = new Set(Array.isArray(body.accept) ? body.accept : []);
+  if (!revision_id) return json({ error: "revision_id is required" }, 400);
+
+  // Compare-and-set: of two applies racing (or a retry of one that got through), only one gets the row
+  const [rev] = await update("manifest_revisions", `id=eq.${revision_id}&status=eq.pending`, { status: "applying", applied_by });
+  if (!rev) {
+    const [cur] = await select("manifest_revisions", `select=revision_no,status&id=eq.${revision_id}`);
+    if (!cur) return json({ error: "Revision not found" }, 404);
+    return json({ error: `Revision ${cur.revision_no} is already ${cur.status}` }, 409);
+  }
+
   try {
-    if (req.method !== "POST") {
-      return new Response(JSON.stringify({ error: "Use POST" }), { status: 405 });
-    }
+    return await applyRevision(rev, accept, applied_by);
+  } catch (err) {
+    // Retry-safe: lines changed before the failure no longer match the diff and come back skipped
+    await update("manifest_revisions", `id=eq.${rev.id}&status=eq.applying`, { status: "pending" }).catch(() => {});
+    throw err;
+  }
+}
 
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SRK = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    if (!SUPABASE_URL || !SRK) {
-      return new Response(JSON.stringify({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }), { status: 500 });
-    }
+async function applyRevision(rev, accept, applied_by) {
+  const byId = new Map((await currentItems(rev.work_order_id)).map((i) => [i.id, i]));
+  const now = new Date().toISOString();
+  const result = { applied: [], rejected: [], skipped: [] };
+  const audit = [];
 
-    // Read JSON array from body
-    const rows = await req.json();
-    if (!Array.isArray(rows) || rows.length === 0) {
-      return new Response(JSON.stringify({ error: "Provide a non-empty JSON array" }), { status: 400 });
+  for (const c of rev.diff?.changes || []) {
+    let outcome = "rejected";
+    let itemId = c.work_order_item_id;
+    if (accept.has(c.change_id)) {
+      itemId = await applyChange(c, rev.work_order_id, byId);
+      outcome = itemId ? "applied" : "skipped";
     }
+    result[outcome].push(c.change_id);
+    audit.push({
+      revision_id: rev.id,
+      work_order_id: rev.work_order_id,
+      change_id: c.change_id,
+      change_type: c.type,
+      work_order_item_id: itemId,
+      before: c.before,
+      after: c.after,
+      outcome,
+      decided_by: applied_by,
+      decided_at: now,
+    });
+  }
 
-    // Ensure schema + RLS are correct
-    try {
-      await ensureDDL(SUPABASE_URL, SRK);
-    } catch (e) {
-      // Fallback instructions if sql endpoint is not enabled:
-      return new Response(JSON.stringify({
-        error: "DDL bootstrap required",
-        message: e.message,
-        action: "Open Supabase SQL editor, paste wpusa_import_manifest_prepare() function from the function source (ddlHelperSQL), run it once, then call this endpoint again."
-      }), { status: 501 });
+  if (audit.length) await insert("manifest_changes", audit);
+  await update("manifest_revisions", `id=eq.${rev.id}`, {
+    status: "applied",
+    applied_at: now,
+    applied_by,
+    applied_count: result.applied.length,
+  });
+  // Every other upload still pending (newer ones too) was diffed against items this one has just changed
+  const superseded = await update(
+    "manifest_revisions",
+    `work_order_id=eq.${rev.work_order_id}&status=eq.pending&id=neq.${rev.id}`,
+    { status: "superseded" }
+  );
+  // First manifest on a new job moves it along the lifecycle
+  if (result.applied.length) await advance(rev.work_order_id, ["created"], "manifest_imported", applied_by || "system:import_manifest");
+
+  return json({ revision_id: rev.id, revision_no: rev.revision_no, ...result, superseded: superseded.map((r) => r.revision_no) });
+}
+
+async function discard(body) {
+  const { revision_id } = body;
+  if (!revision_id) return json({ error: "revision_id is required" }, 400);
+  const [rev] = await update("manifest_revisions", `id=eq.${revision_id}&status=eq.pending`, { status: "discarded" });
+  if (!rev) return json({ error: "No pending revision with that id" }, 404);
+  return json({ revision_id: rev.id, status: rev.status });
+}
+
+async function history(work_order_id) {
+  if (!work_order_id) return json({ error: "Provide ?work_order_id=..." }, 400);
+  const revisions = await select(
+    "manifest_revisions",
+    `select=id,revision_no,source_filename,source_document_id,row_count,status,created_at,applied_at,applied_by,applied_count,override_reason,diff_summary:diff->summary,validation_summary:validation->summary&work_order_id=eq.${work_order_id}&order=revision_no.desc`
+  );
+  return json({ work_order_id, revisions });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
     }
 
-    // Upsert with merge behavior (requires unique index)
-    const up = await fetch(`${SUPABASE_URL}/rest/v1/imported_manifest?on_conflict=manufacturer,model,room`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "apikey": SRK,
-        "Authorization": `Bearer ${SRK}`,
-        "Prefer": "resolution=merge-duplicates, return=representation"
-      },
-      body: JSON.stringify(rows)
-    });
+    const { auth, denied } = await authorize(req, { roles: ["admin", "pm"] });
+    if (denied) return denied;
 
-    const text = await up.text();
-    if (!up.ok) return new Response(text || "Upsert failed", { status: up.status });
+    if (req.method === "GET") {
+      const params = new URL(req.url).searchParams;
+      const bad = invalidIds(params, ["work_order_id"]);
+      if (bad) return bad;
+      const work_order_id = params.get("work_order_id");
+      if (work_order_id && !(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+      return await history(work_order_id);
+    }
+    if (req.method !== "POST") {
+      return json({ error: "Use GET or POST" }, 405);
+    }
 
-    return new Response(text || "[]", { status: 200, headers: { "Content-Type": "application/json" } });
+    const body = (await req.json().catch(() => null)) || {};
+    const bad = invalidIds(body, ["work_order_id", "revision_id", "source_document_id"]);
+    if (bad) return bad;
+    // apply / discard name a revision: access is checked on the work order it belongs to, never on the body's
+    let woId = body.work_order_id ?? null;
+    if (body.revision_id) {
+      const [rev] = await select("manifest_revisions", `select=work_order_id&id=eq.${body.revision_id}`);
+      if (!rev) return json({ error: "Revision not found" }, 404);
+      if (woId && woId !== rev.work_order_id) {
+        return json({ error: "revision_id does not belong to work_order_id" }, 400);
+      }
+      woId = rev.work_order_id;
+    }
+    if (woId && !(await canAccessWorkOrder(auth, woId))) return forbidden();
+    body.applied_by = auth.actor;
+    body.override_by = auth.actor;
+
+    switch (body?.action) {
+      case "validate": return await validate(body);
+      case "suggest": return await suggest(body);
+      case "preview": return await preview(body);
+      case "apply": return await apply(body);
+      case "discard": return await discard(body);
+      default: return json({ error: "action must be validate, suggest, preview, apply or discard" }, 400);
+    }
   } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), { status: 500 });
+    return json({ error: err.message }, 500);
   }
 };
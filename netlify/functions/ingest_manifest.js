@@ -0,0 +1,114 @@
+// netlify/functions/ingest_manifest.js
+// Server-side manifest ingest: PDF purchase orders / packing slips (text-based), XLSX, CSV and JSON.
+// The file is stored as the manifest's source document (private bucket manifest-sources), read into
+// header-keyed rows (lib/manifest_ingest.mjs, header row via findHeaderRow()), and mapped with the
+// matching saved profile or guessMapping(). Nothing touches work_order_items: the page reviews the
+// rows and sends them to import_manifest.js "preview" with source_document_id.
+// Admins and PMs on the work order (lib/auth.mjs). Schema: sql/018_manifest_documents.sql
+//
+// POST ?work_order_id=...&filename=po.pdf    body: the file bytes (any Content-Type)
+//   -> { document, format, headers, raw_rows, sheets, warnings, profile, mapping, rows }
+//      raw_rows: header-keyed, as in the file; rows: normalized with the profile / guessed mapping
+// GET  ?document_id=...  -> { document, url }   signed download URL (10 minutes)
+
+import { json, supaEnv, select, insert, storageUpload, storageSignedUrl } from "../../lib/supabase_rest.mjs";
+import { ingestFile } from "../../lib/manifest_ingest.mjs";
+import { applyMapping, guessMapping, matchProfile } from "../../lib/manifest_mapping.mjs";
+import { sha256 } from "../../lib/signatures.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds } from "../../lib/auth.mjs";
+
+const SOURCE_BUCKET = "manifest-sources";
+const MAX_BYTES = 5 * 1024 * 1024; // Netlify caps request bodies at 6 MB
+
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv",
+  json: "application/json",
+};
+
+const safeName = (name) => String(name || "manifest").replace(/[^\w.-]+/g, "_").slice(-120);
+
+async function ingest(req, auth, params) {
+  const work_order_id = params.get("work_order_id");
+  const filename = params.get("filename") || "manifest";
+  if (!work_order_id) return json({ error: "Provide ?work_order_id=..." }, 400);
+  if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+
+  const bytes = Buffer.from(await req.arrayBuffer());
+  if (!bytes.length) return json({ error: "Empty file" }, 400);
+  if (bytes.length > MAX_BYTES) return json({ error: `File is larger than ${MAX_BYTES / 1024 / 1024} MB` }, 413);
+
+  let parsed;
+  try {
+    parsed = await ingestFile(bytes, { filename, contentType: req.headers.get("content-type") || "" });
+  } catch (err) {
+    return json({ error: `Could not read ${filename}: ${err.message}` }, 422);
+  }
+
+  // Keep the file whatever came out of it, so a bad PO can be looked at later
+  const storage_path = `${work_order_id}/${Date.now()}_${safeName(filename)}`;
+  const contentType = CONTENT_TYPES[parsed.format];
+  await storageUpload(SOURCE_BUCKET, storage_path, bytes, contentType);
+  const [document] = await insert("manifest_documents", [{
+    work_order_id,
+    filename,
+    format: parsed.format,
+    content_type: contentType,
+    size_bytes: bytes.length,
+    sha256: sha256(bytes),
+    storage_path,
+    row_count: parsed.rows.length,
+    sheets: parsed.sheets,
+    warnings: parsed.warnings,
+    uploaded_by: auth.actor,
+  }]);
+
+  const profiles = await select("manifest_mapping_profiles", "select=*");
+  const hit = matchProfile(parsed.headers, profiles);
+  const profile = hit?.profile || null;
+  const raw_rows = profile?.sheets?.length ? parsed.rows.filter((r) => profile.sheets.includes(r._sheet)) : parsed.rows;
+  const mapping = profile?.mapping || guessMapping(parsed.headers);
+
+  return json({
+    document,
+    format: parsed.format,
+    headers: parsed.headers,
+    raw_rows,
+    sheets: parsed.sheets,
+    warnings: parsed.warnings,
+    profile: profile && { id: profile.id, name: profile.name, score: hit.score },
+    mapping,
+    rows: applyMapping(raw_rows, { mapping, room_from_sheet: profile?.room_from_sheet }),
+  }, parsed.rows.length ? 200 : 422);
+}
+
+async function download(auth, document_id) {
+  const [document] = await select("manifest_documents", `select=*&id=eq.${document_id}`);
+  if (!document) return json({ error: "Document not found" }, 404);
+  if (!(await canAccessWorkOrder(auth, document.work_order_id))) return forbidden();
+  return json({ document, url: await storageSignedUrl(SOURCE_BUCKET, document.storage_path) });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req, { roles: ["admin", "pm"] });
+    if (denied) return denied;
+
+    const params = new URL(req.url).searchParams;
+    const bad = invalidIds(params, ["work_order_id", "document_id"]);
+    if (bad) return bad;
+    if (req.method === "GET") {
+      const document_id = params.get("document_id");
+      if (!document_id) return json({ error: "Provide ?document_id=..." }, 400);
+      return await download(auth, document_id);
+    }
+    if (req.method !== "POST") return json({ error: "Use GET or POST" }, 405);
+    return await ingest(req, auth, params);
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
@@ -0,0 +1,136 @@
+// netlify/functions/notifications.js
+// Email preferences and the send log (notifications.html). Sending itself: lib/notifications.mjs.
+//
+// GET                 -> { preference, events: [{ event, label, applies }], delivery, log }   the caller's own
+// GET ?all=1          -> log holds everyone's last 200 sends (admins)
+// POST { action: "preferences", delivery: "instant" | "digest" | "off", muted_events?: [...] } -> { preference }
+// POST { action: "run" }   -> { shortages, digests }   the scheduled run, now (admins)
+// GET ?contacts=1     -> { contacts: [{ email, delivery, muted_events, work_orders: [code] }] }   (admins)
+//   addresses mailed without an account: work order client_email / signer_email, and any with a preference
+// POST { action: "contact", email, delivery: "instant" | "digest" | "off", muted_events?: [...] } -> { contact }   (admins)
+//
+// Any signed-in role manages its own preferences (lib/auth.mjs); only clients and PMs are mailed today,
+// plus the client contacts above.
+
+import { json, supaEnv, select, insert, update } from "../../lib/supabase_rest.mjs";
+import { EVENTS, EVENT_TYPES, DELIVERY } from "../../lib/notification_templates.mjs";
+import {
+  DEFAULT_PREFERENCE, loadPreferences, loadContactPreferences, normalizeEmail, runScheduled,
+} from "../../lib/notifications.mjs";
+import { authorize } from "../../lib/auth.mjs";
+
+const LOG_COLS = "select=id,mode,recipient_email,subject,status,error,attachments,event_ids,work_order_ids,sent_at";
+
+async function overview(params, auth) {
+  const all = params.get("all") === "1";
+  if (all && auth.role !== "admin") return json({ error: "Only admins see everyone's mail" }, 403);
+  const [preference] = [...(await loadPreferences([auth.user.id])).values()];
+  const log = await select(
+    "notification_log",
+    `${LOG_COLS}${all ? "" : `&recipient_id=eq.${auth.user.id}`}&order=sent_at.desc&limit=${all ? 200 : 50}`
+  );
+  return json({
+    preference,
+    events: EVENT_TYPES.map((event) => ({ event, label: EVENTS[event].label, applies: EVENTS[event].audience.includes(auth.role) })),
+    delivery: DELIVERY,
+    log,
+  });
+}
+
+// Every address lib/notifications.mjs may mail outside the members, with its preference; accounts are left out
+async function contacts() {
+  const [wos, rows, profiles] = await Promise.all([
+    select("work_orders", "select=code,client_email,signer_email&or=(client_email.not.is.null,signer_email.not.is.null)"),
+    select("notification_contacts", "select=email"),
+    select("profiles", "select=email&email=not.is.null"),
+  ]);
+  const accounts = new Set(profiles.map((p) => normalizeEmail(p.email)));
+  const jobs = new Map(rows.map((r) => [r.email, []]));
+  for (const wo of wos) {
+    for (const e of new Set([normalizeEmail(wo.client_email), normalizeEmail(wo.signer_email)])) {
+      if (!e || accounts.has(e)) continue;
+      if (!jobs.has(e)) jobs.set(e, []);
+      if (wo.code) jobs.get(e).push(wo.code);
+    }
+  }
+  const prefs = await loadContactPreferences([...jobs.keys()].sort());
+  return json({
+    contacts: [...prefs.values()].map(({ email, delivery, muted_events }) => ({ email, delivery, muted_events, work_orders: jobs.get(email) })),
+    delivery: DELIVERY,
+  });
+}
+
+const mutedEvents = (body) => (Array.isArray(body.muted_events) ? [...new Set(body.muted_events.map(String))] : []);
+const unknownEvents = (muted) => muted.filter((e) => !EVENT_TYPES.includes(e));
+
+async function saveContact(body, auth) {
+  const email = normalizeEmail(body.email);
+  if (!email) return json({ error: "email must be an email address" }, 400);
+  const delivery = String(body.delivery || "");
+  if (!DELIVERY.includes(delivery)) return json({ error: `delivery must be one of ${DELIVERY.join(", ")}` }, 400);
+  const muted = mutedEvents(body);
+  if (unknownEvents(muted).length) return json({ error: `Unknown events: ${unknownEvents(muted).join(", ")}` }, 400);
+
+  const now = new Date().toISOString();
+  const row = { delivery, muted_events: muted, updated_at: now, updated_by: auth.actor };
+  const [old] = await select("notification_contacts", `select=email,delivery&email=eq.${encodeURIComponent(email)}`);
+  // As for members: the digest starts from now
+  if (delivery === "digest" && (old?.delivery ?? DEFAULT_PREFERENCE.delivery) !== "digest") row.last_digest_at = now;
+  const [contact] = old
+    ? await update("notification_contacts", `email=eq.${encodeURIComponent(email)}`, row)
+    : await insert("notification_contacts", [{ email, ...row }]);
+  return json({ contact });
+}
+
+async function savePreferences(body, auth) {
+  const delivery = String(body.delivery || "");
+  if (!DELIVERY.includes(delivery)) return json({ error: `delivery must be one of ${DELIVERY.join(", ")}` }, 400);
+  const muted = mutedEvents(body);
+  const unknown = unknownEvents(muted);
+  if (unknown.length) return json({ error: `Unknown events: ${unknown.join(", ")}` }, 400);
+
+  const now = new Date().toISOString();
+  const [old] = await select("notification_preferences", `select=*&user_id=eq.${auth.user.id}`);
+  const row = { delivery, muted_events: muted, updated_at: now };
+  // Switching to the digest starts it from now: earlier events were already mailed one by one
+  if (delivery === "digest" && (old?.delivery ?? DEFAULT_PREFERENCE.delivery) !== "digest") row.last_digest_at = now;
+
+  const [preference] = old
+    ? await update("notification_preferences", `user_id=eq.${auth.user.id}`, row)
+    : await insert("notification_preferences", [{ user_id: auth.user.id, ...row }]);
+  return json({ preference });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req);
+    if (denied) return denied;
+
+    if (req.method === "GET") {
+      const params = new URL(req.url).searchParams;
+      if (params.get("contacts") !== "1") return await overview(params, auth);
+      if (auth.role !== "admin") return json({ error: "Only admins manage client contacts" }, 403);
+      return await contacts();
+    }
+    if (req.method !== "POST") {
+      return json({ error: "Use GET or POST" }, 405);
+    }
+
+    const body = (await req.json().catch(() => null)) || {};
+    switch (body.action) {
+      case "preferences": return await savePreferences(body, auth);
+      case "contact":
+        if (auth.role !== "admin") return json({ error: "Only admins manage client contacts" }, 403);
+        return await saveContact(body, auth);
+      case "run":
+        if (auth.role !== "admin") return json({ error: "Only admins can run notifications by hand" }, 403);
+        return json(await runScheduled());
+      default: return json({ error: "action must be preferences, contact or run" }, 400);
+    }
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
@@ -0,0 +1,23 @@
+// netlify/functions/notifications_scheduled.js
+// Netlify scheduled function, hourly: emails PMs about new receiving shortages (vw_arrival_variance) and
+// sends the daily digests once NOTIFY_DIGEST_HOUR (UTC) has passed (lib/notifications.mjs).
+// Admins can trigger the same run from notifications.html (notifications.js, action "run").
+
+import { json, supaEnv } from "../../lib/supabase_rest.mjs";
+import { runScheduled } from "../../lib/notifications.mjs";
+
+export default async () => {
+  if (!supaEnv().ok) {
+    return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+  }
+  try {
+    const out = await runScheduled();
+    console.log(`notifications: ${out.shortages.length} shortage checks, ${out.digests.length} digests`);
+    return json(out);
+  } catch (err) {
+    console.error(`notifications run failed: ${err.message}`);
+    return json({ error: err.message }, 500);
+  }
+};
+
+export const config = { schedule: "@hourly" };
@@ -0,0 +1,120 @@
+// netlify/functions/punchlist_ai.js
+// Punchlist notes -> structured issues, and distributor claim email drafts, via the local LLM
+// (ai/local_ai_client.mjs, LOCAL_AI_URL; LOCAL_AI_STUB=1 swaps in the mock model). When the model is
+// unreachable the keyword rules / plain template answer instead (lib/punchlist_issues.mjs), so the page
+// always gets something to review. Schema: sql/016_punchlist_issues.sql
+//
+// POST { action: "parse", note, item?: { manufacturer, model, room, expected_qty, missing_qty, damaged_qty } }
+//   -> { issue, source, ai_error }            nothing stored (punchlist.html, before new items are saved)
+// POST { action: "structure", item_id, note?, issue? }
+//   -> { item, issue, source, ai_error }      parses the item's note (or `note`) and saves the fields;
+//                                             an `issue` edited by a person is saved as-is (source "manual")
+// POST { action: "claims", punchlist_id, item_ids? }
+//   -> { emails: [{ vendor, subject, body, items, source, ai_error }] }   open items unless item_ids given
+//
+// Staff on the work order only (lib/auth.mjs).
+
+import { json, supaEnv, select, insert, update } from "../../lib/supabase_rest.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds, isUuid, STAFF } from "../../lib/auth.mjs";
+import { clientFromEnv, validateSchema } from "../../ai/local_ai_client.mjs";
+import { structureNote, draftClaimEmails, mockResponder, ISSUE_SCHEMA } from "../../lib/punchlist_issues.mjs";
+
+async function workOrderOf(punchlist_id) {
+  const [pl] = await select("punchlists", `select=work_order_id&id=eq.${punchlist_id}`);
+  return pl?.work_order_id ?? null;
+}
+
+async function parse(body) {
+  const note = String(body.note ?? "").trim();
+  if (!note) return json({ error: "note is required" }, 400);
+  return json(await structureNote(note, body.item || {}, { client: clientFromEnv(mockResponder) }));
+}
+
+async function structure(body, item) {
+  let result;
+  if (body.issue) {
+    const issue = { confidence: 1, ...body.issue };
+    const problems = validateSchema(ISSUE_SCHEMA, issue);
+    if (problems.length) return json({ error: "Invalid issue", problems }, 400);
+    result = { issue, source: "manual", ai_error: null };
+  } else {
+    const note = String(body.note ?? item.notes ?? "").trim();
+    if (!note) return json({ error: "The item has no note to structure; pass note" }, 400);
+    result = await structureNote(note, item, { client: clientFromEnv(mockResponder) });
+  }
+
+  const { issue, source } = result;
+  const [saved] = await update("punchlist_items", `id=eq.${item.id}`, {
+    issue: issue.description,
+    issue_category: issue.category,
+    severity: issue.severity,
+    affected_qty: issue.affected_qty,
+    suggested_action: issue.action,
+    issue_source: source,
+    issue_confidence: issue.confidence,
+    updated_at: new Date().toISOString(),
+  });
+  await insert("punchlist_history", [{
+    punchlist_id: item.punchlist_id,
+    punchlist_item_id: item.id,
+    event: "issue_structured",
+    from_status: item.status,
+    to_status: item.status,
+    actor: body.actor,
+    note: issue.description,
+    data: { issue, source, before: { issue: item.issue, issue_category: item.issue_category } },
+    changed_at: new Date().toISOString(),
+  }]);
+  return json({ item: saved, ...result });
+}
+
+async function claims(body) {
+  const { punchlist_id } = body;
+  if (!punchlist_id) return json({ error: "punchlist_id is required" }, 400);
+  const [pl] = await select("punchlists", `select=id,work_order_id&id=eq.${punchlist_id}`);
+  if (!pl) return json({ error: "Punchlist not found" }, 404);
+  const ids = Array.isArray(body.item_ids) ? body.item_ids : [];
+  // They go into the query string as they are
+  if (!ids.every(isUuid)) return json({ error: "item_ids must be punchlist item ids" }, 400);
+  const filter = ids.length ? `id=in.(${ids.join(",")})` : "status=in.(open,in_progress)";
+  const [[wo], items] = await Promise.all([
+    select("work_orders", `select=code,title,project_name&id=eq.${pl.work_order_id}`),
+    select("punchlist_items", `select=*&punchlist_id=eq.${punchlist_id}&${filter}&order=manufacturer.asc,model.asc,room.asc`),
+  ]);
+  if (!items.length) return json({ emails: [] });
+  return json({ emails: await draftClaimEmails(items, { wo: wo || {}, client: clientFromEnv(mockResponder) }) });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req, { roles: STAFF });
+    if (denied) return denied;
+    if (req.method !== "POST") return json({ error: "Use POST" }, 405);
+
+    const body = (await req.json().catch(() => null)) || {};
+    const bad = invalidIds(body, ["item_id", "punchlist_id"]);
+    if (bad) return bad;
+    body.actor = auth.actor;
+
+    switch (body.action) {
+      case "parse": return await parse(body);
+      case "structure": {
+        if (!body.item_id) return json({ error: "item_id is required" }, 400);
+        const [item] = await select("punchlist_items", `select=*&id=eq.${body.item_id}`);
+        if (!item) return json({ error: "Punchlist item not found" }, 404);
+        if (!(await canAccessWorkOrder(auth, await workOrderOf(item.punchlist_id)))) return forbidden();
+        return await structure(body, item);
+      }
+      case "claims": {
+        if (body.punchlist_id && !(await canAccessWorkOrder(auth, await workOrderOf(body.punchlist_id)))) return forbidden();
+        return await claims(body);
+      }
+      default: return json({ error: "action must be parse, structure or claims" }, 400);
+    }
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
@@ -0,0 +1,337 @@
+// netlify/functions/sign_walkthrough.js
+// Walkthrough sign-off with a tamper-evident record (lib/signatures.mjs, sql/010_signature_attempts.sql).
+//
+// GET  ?work_order_id=...  -> { summary, content_hash, stage, can_sign, blocked, attempts }   what the client is about to sign
+// POST { work_order_id, signer_name, signer_email, signature_png (data URL), content_hash, override?, override_reason? }
+//   -> checks the walkthrough → walkthrough_signed transition (lib/work_order_status.mjs),
+//      renders the acceptance PDF (summary + signature + signer + timestamp + SHA-256),
+//      stores PNG and PDF write-once in the private bucket, logs the attempt, moves the WO to walkthrough_signed.
+//   409 when the summary changed after it was shown (attempt logged as "stale"), the job is not at walkthrough,
+//      or its status changed between the check and the update (the signed attempt is followed by a "stale" one);
+//   422 when damaged / short lines are unresolved and no override was given (attempt logged as "blocked").
+//
+// Every attempt, successful or not, is a new signature_attempts row; nothing is overwritten.
+// A successful signature emails the client and PM (lib/notifications.mjs, current punchlist PDF attached).
+// Any signed-in role assigned to the work order may open and sign (the client on their own account, or on
+// the technician's device); the account that submitted is kept next to the typed signer (signed_in_as).
+
+import { randomUUID } from "node:crypto";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { json, supaEnv, select, insert, storageUpload, storageSignedUrl } from "../../lib/supabase_rest.mjs";
+import { GREY, MUTED, embedRemoteImage, drawText, drawFooter, fitImage, drawSignatureBlock } from "../../lib/pdf_helpers.mjs";
+import { createCursor, drawTable, drawWrapped } from "../../lib/pdf_layout.mjs";
+import { loadBranding } from "../../lib/pdf_branding.mjs";
+import { ACCEPTANCE_BUCKET, loadAcceptance, sha256 } from "../../lib/signatures.mjs";
+import { STAGE_LABELS, currentStage, checkTransition, applyTransition, loadFacts, nextActions } from "../../lib/work_order_status.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds } from "../../lib/auth.mjs";
+import { notifySafely } from "../../lib/notifications.mjs";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function attempts(work_order_id) {
+  return select(
+    "signature_attempts",
+    `select=id,outcome,signer_name,signer_email,content_hash,presented_hash,pdf_sha256,error,attempted_at&work_order_id=eq.${work_order_id}&order=attempted_at.desc`
+  );
+}
+
+function decodePng(dataUrl) {
+  const m = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ""));
+  return m ? Buffer.from(m[1], "base64") : null;
+}
+
+async function renderAcceptancePdf({ acceptance, branding, signer, signedAt, attemptId, png, signatureHash }) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`Walkthrough acceptance ${acceptance.content.work_order.code || ""}`.trim());
+  pdfDoc.setSubject(`content sha256 ${acceptance.content_hash}`);
+  pdfDoc.setCreationDate(new Date(signedAt));
+  pdfDoc.setModificationDate(new Date(signedAt));
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+    mono: await pdfDoc.embedFont(StandardFonts.Courier),
+    italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+  };
+  const logo = await embedRemoteImage(pdfDoc, branding.logo);
+  const sigImg = await pdfDoc.embedPng(png);
+  const { work_order: wo, items, open_punchlist_items: openItems, photo_count } = acceptance.content;
+
+  const c = createCursor(pdfDoc, {
+    size: branding.pdf.size,
+    orientation: "portrait",
+    onNewPage: (page, cur) => {
+      drawText(page, `${branding.companyName} • Walkthrough Acceptance • ${wo.code || wo.id}`, cur.margin, cur.y, {
+        font: fonts.regular, size: 9, color: GREY, maxWidth: cur.width,
+      });
+      cur.y -= 22;
+    },
+  });
+  c.newPage();
+
+  if (logo) {
+    const dim = fitImage(logo, 140, 50);
+    c.page.drawImage(logo, { x: c.pageWidth - c.margin - dim.width, y: c.y - dim.height + 14, ...dim });
+  }
+  drawText(c.page, "Walkthrough Acceptance", c.margin, c.y - 10, { font: fonts.bold, size: 22 });
+  c.y -= 34;
+  for (const [k, v] of [
+    ["Work Order", wo.code || wo.id],
+    ["Project", wo.project_name || wo.title],
+    ["Client", wo.client_name],
+  ]) {
+    drawText(c.page, k, c.margin, c.y, { font: fonts.bold, size: 10 });
+    drawText(c.page, v || "—", c.margin + 90, c.y, { font: fonts.regular, size: 10, maxWidth: c.width - 90 });
+    c.y -= 14;
+  }
+  c.y -= 10;
+
+  drawText(c.page, `Manifest items (${items.length})`, c.margin, c.y, { font: fonts.bold, size: 13 });
+  c.y -= 8;
+  drawTable(c, {
+    fonts,
+    columns: [
+      { title: "Line", key: "line_no", width: 0.6 },
+      { title: "Manufacturer", key: "manufacturer", width: 1.6 },
+      { title: "Model", key: "model", width: 1.6 },
+      { title: "Room", key: "room", width: 1.3 },
+      { title: "Description", key: "description", width: 2.6 },
+      { title: "Qty", key: "qty_ordered", width: 0.6, align: "right", sum: true },
+    ],
+    rows: items,
+    subtotals: items.length > 0,
+    empty: "No manifest items.",
+  });
+
+  c.ensure(60);
+  drawText(c.page, `Open punchlist items (${openItems.length})`, c.margin, c.y, { font: fonts.bold, size: 13 });
+  c.y -= 8;
+  drawTable(c, {
+    fonts,
+    columns: [
+      { title: "Room", key: "room", width: 1.2 },
+      { title: "Item", key: "item", width: 2.2 },
+      { title: "Missing", key: "missing_qty", width: 0.7, align: "right" },
+      { title: "Dmg", key: "damaged_qty", width: 0.6, align: "right" },
+      { title: "Issue", key: "issue", width: 2.6 },
+      { title: "Status", key: "status", width: 0.9 },
+    ],
+    rows: openItems.map((i) => ({ ...i, item: [i.manufacturer, i.model].filter(Boolean).join(" ") })),
+    empty: "No open punchlist items.",
+  });
+  drawText(c.page, `Photos on file: ${photo_count}`, c.margin, c.y, { font: fonts.regular, size: 10 });
+  c.y -= 24;
+
+  // Statement, signature and the integrity block stay together
+  c.ensure(260);
+  c.y = drawWrapped(
+    c.page,
+    `I, ${signer.name}, have reviewed the items and open punchlist items listed above for work order ${wo.code || wo.id} and accept the walkthrough, subject to the open punchlist items.`,
+    c.margin, c.y, { font: fonts.regular, size: 11, maxWidth: c.width }
+  ) - 80;
+  drawSignatureBlock(c.page, {
+    x: c.margin,
+    y: c.y,
+    width: 280,
+    image: sigImg,
+    caption: "Client Signature",
+    font: fonts.regular,
+    detail: `${signer.name} • ${signer.email}`,
+  });
+  c.y -= 44;
+
+  const rows = [
+    ["Signed at (UTC)", signedAt],
+    ["Signer", `${signer.name} <${signer.email}>`],
+    ["Attempt ID", attemptId],
+    ["Content SHA-256", acceptance.content_hash],
+    ["Signature SHA-256", signatureHash],
+  ];
+  for (const [k, v] of rows) {
+    drawText(c.page, k, c.margin, c.y, { font: fonts.bold, size: 9 });
+    drawText(c.page, v, c.margin + 110, c.y, { font: k.includes("SHA") ? fonts.mono : fonts.regular, size: 8, maxWidth: c.width - 110 });
+    c.y -= 13;
+  }
+  c.y = drawWrapped(
+    c.page,
+    "The content hash is computed over the acceptance summary above (canonical JSON). The PDF's own SHA-256 is recorded with the signing attempt and the file is stored write-once.",
+    c.margin, c.y - 6, { font: fonts.italic, size: 8, color: MUTED, maxWidth: c.width }
+  );
+
+  const pageCount = pdfDoc.getPageCount();
+  for (let i = 0; i < pageCount; i++) drawFooter(pdfDoc.getPage(i), fonts.italic, i + 1, pageCount);
+  return Buffer.from(await pdfDoc.save());
+}
+
+async function summary(work_order_id) {
+  if (!work_order_id) return json({ error: "Provide ?work_order_id=..." }, 400);
+  const acceptance = await loadAcceptance(work_order_id);
+  if (!acceptance) return json({ error: "Work order not found" }, 404);
+  const { wo } = acceptance;
+  const stage = currentStage(wo);
+  const signing = nextActions(wo, await loadFacts(wo.id)).find((a) => a.to === "walkthrough_signed") || null;
+  return json({
+    summary: acceptance.content,
+    content_hash: acceptance.content_hash,
+    stage: { status: stage, label: STAGE_LABELS[stage] },
+    can_sign: !!signing,
+    blocked: signing ? signing.blocked : [],
+    signed: wo.acceptance_id
+      ? {
+        acceptance_id: wo.acceptance_id,
+        signer_name: wo.signer_name,
+        signed_at: wo.signed_at,
+        pdf_url: wo.acceptance_pdf_path ? await storageSignedUrl(ACCEPTANCE_BUCKET, wo.acceptance_pdf_path) : null,
+      }
+      : null,
+    attempts: await attempts(work_order_id),
+  });
+}
+
+async function sign(req, body, auth) {
+  const { work_order_id, content_hash: presented_hash } = body;
+  const signer = { name: String(body.signer_name || "").trim(), email: String(body.signer_email || "").trim() };
+  if (!work_order_id) return json({ error: "work_order_id is required" }, 400);
+  if (!signer.name) return json({ error: "signer_name is required" }, 400);
+  if (!EMAIL_RE.test(signer.email)) return json({ error: "A valid signer_email is required" }, 400);
+  if (!presented_hash) return json({ error: "content_hash (from the summary shown to the signer) is required" }, 400);
+  const png = decodePng(body.signature_png);
+  if (!png) return json({ error: "signature_png must be a PNG data URL" }, 400);
+
+  const acceptance = await loadAcceptance(work_order_id);
+  if (!acceptance) return json({ error: "Work order not found" }, 404);
+
+  const attemptId = randomUUID();
+  const signedAt = new Date().toISOString();
+  const signatureHash = sha256(png);
+  const base = {
+    id: attemptId,
+    work_order_id,
+    signer_name: signer.name,
+    signer_email: signer.email,
+    content: acceptance.content,
+    content_hash: acceptance.content_hash,
+    presented_hash,
+    signature_sha256: signatureHash,
+    ip: req.headers.get("x-nf-client-connection-ip") || req.headers.get("x-forwarded-for") || null,
+    user_agent: req.headers.get("user-agent") || null,
+    signed_in_as: auth.user.id,
+    attempted_at: signedAt,
+  };
+
+  if (presented_hash !== acceptance.content_hash) {
+    await insert("signature_attempts", [{ ...base, outcome: "stale", error: "Acceptance summary changed after it was shown" }]);
+    return json({
+      error: "The work order changed since the summary was shown. Review it again before signing.",
+      content_hash: acceptance.content_hash,
+    }, 409);
+  }
+
+  if (body.override && !["admin", "pm"].includes(auth.role)) {
+    return json({ error: "Only an admin or PM can sign with unresolved lines" }, 403);
+  }
+  const override_reason = String(body.override_reason || "").trim() || null;
+  const check = await checkTransition(acceptance.wo, "walkthrough_signed", {
+    override: !!body.override,
+    override_reason,
+    via: "sign_walkthrough",
+  });
+  if (!check.ok) {
+    await insert("signature_attempts", [{ ...base, outcome: "blocked", error: check.error }]);
+    const { ok, status, ...rest } = check;
+    return json(rest, status);
+  }
+
+  const dir = `${work_order_id}/${attemptId}`;
+  try {
+    const branding = await loadBranding(acceptance.wo);
+    const pdf = await renderAcceptancePdf({ acceptance, branding, signer, signedAt, attemptId, png, signatureHash });
+    const pdfHash = sha256(pdf);
+
+    await storageUpload(ACCEPTANCE_BUCKET, `${dir}/signature.png`, png, "image/png");
+    await storageUpload(ACCEPTANCE_BUCKET, `${dir}/acceptance.pdf`, pdf, "application/pdf");
+
+    await insert("signature_attempts", [{
+      ...base,
+      outcome: "signed",
+      signature_path: `${dir}/signature.png`,
+      pdf_path: `${dir}/acceptance.pdf`,
+      pdf_sha256: pdfHash,
+    }]);
+    const moved = await applyTransition(acceptance.wo, check, {
+      actor: `${signer.name} <${signer.email}>`,
+      override_reason,
+      extra: {
+        acceptance_id: attemptId,
+        signature_path: `${dir}/signature.png`,
+        acceptance_pdf_path: `${dir}/acceptance.pdf`,
+        acceptance_sha256: acceptance.content_hash,
+        signer_name: signer.name,
+        signer_email: signer.email,
+        signed_at: signedAt,
+      },
+    });
+    if (!moved) {
+      // Another transition landed between the check and this update; the stored signature does not sign the job
+      await insert("signature_attempts", [{
+        ...base,
+        id: randomUUID(),
+        outcome: "stale",
+        error: `Work order status changed while attempt ${attemptId} was signing`,
+      }]);
+      return json({ error: "The work order's status changed while signing. Review it again before signing." }, 409);
+    }
+    await notifySafely("walkthrough_signed", work_order_id, {
+      acceptance_id: attemptId,
+      signer_name: signer.name,
+      signer_email: signer.email,
+      signed_at: signedAt,
+      override_reason,
+      open_count: acceptance.content.open_punchlist_items.length,
+    }, { actor: auth.actor });
+
+    return json({
+      acceptance_id: attemptId,
+      signed_at: signedAt,
+      content_hash: acceptance.content_hash,
+      pdf_sha256: pdfHash,
+      pdf_url: await storageSignedUrl(ACCEPTANCE_BUCKET, `${dir}/acceptance.pdf`),
+    });
+  } catch (err) {
+    // A row of its own: the "signed" row may already hold attemptId
+    await insert("signature_attempts", [{
+      ...base,
+      id: randomUUID(),
+      outcome: "failed",
+      error: `Attempt ${attemptId}: ${err.message}`,
+    }]).catch(() => {});
+    throw err;
+  }
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req);
+    if (denied) return denied;
+    if (req.method === "GET") {
+      const params = new URL(req.url).searchParams;
+      const bad = invalidIds(params, ["work_order_id"]);
+      if (bad) return bad;
+      const work_order_id = params.get("work_order_id");
+      if (work_order_id && !(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+      return await summary(work_order_id);
+    }
+    if (req.method !== "POST") {
+      return json({ error: "Use GET or POST" }, 405);
+    }
+    const body = (await req.json().catch(() => null)) || {};
+    const bad = invalidIds(body, ["work_order_id"]);
+    if (bad) return bad;
+    if (body.work_order_id && !(await canAccessWorkOrder(auth, body.work_order_id))) return forbidden();
+    return await sign(req, body, auth);
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
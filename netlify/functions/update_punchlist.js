@@ -0,0 +1,215 @@
+// netlify/functions/update_punchlist.js
+// Punchlist item workflow: assign, schedule and move items open → in_progress → resolved → verified.
+// Every change is written to punchlist_history; the punchlist closes itself once every item is verified.
+// Schema: sql/007_punchlist_lifecycle.sql
+//
+// POST { action: "assign", item_id, assigned_to, due_date? }
+// POST { action: "transition", item_id, to, notes?, photo_urls?: [] }
+// GET  ?punchlist_id=...   -> { punchlist, items, history }
+//
+// Staff on the work order only (lib/auth.mjs); the actor is the signed-in user. Only admins and PMs
+// may assign or verify — technicians work items and mark them resolved.
+// Both writes only land while the item still has the status they were checked against (409 otherwise),
+// so two people moving the same item cannot both succeed.
+
+import { json, supaEnv, select, insert, update } from "../../lib/supabase_rest.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds, STAFF } from "../../lib/auth.mjs";
+
+const ITEM_STATUSES = ["open", "in_progress", "resolved", "verified"];
+
+// Allowed moves. resolved → in_progress is a failed verification; verified → open reopens.
+const TRANSITIONS = {
+  open: ["in_progress", "resolved"],
+  in_progress: ["open", "resolved"],
+  resolved: ["verified", "in_progress"],
+  verified: ["open"],
+};
+
+const MANAGERS = ["admin", "pm"];
+
+async function workOrderOf(punchlist_id) {
+  const [pl] = await select("punchlists", `select=work_order_id&id=eq.${punchlist_id}`);
+  return pl?.work_order_id ?? null;
+}
+
+async function getItem(item_id) {
+  const [item] = await select("punchlist_items", `select=*&id=eq.${item_id}`);
+  return item || null;
+}
+
+// Compare-and-set on status: null when someone else moved the item since it was read
+async function updateItem(item, patch) {
+  const [saved] = await update("punchlist_items", `id=eq.${item.id}&status=eq.${encodeURIComponent(item.status)}`, patch);
+  return saved || null;
+}
+
+const MOVED = { error: "The item was changed meanwhile; reload and try again" };
+
+async function log(entries) {
+  await insert("punchlist_history", entries.map((e) => ({ changed_at: new Date().toISOString(), ...e })));
+}
+
+// draft/open/closed for the master row, derived from its items after every change
+async function syncPunchlistStatus(punchlist_id, actor) {
+  const [pl] = await select("punchlists", `select=id,status&id=eq.${punchlist_id}`);
+  if (!pl) return null;
+  const items = await select("punchlist_items", `select=status&punchlist_id=eq.${punchlist_id}`);
+  const allVerified = items.length > 0 && items.every((i) => i.status === "verified");
+  const next = allVerified ? "closed" : "open";
+  if (pl.status === next) return next;
+
+  await update("punchlists", `id=eq.${pl.id}`, {
+    status: next,
+    closed_at: next === "closed" ? new Date().toISOString() : null,
+  });
+  await log([{
+    punchlist_id: pl.id,
+    event: next === "closed" ? "punchlist_closed" : "punchlist_opened",
+    from_status: pl.status,
+    to_status: next,
+    actor,
+    note: next === "closed" ? "All items verified" : null,
+  }]);
+  return next;
+}
+
+async function assign(body) {
+  const { item_id, assigned_to = null, due_date = null, actor = null } = body;
+  if (!item_id) return json({ error: "item_id is required" }, 400);
+  const item = await getItem(item_id);
+  if (!item) return json({ error: "Punchlist item not found" }, 404);
+
+  const saved = await updateItem(item, {
+    assigned_to: assigned_to || null,
+    due_date: due_date || null,
+    updated_at: new Date().toISOString(),
+  });
+  if (!saved) return json(MOVED, 409);
+  await log([{
+    punchlist_id: item.punchlist_id,
+    punchlist_item_id: item.id,
+    event: "assigned",
+    from_status: item.status,
+    to_status: item.status,
+    actor,
+    note: `Assigned to ${assigned_to || "nobody"}${due_date ? `, due ${due_date}` : ""}`,
+    data: { from: { assigned_to: item.assigned_to, due_date: item.due_date }, to: { assigned_to, due_date } },
+  }]);
+  const punchlist_status = await syncPunchlistStatus(item.punchlist_id, actor);
+  return json({ item: saved, punchlist_status });
+}
+
+async function transition(body) {
+  const { item_id, to, notes = null, actor = null } = body;
+  const photo_urls = Array.isArray(body.photo_urls) ? body.photo_urls : [];
+  if (!item_id) return json({ error: "item_id is required" }, 400);
+  if (!ITEM_STATUSES.includes(to)) return json({ error: `to must be one of ${ITEM_STATUSES.join(", ")}` }, 400);
+
+  const item = await getItem(item_id);
+  if (!item) return json({ error: "Punchlist item not found" }, 404);
+  const from = item.status || "open";
+  if (!TRANSITIONS[from]?.includes(to)) {
+    return json({ error: `Cannot move an item from ${from} to ${to}`, allowed: TRANSITIONS[from] || [] }, 409);
+  }
+  if (to === "resolved" && !String(notes ?? item.resolution_notes ?? "").trim()) {
+    return json({ error: "Resolution notes are required to resolve an item" }, 400);
+  }
+
+  const now = new Date().toISOString();
+  const patch = { status: to, updated_at: now };
+  if (to === "resolved") {
+    patch.resolution_notes = notes ?? item.resolution_notes;
+    patch.resolved_at = now;
+    patch.resolved_by = actor;
+  }
+  if (to === "verified") {
+    patch.verified_at = now;
+    patch.verified_by = actor;
+  }
+  if (to === "open" || to === "in_progress") {
+    patch.verified_at = null;
+    patch.verified_by = null;
+  }
+  const saved = await updateItem(item, patch);
+  if (!saved) return json(MOVED, 409);
+
+  // Resolution photos live in `photos` like every other job photo, tagged with the item
+  if (photo_urls.length) {
+    const [pl] = await select("punchlists", `select=work_order_id&id=eq.${item.punchlist_id}`);
+    await insert("photos", photo_urls.map((url) => ({
+      work_order_id: pl?.work_order_id ?? null,
+      punchlist_item_id: item.id,
+      url,
+      caption: `Punchlist ${to}: ${[item.manufacturer, item.model].filter(Boolean).join(" ")}`.trim(),
+      taken_at: now,
+      notes,
+    })));
+  }
+
+  await log([{
+    punchlist_id: item.punchlist_id,
+    punchlist_item_id: item.id,
+    event: "status_changed",
+    from_status: from,
+    to_status: to,
+    actor,
+    note: notes,
+    data: photo_urls.length ? { photo_urls } : null,
+  }]);
+  const punchlist_status = await syncPunchlistStatus(item.punchlist_id, actor);
+  return json({ item: saved, punchlist_status });
+}
+
+async function details(punchlist_id) {
+  if (!punchlist_id) return json({ error: "Provide ?punchlist_id=..." }, 400);
+  const [punchlist] = await select("punchlists", `select=*&id=eq.${punchlist_id}`);
+  if (!punchlist) return json({ error: "Punchlist not found" }, 404);
+  const [items, history] = await Promise.all([
+    select("punchlist_items", `select=*&punchlist_id=eq.${punchlist_id}&order=room.asc,manufacturer.asc,model.asc`),
+    select("punchlist_history", `select=*&punchlist_id=eq.${punchlist_id}&order=changed_at.desc`),
+  ]);
+  return json({ punchlist, items, history, transitions: TRANSITIONS });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req, { roles: STAFF });
+    if (denied) return denied;
+
+    if (req.method === "GET") {
+      const params = new URL(req.url).searchParams;
+      const bad = invalidIds(params, ["punchlist_id"]);
+      if (bad) return bad;
+      const punchlist_id = params.get("punchlist_id");
+      if (punchlist_id && !(await canAccessWorkOrder(auth, await workOrderOf(punchlist_id)))) return forbidden();
+      return await details(punchlist_id);
+    }
+    if (req.method !== "POST") {
+      return json({ error: "Use GET or POST" }, 405);
+    }
+
+    const body = (await req.json().catch(() => null)) || {};
+    const bad = invalidIds(body, ["item_id"]);
+    if (bad) return bad;
+    if (body.item_id) {
+      const item = await getItem(body.item_id);
+      if (item && !(await canAccessWorkOrder(auth, await workOrderOf(item.punchlist_id)))) return forbidden();
+    }
+    const managerOnly = body.action === "assign" || (body.action === "transition" && body.to === "verified");
+    if (managerOnly && !MANAGERS.includes(auth.role)) {
+      return json({ error: body.action === "assign" ? "Only an admin or PM can assign items" : "Only an admin or PM can verify items" }, 403);
+    }
+    body.actor = auth.actor;
+
+    switch (body.action) {
+      case "assign": return await assign(body);
+      case "transition": return await transition(body);
+      default: return json({ error: "action must be assign or transition" }, 400);
+    }
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
@@ -0,0 +1,140 @@
+// netlify/functions/work_order_schedule.js
+// Delivery, install and walkthrough dates per work order, with the technicians sent (work_orders.html
+// week calendar). Scheduling a technician also puts them on the job (work_order_members), so RLS lets
+// them open it in the field pages. Schema: sql/019_work_order_scheduling.sql
+//
+// GET  ?from=ISO&to=ISO           -> { entries, technicians, double_booked }   entries overlapping the range
+// GET  ?work_order_id=...         -> { entries, technicians, double_booked }
+//   entries carry work_order: { id, code, title, site_address }; double_booked: { [entry id]: [entry ids] }
+// POST { action: "save", work_order_id, id?, kind, starts_at, ends_at?, all_day?, technician_ids?, notes? }
+//   -> { entry, clashes }   clashes: the technicians' other entries at the same time (reported, not refused)
+// POST { action: "delete", id }   -> { deleted: id }
+//
+// Admins / PMs schedule, on their work orders; technicians read the entries they are on (lib/auth.mjs).
+
+import { json, supaEnv, select, insert, update, remove } from "../../lib/supabase_rest.mjs";
+import { cleanScheduleEntry, doubleBookings } from "../../lib/work_orders.mjs";
+import { authorize, canAccessWorkOrder, accessibleWorkOrders, forbidden, invalidIds, STAFF } from "../../lib/auth.mjs";
+
+const MANAGERS = ["admin", "pm"];
+const ENTRY_COLS = "*,work_order:work_orders(id,code,title,site_address)";
+const MAX_RANGE_DAYS = 62;
+
+const technicians = () =>
+  select("profiles", "select=id,full_name,email&role=eq.technician&order=full_name.asc.nullslast,email.asc");
+
+// What the caller may see: managers their work orders (admins all), technicians their own entries
+async function visible(entries, auth) {
+  if (auth.role === "technician") return entries.filter((e) => e.technician_ids.includes(auth.user.id));
+  const ok = new Set(await accessibleWorkOrders(auth, [...new Set(entries.map((e) => e.work_order_id))]));
+  return entries.filter((e) => ok.has(e.work_order_id));
+}
+
+async function list(params, auth) {
+  const work_order_id = params.get("work_order_id");
+  let entries;
+  if (work_order_id) {
+    if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+    entries = await select("work_order_schedule", `select=${ENTRY_COLS}&work_order_id=eq.${work_order_id}&order=starts_at.asc`);
+  } else {
+    const from = new Date(params.get("from") || "");
+    const to = new Date(params.get("to") || "");
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return json({ error: "Provide ?from=...&to=... (ISO dates) or ?work_order_id=..." }, 400);
+    }
+    if (to - from > MAX_RANGE_DAYS * 86400000) return json({ error: `At most ${MAX_RANGE_DAYS} days at a time` }, 400);
+    // Overlapping the range: starts before its end, and ends (or, without an end, starts) after its start
+    entries = await select(
+      "work_order_schedule",
+      `select=${ENTRY_COLS}&starts_at=lt.${to.toISOString()}` +
+        `&or=(ends_at.gte.${from.toISOString()},and(ends_at.is.null,starts_at.gte.${from.toISOString()}))&order=starts_at.asc`
+    );
+  }
+  entries = await visible(entries, auth);
+  return json({ entries, technicians: await technicians(), double_booked: doubleBookings(entries) });
+}
+
+async function save(body, auth) {
+  const { work_order_id, id = null } = body;
+  if (!work_order_id) return json({ error: "work_order_id is required" }, 400);
+  if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+
+  const { row, errors } = cleanScheduleEntry(body);
+  if (errors.length) return json({ error: errors.map((e) => e.message).join("; "), errors }, 400);
+
+  const known = new Set((await technicians()).map((t) => t.id));
+  const unknown = row.technician_ids.filter((t) => !known.has(t));
+  if (unknown.length) return json({ error: "Only technicians can be scheduled", errors: [{ field: "technician_ids", message: "Not a technician" }] }, 400);
+
+  const now = new Date().toISOString();
+  let entry;
+  if (id) {
+    const [old] = await select("work_order_schedule", `select=id,work_order_id&id=eq.${id}`);
+    if (!old || old.work_order_id !== work_order_id) return json({ error: "Schedule entry not found on this work order" }, 404);
+    [entry] = await update("work_order_schedule", `id=eq.${id}`, { ...row, updated_at: now, updated_by: auth.actor });
+  } else {
+    [entry] = await insert("work_order_schedule", [{ ...row, work_order_id, created_by: auth.actor, updated_by: auth.actor }]);
+  }
+
+  // Scheduled technicians join the job
+  if (row.technician_ids.length) {
+    const members = await select("work_order_members", `select=user_id&work_order_id=eq.${work_order_id}`);
+    const have = new Set(members.map((m) => m.user_id));
+    const add = row.technician_ids.filter((t) => !have.has(t));
+    if (add.length) await insert("work_order_members", add.map((user_id) => ({ work_order_id, user_id })));
+  }
+
+  // Everything else those technicians have around the same time (any work order)
+  let clashes = [];
+  if (row.technician_ids.length) {
+    const end = entry.ends_at || new Date(new Date(entry.starts_at).getTime() + 3600000).toISOString();
+    const around = await select(
+      "work_order_schedule",
+      `select=${ENTRY_COLS}&technician_ids=ov.{${row.technician_ids.join(",")}}&starts_at=lt.${end}` +
+        `&or=(ends_at.gt.${entry.starts_at},starts_at.gte.${new Date(new Date(entry.starts_at).getTime() - 3600000).toISOString()})`
+    );
+    const ids = doubleBookings(around)[entry.id] || [];
+    clashes = around.filter((e) => ids.includes(e.id));
+  }
+  return json({ entry, clashes });
+}
+
+async function drop(body, auth) {
+  if (!body.id) return json({ error: "id is required" }, 400);
+  const [old] = await select("work_order_schedule", `select=id,work_order_id&id=eq.${body.id}`);
+  if (!old) return json({ error: "Schedule entry not found" }, 404);
+  if (!(await canAccessWorkOrder(auth, old.work_order_id))) return forbidden();
+  await remove("work_order_schedule", `id=eq.${body.id}`);
+  return json({ deleted: body.id });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req, { roles: req.method === "GET" ? STAFF : MANAGERS });
+    if (denied) return denied;
+
+    if (req.method === "GET") {
+      const params = new URL(req.url).searchParams;
+      const bad = invalidIds(params, ["work_order_id"]);
+      if (bad) return bad;
+      return await list(params, auth);
+    }
+    if (req.method !== "POST") {
+      return json({ error: "Use GET or POST" }, 405);
+    }
+
+    const body = (await req.json().catch(() => null)) || {};
+    const bad = invalidIds(body, ["work_order_id", "id"]);
+    if (bad) return bad;
+    switch (body.action) {
+      case "save": return await save(body, auth);
+      case "delete": return await drop(body, auth);
+      default: return json({ error: "action must be save or delete" }, 400);
+    }
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
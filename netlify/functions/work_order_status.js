@@ -0,0 +1,104 @@
+// netlify/functions/work_order_status.js
+// The only way (besides sign_walkthrough.js) to change work_orders.status. Lifecycle: lib/work_order_status.mjs
+//
+// GET  ?work_order_id=...   -> { status, label, next: [{ to, label, via, blocked }], facts, history }
+// GET  ?ids=a,b,c           -> { work_orders: { [id]: { status, label, next } } }   (no precondition checks; for lists)
+// POST { work_order_id, to, override?, override_reason? }
+//   409 transition not allowed from the current stage, or the status changed meanwhile;
+//   422 precondition failed (can_override when it may be overridden)
+//
+// Reads: any signed-in role, only work orders it is assigned to (lib/auth.mjs). Transitions: staff; closing,
+// reopening and overrides are for admins / PMs. The actor is the signed-in user.
+
+import { json, supaEnv, select } from "../../lib/supabase_rest.mjs";
+import {
+  STAGES, STAGE_LABELS, currentStage, loadFacts, nextActions, checkTransition, applyTransition,
+} from "../../lib/work_order_status.mjs";
+import { authorize, canAccessWorkOrder, accessibleWorkOrders, forbidden, invalidIds, isUuid, STAFF } from "../../lib/auth.mjs";
+
+const MANAGERS = ["admin", "pm"];
+const MANAGER_STAGES = ["closed"]; // plus any move out of "closed"
+
+async function details(work_order_id) {
+  const [wo] = await select("work_orders", `select=id,code,status,status_changed_at,status_changed_by&id=eq.${work_order_id}`);
+  if (!wo) return json({ error: "Work order not found" }, 404);
+  const [facts, history] = await Promise.all([
+    loadFacts(wo.id),
+    select("work_order_status_history", `select=*&work_order_id=eq.${wo.id}&order=changed_at.desc`),
+  ]);
+  const status = currentStage(wo);
+  return json({
+    work_order_id: wo.id,
+    status,
+    label: STAGE_LABELS[status],
+    stages: STAGES.map((s) => ({ status: s, label: STAGE_LABELS[s] })),
+    next: nextActions(wo, facts),
+    facts,
+    history,
+  });
+}
+
+async function list(ids, auth) {
+  const wanted = await accessibleWorkOrders(auth, ids.split(",").map((s) => s.trim()).filter(isUuid));
+  if (!wanted.length) return json({ work_orders: {} });
+  const rows = await select("work_orders", `select=id,status&id=in.(${wanted.join(",")})`);
+  const out = {};
+  for (const wo of rows) {
+    const status = currentStage(wo);
+    out[wo.id] = { status, label: STAGE_LABELS[status], next: nextActions(wo, null) };
+  }
+  return json({ work_orders: out });
+}
+
+async function transition(body, auth) {
+  const { work_order_id, to, override = false, override_reason = null } = body;
+  if (!work_order_id) return json({ error: "work_order_id is required" }, 400);
+  if (!STAGES.includes(to)) return json({ error: `to must be one of ${STAGES.join(", ")}` }, 400);
+  if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+
+  const [wo] = await select("work_orders", `select=id,status&id=eq.${work_order_id}`);
+  if (!wo) return json({ error: "Work order not found" }, 404);
+  const managerOnly = override || MANAGER_STAGES.includes(to) || currentStage(wo) === "closed";
+  if (managerOnly && !MANAGERS.includes(auth.role)) {
+    return json({ error: "Only an admin or PM can close, reopen or override" }, 403);
+  }
+  const actor = auth.actor;
+
+  const check = await checkTransition(wo, to, { override: !!override, override_reason });
+  if (!check.ok) {
+    const { ok, status, ...rest } = check;
+    return json(rest, status);
+  }
+  const saved = await applyTransition(wo, check, { actor, override_reason });
+  if (!saved) return json({ error: "The work order's status changed meanwhile; reload and try again" }, 409);
+  return json({ work_order: saved, from: check.from, to, overridden: check.blocked });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req, { roles: req.method === "GET" ? undefined : STAFF });
+    if (denied) return denied;
+
+    if (req.method === "GET") {
+      const q = new URL(req.url).searchParams;
+      if (q.get("ids") !== null) return await list(q.get("ids"), auth);
+      if (!q.get("work_order_id")) return json({ error: "Provide ?work_order_id=... or ?ids=..." }, 400);
+      const bad = invalidIds(q, ["work_order_id"]);
+      if (bad) return bad;
+      if (!(await canAccessWorkOrder(auth, q.get("work_order_id")))) return forbidden();
+      return await details(q.get("work_order_id"));
+    }
+    if (req.method !== "POST") {
+      return json({ error: "Use GET or POST" }, 405);
+    }
+    const body = (await req.json().catch(() => null)) || {};
+    const bad = invalidIds(body, ["work_order_id"]);
+    if (bad) return bad;
+    return await transition(body, auth);
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
@@ -0,0 +1,111 @@
+// netlify/functions/work_orders.js
+// Create and edit work orders (work_orders.html). Codes are "001", "002", ...: left blank, the database
+// assigns the next one (sql/019_work_order_scheduling.sql), and a code never changes afterwards because
+// photo folders are named after it (upload.html). Status is not edited here: work_order_status.js.
+//
+// GET  ?work_order_id=...   -> { work_order, members: [{ user_id, full_name, email, role }], schedule }
+// POST { action: "create", work_order: { title, code?, project_name, client_*, site_*, company_*, ... } }
+//   -> 201 { work_order }      400 { error, errors: [{ field, message }] }, 409 code already used
+// POST { action: "update", work_order_id, work_order: { ...fields to change } }  -> { work_order }
+//
+// Reads: any role on the work order; create / update: admins and PMs (lib/auth.mjs). The creator is added
+// to work_order_members so a PM keeps access to the job they made.
+
+import { json, supaEnv, select, insert, update } from "../../lib/supabase_rest.mjs";
+import { cleanWorkOrder } from "../../lib/work_orders.mjs";
+import { authorize, canAccessWorkOrder, forbidden, invalidIds } from "../../lib/auth.mjs";
+
+const MANAGERS = ["admin", "pm"];
+
+const invalid = (errors) => json({ error: errors.map((e) => e.message).join("; "), errors }, 400);
+
+async function companyMissing(row) {
+  if (!row.company_id) return false;
+  const [company] = await select("companies", `select=id&id=eq.${row.company_id}`);
+  return !company;
+}
+
+async function details(work_order_id) {
+  const [work_order] = await select("work_orders", `select=*&id=eq.${work_order_id}`);
+  if (!work_order) return json({ error: "Work order not found" }, 404);
+  const [members, schedule] = await Promise.all([
+    select("work_order_members", `select=user_id,added_at,profile:profiles(full_name,email,role)&work_order_id=eq.${work_order_id}`),
+    select("work_order_schedule", `select=*&work_order_id=eq.${work_order_id}&order=starts_at.asc`),
+  ]);
+  return json({
+    work_order,
+    members: members.map((m) => ({ user_id: m.user_id, added_at: m.added_at, ...m.profile })),
+    schedule,
+  });
+}
+
+async function create(body, auth) {
+  const { row, errors } = cleanWorkOrder(body.work_order || {}, { creating: true });
+  if (errors.length) return invalid(errors);
+  if (await companyMissing(row)) return invalid([{ field: "company_id", message: "Unknown company" }]);
+
+  let work_order;
+  try {
+    [work_order] = await insert("work_orders", [{ ...row, created_by: auth.actor }]);
+  } catch (err) {
+    if (err.status === 409) return json({ error: `Code ${row.code} is already used by another work order`, errors: [{ field: "code", message: "Already used" }] }, 409);
+    throw err;
+  }
+  await insert("work_order_members", [{ work_order_id: work_order.id, user_id: auth.user.id }]);
+  return json({ work_order }, 201);
+}
+
+async function edit(body, auth) {
+  const { work_order_id } = body;
+  if (!work_order_id) return json({ error: "work_order_id is required" }, 400);
+  if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+  if (body.work_order?.code !== undefined) {
+    return json({ error: "A work order's code cannot change (photos are filed under it)" }, 400);
+  }
+
+  const { row, errors } = cleanWorkOrder(body.work_order || {});
+  if (errors.length) return invalid(errors);
+  if (!Object.keys(row).length) return json({ error: "Nothing to change" }, 400);
+  if (await companyMissing(row)) return invalid([{ field: "company_id", message: "Unknown company" }]);
+
+  const [work_order] = await update("work_orders", `id=eq.${work_order_id}`, {
+    ...row,
+    updated_at: new Date().toISOString(),
+    updated_by: auth.actor,
+  });
+  if (!work_order) return json({ error: "Work order not found" }, 404);
+  return json({ work_order });
+}
+
+export default async (req) => {
+  try {
+    if (!supaEnv().ok) {
+      return json({ error: "Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY" }, 500);
+    }
+    const { auth, denied } = await authorize(req, { roles: req.method === "GET" ? undefined : MANAGERS });
+    if (denied) return denied;
+
+    if (req.method === "GET") {
+      const work_order_id = new URL(req.url).searchParams.get("work_order_id");
+      if (!work_order_id) return json({ error: "Provide ?work_order_id=..." }, 400);
+      const bad = invalidIds(new URL(req.url).searchParams, ["work_order_id"]);
+      if (bad) return bad;
+      if (!(await canAccessWorkOrder(auth, work_order_id))) return forbidden();
+      return await details(work_order_id);
+    }
+    if (req.method !== "POST") {
+      return json({ error: "Use GET or POST" }, 405);
+    }
+
+    const body = (await req.json().catch(() => null)) || {};
+    const bad = invalidIds(body, ["work_order_id"]);
+    if (bad) return bad;
+    switch (body.action) {
+      case "create": return await create(body, auth);
+      case "update": return await edit(body, auth);
+      default: return json({ error: "action must be create or update" }, 400);
+    }
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+};
@@ -0,0 +1,73 @@
+-- sql/001_supabase_local.sql
+-- The pieces of a Supabase project the later migrations lean on, for a plain local Postgres (15+, for the
+-- security_invoker views): the auth / storage schemas, auth.uid() / auth.role(), the API roles and the
+-- realtime publication. On a Supabase database every block here finds the real thing and does nothing.
+--
+-- Local sessions act as a signed-in user the way PostgREST does, through the JWT claim settings:
+--   set local role authenticated;
+--   set local request.jwt.claim.sub = '<auth.users id>';
+
+create schema if not exists auth;
+create schema if not exists storage;
+
+do $$ begin
+  if not exists (select 1 from pg_roles where rolname = 'authenticated') then
+    create role anon nologin noinherit;
+    create role authenticated nologin noinherit;
+    create role service_role nologin noinherit bypassrls;
+    grant usage on schema public, auth, storage to anon, authenticated, service_role;
+    alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+    alter default privileges in schema public grant all on sequences to anon, authenticated, service_role;
+    alter default privileges in schema public grant execute on functions to anon, authenticated, service_role;
+  end if;
+end $$;
+
+do $$ begin
+  if to_regclass('auth.users') is null then
+    create table auth.users (
+      id uuid primary key default gen_random_uuid(),
+      email text unique,
+      raw_user_meta_data jsonb not null default '{}'::jsonb,
+      created_at timestamptz not null default now()
+    );
+  end if;
+end $$;
+
+do $$ begin
+  if to_regprocedure('auth.uid()') is null then
+    create function auth.uid() returns uuid language sql stable as
+      'select nullif(current_setting(''request.jwt.claim.sub'', true), '''')::uuid';
+  end if;
+  if to_regprocedure('auth.role()') is null then
+    create function auth.role() returns text language sql stable as
+      'select nullif(current_setting(''request.jwt.claim.role'', true), '''')';
+  end if;
+end $$;
+
+do $$ begin
+  if to_regclass('storage.buckets') is null then
+    create table storage.buckets (
+      id text primary key,
+      name text not null unique,
+      public boolean default false,
+      created_at timestamptz default now()
+    );
+    create table storage.objects (
+      id uuid primary key default gen_random_uuid(),
+      bucket_id text references storage.buckets(id),
+      name text,
+      owner uuid,
+      metadata jsonb,
+      created_at timestamptz default now()
+    );
+    alter table storage.objects enable row level security;
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    create publication supabase_realtime;
+  end if;
+end $$;
+
+-- No down section: on Supabase these belong to the platform, so this migration is never rolled back.
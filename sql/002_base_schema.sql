@@ -0,0 +1,95 @@
+-- sql/002_base_schema.sql
+-- The tables the app started from (work orders, manifest lines, punchlists, photos, technician check-ins)
+-- and the tech-uploads bucket. Columns added by later features live in their own migrations.
+-- Policies: sql/012_auth_roles.sql
+
+create table if not exists public.work_orders (
+  id uuid primary key default gen_random_uuid(),
+  code text,
+  title text,
+  status text,
+  project_name text,
+  client_name text,
+  client_logo_url text,
+  company_display_name text,     -- per-job branding; overrides the company row (lib/pdf_branding.mjs)
+  company_logo_url text,
+  signature_url text,            -- walkthrough sign-off from before sql/010_signature_attempts.sql
+  signer_name text,
+  signer_email text,
+  signed_at timestamptz,
+  created_at timestamptz default now()
+);
+
+-- Manifest lines (netlify/functions/import_manifest.js, add.html)
+create table if not exists public.work_order_items (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  manufacturer text,
+  model text,
+  sku text,
+  description text,
+  room text,
+  qty_ordered int not null default 0,
+  model_url text,                -- product page / manual links shown on walkthrough.html
+  manual_url text,
+  created_at timestamptz default now()
+);
+
+create index if not exists ix_work_order_items_wo on public.work_order_items (work_order_id);
+
+create table if not exists public.punchlists (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  status text not null default 'draft',    -- draft | open | closed
+  created_at timestamptz default now()
+);
+
+create table if not exists public.punchlist_items (
+  id uuid primary key default gen_random_uuid(),
+  punchlist_id uuid not null references public.punchlists(id) on delete cascade,
+  manufacturer text,
+  model text,
+  room text,
+  expected_qty int not null default 0,
+  received_qty int not null default 0,
+  missing_qty int not null default 0,
+  damaged_qty int not null default 0,
+  created_at timestamptz default now()
+);
+
+create index if not exists ix_punchlist_items_pl on public.punchlist_items (punchlist_id);
+
+create table if not exists public.photos (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  url text not null,             -- public URL in the tech-uploads bucket
+  caption text,
+  notes text,
+  taken_at timestamptz default now()
+);
+
+-- One row per add.html check-in (append-only, see sql/014_technician_board.sql)
+create table if not exists public.technician_status (
+  id uuid primary key default gen_random_uuid(),
+  technician_id text not null,
+  job_id text,
+  status text,                   -- pending | in_progress | paused | complete
+  fatigue_level int default 0,
+  notes text,
+  signature_url text,
+  last_sync timestamptz
+);
+
+-- Public bucket: photos and markups are read as plain URLs
+insert into storage.buckets (id, name, public)
+values ('tech-uploads', 'tech-uploads', true)
+on conflict (id) do nothing;
+
+-- migrate:down
+drop table if exists public.technician_status;
+drop table if exists public.photos;
+drop table if exists public.punchlist_items;
+drop table if exists public.punchlists;
+drop table if exists public.work_order_items;
+drop table if exists public.work_orders;
+-- The tech-uploads bucket stays: it still holds the uploaded photos.
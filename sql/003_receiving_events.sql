@@ -0,0 +1,77 @@
+-- sql/003_receiving_events.sql
+-- Receipts logged from receive.html (scan-to-receive).
+-- The room/variance views below read from this table, so every scan shows up in the grids.
+
+create table if not exists public.receiving_events (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  work_order_item_id uuid references public.work_order_items(id) on delete set null,
+  manufacturer text,
+  model text,
+  room text,
+  qty_received int not null check (qty_received > 0),
+  condition text not null default 'good' check (condition in ('good', 'damaged')),
+  barcode text,
+  notes text,
+  received_at timestamptz not null default now(),
+  created_at timestamptz default now()
+);
+
+create index if not exists ix_receiving_events_wo on public.receiving_events (work_order_id);
+
+alter table public.receiving_events enable row level security;
+-- Policies (signed-in roles, no anon access): sql/012_auth_roles.sql
+
+-- The views run as the caller (security_invoker), so the tables' row-level security applies through them
+
+-- Expected totals straight from the manifest lines
+create or replace view public.vw_expected_room_totals with (security_invoker = true) as
+select work_order_id, manufacturer, model, room, sum(coalesce(qty_ordered, 0))::int as qty_expected
+from public.work_order_items
+group by work_order_id, manufacturer, model, room;
+
+-- Everything that came off the truck (good + damaged)
+create or replace view public.vw_received_room_totals with (security_invoker = true) as
+select work_order_id, manufacturer, model, room,
+       sum(qty_received)::int as qty_received,
+       sum(case when condition = 'damaged' then qty_received else 0 end)::int as qty_damaged
+from public.receiving_events
+group by work_order_id, manufacturer, model, room;
+
+create or replace view public.vw_arrival_variance with (security_invoker = true) as
+select coalesce(e.work_order_id, r.work_order_id) as work_order_id,
+       coalesce(e.manufacturer, r.manufacturer) as manufacturer,
+       coalesce(e.model, r.model) as model,
+       coalesce(e.room, r.room) as room,
+       coalesce(e.qty_expected, 0) as qty_expected,
+       coalesce(r.qty_received, 0) as qty_received,
+       coalesce(e.qty_expected, 0) - coalesce(r.qty_received, 0) as qty_variance
+from public.vw_expected_room_totals e
+full join public.vw_received_room_totals r
+  on r.work_order_id = e.work_order_id
+ and r.manufacturer is not distinct from e.manufacturer
+ and r.model is not distinct from e.model
+ and r.room is not distinct from e.room;
+
+-- Read by netlify/functions/generate_punchlist.js
+create or replace view public.v_manifest_vs_received with (security_invoker = true) as
+select coalesce(e.work_order_id, r.work_order_id) as work_order_id,
+       coalesce(e.manufacturer, r.manufacturer) as manufacturer,
+       coalesce(e.model, r.model) as model,
+       coalesce(e.room, r.room) as room,
+       coalesce(e.qty_expected, 0) as expected_qty,
+       coalesce(r.qty_received, 0) as total_received,
+       coalesce(r.qty_damaged, 0) as total_damaged
+from public.vw_expected_room_totals e
+full join public.vw_received_room_totals r
+  on r.work_order_id = e.work_order_id
+ and r.manufacturer is not distinct from e.manufacturer
+ and r.model is not distinct from e.model
+ and r.room is not distinct from e.room;
+
+-- migrate:down
+drop view if exists public.v_manifest_vs_received;
+drop view if exists public.vw_arrival_variance;
+drop view if exists public.vw_received_room_totals;
+drop view if exists public.vw_expected_room_totals;
+drop table if exists public.receiving_events;
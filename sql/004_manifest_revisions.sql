@@ -0,0 +1,46 @@
+-- sql/004_manifest_revisions.sql
+-- Versioned manifest import (netlify/functions/import_manifest.js).
+-- Replaces the old imported_manifest table: revisions now apply straight to work_order_items.
+
+create table if not exists public.manifest_revisions (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  revision_no int not null,
+  source_filename text,
+  row_count int not null default 0,
+  rows jsonb not null default '[]'::jsonb,      -- normalized upload, as received
+  diff jsonb,                                   -- { summary, changes } computed at upload time
+  -- applying: claimed by one apply (pending -> applying), so a second or retried apply is refused
+  -- superseded: still pending when another upload was applied; its diff is out of date
+  status text not null default 'pending' check (status in ('pending', 'applying', 'applied', 'discarded', 'superseded')),
+  applied_at timestamptz,
+  applied_by text,
+  applied_count int,
+  created_at timestamptz default now(),
+  unique (work_order_id, revision_no)
+);
+
+-- One row per proposed change, whether it was applied, rejected or skipped (item edited meanwhile)
+create table if not exists public.manifest_changes (
+  id uuid primary key default gen_random_uuid(),
+  revision_id uuid not null references public.manifest_revisions(id) on delete cascade,
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  change_id text not null,
+  change_type text not null check (change_type in ('added', 'removed', 'qty_changed', 'room_moved')),
+  work_order_item_id uuid,
+  before jsonb,
+  after jsonb,
+  outcome text not null check (outcome in ('applied', 'rejected', 'skipped')),
+  decided_by text,
+  decided_at timestamptz default now()
+);
+
+create index if not exists ix_manifest_changes_wo on public.manifest_changes (work_order_id, decided_at desc);
+
+-- Server-side only (service role); the page reads history through the function.
+alter table public.manifest_revisions enable row level security;
+alter table public.manifest_changes enable row level security;
+
+-- migrate:down
+drop table if exists public.manifest_changes;
+drop table if exists public.manifest_revisions;
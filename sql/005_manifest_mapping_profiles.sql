@@ -0,0 +1,29 @@
+-- sql/005_manifest_mapping_profiles.sql
+-- Saved column-mapping profiles for manifest.html (one per distributor layout).
+-- Shape of `mapping` is documented in lib/manifest_mapping.mjs.
+
+create table if not exists public.manifest_mapping_profiles (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  vendor text,
+  header_fingerprint text[] not null default '{}',   -- sorted, lower-cased header cells
+  mapping jsonb not null default '{}'::jsonb,        -- { field: { column, transform: [...] } }
+  sheets text[],                                     -- null = every sheet with a header row
+  room_from_sheet boolean not null default false,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table public.manifest_mapping_profiles enable row level security;
+-- Policies (signed-in roles, no anon access): sql/012_auth_roles.sql
+
+-- Extra manifest columns now carried through the import
+alter table public.work_order_items add column if not exists line_no int;
+alter table public.work_order_items add column if not exists notes text;
+alter table public.work_order_items add column if not exists unit_cost numeric(12, 2);
+
+-- migrate:down
+alter table public.work_order_items drop column if exists unit_cost;
+alter table public.work_order_items drop column if exists notes;
+alter table public.work_order_items drop column if exists line_no;
+drop table if exists public.manifest_mapping_profiles;
@@ -0,0 +1,26 @@
+-- sql/006_manifest_validation.sql
+-- Manifest validation (lib/manifest_validation.mjs).
+
+-- Canonical room list per job; "unknown room" warnings check against it
+-- (falls back to the rooms already on work_order_items when empty).
+create table if not exists public.work_order_rooms (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  name text not null,
+  sort_order int default 0,
+  unique (work_order_id, name)
+);
+
+alter table public.work_order_rooms enable row level security;
+-- Policies (signed-in roles, no anon access): sql/012_auth_roles.sql
+
+-- Validation report + override kept with each uploaded revision
+alter table public.manifest_revisions add column if not exists validation jsonb;
+alter table public.manifest_revisions add column if not exists override_reason text;
+alter table public.manifest_revisions add column if not exists override_by text;
+
+-- migrate:down
+alter table public.manifest_revisions drop column if exists override_by;
+alter table public.manifest_revisions drop column if exists override_reason;
+alter table public.manifest_revisions drop column if exists validation;
+drop table if exists public.work_order_rooms;
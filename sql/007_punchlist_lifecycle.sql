@@ -0,0 +1,60 @@
+-- sql/007_punchlist_lifecycle.sql
+-- Punchlist workflow (netlify/functions/update_punchlist.js).
+
+alter table public.punchlists add column if not exists closed_at timestamptz;
+
+alter table public.punchlist_items add column if not exists status text not null default 'open';
+alter table public.punchlist_items add column if not exists assigned_to text;
+alter table public.punchlist_items add column if not exists due_date date;
+alter table public.punchlist_items add column if not exists notes text;
+alter table public.punchlist_items add column if not exists resolution_notes text;
+alter table public.punchlist_items add column if not exists resolved_at timestamptz;
+alter table public.punchlist_items add column if not exists resolved_by text;
+alter table public.punchlist_items add column if not exists verified_at timestamptz;
+alter table public.punchlist_items add column if not exists verified_by text;
+alter table public.punchlist_items add column if not exists updated_at timestamptz default now();
+
+do $$ begin
+  alter table public.punchlist_items
+    add constraint punchlist_items_status_chk check (status in ('open', 'in_progress', 'resolved', 'verified'));
+exception when duplicate_object then null;
+end $$;
+
+-- Resolution photos are regular job photos tagged with the item
+alter table public.photos add column if not exists punchlist_item_id uuid references public.punchlist_items(id) on delete set null;
+
+-- Every assignment / status change, plus the punchlist opening and closing
+create table if not exists public.punchlist_history (
+  id uuid primary key default gen_random_uuid(),
+  punchlist_id uuid not null references public.punchlists(id) on delete cascade,
+  punchlist_item_id uuid references public.punchlist_items(id) on delete cascade,
+  event text not null,              -- assigned | status_changed | punchlist_opened | punchlist_closed
+  from_status text,
+  to_status text,
+  actor text,
+  note text,
+  data jsonb,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists ix_punchlist_history_pl on public.punchlist_history (punchlist_id, changed_at desc);
+
+alter table public.punchlist_history enable row level security;
+-- Policies (signed-in roles, no anon access): sql/012_auth_roles.sql
+
+-- migrate:down
+drop table if exists public.punchlist_history;
+alter table public.photos drop column if exists punchlist_item_id;
+alter table public.punchlist_items drop constraint if exists punchlist_items_status_chk;
+alter table public.punchlist_items
+  drop column if exists status,
+  drop column if exists assigned_to,
+  drop column if exists due_date,
+  drop column if exists notes,
+  drop column if exists resolution_notes,
+  drop column if exists resolved_at,
+  drop column if exists resolved_by,
+  drop column if exists verified_at,
+  drop column if exists verified_by,
+  drop column if exists updated_at;
+alter table public.punchlists drop column if exists closed_at;
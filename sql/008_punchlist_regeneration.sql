@@ -0,0 +1,23 @@
+-- sql/008_punchlist_regeneration.sql
+-- Idempotent regeneration (netlify/functions/generate_punchlist.js).
+
+-- Lines closed by the generator (goods arrived) rather than by a person; these may be reopened by a re-run
+alter table public.punchlist_items add column if not exists auto_resolved boolean not null default false;
+
+-- Who created the line: "auto" = the generator, which may change and resolve it; "manual" = a person on
+-- punchlist.html, which the generator leaves alone. Lines the generator added before keep their history.
+alter table public.punchlist_items add column if not exists source text not null default 'manual';
+do $$ begin
+  alter table public.punchlist_items add constraint punchlist_items_source_chk check (source in ('auto', 'manual'));
+exception when duplicate_object then null;
+end $$;
+update public.punchlist_items set source = 'auto'
+where id in (select punchlist_item_id from public.punchlist_history where event = 'auto_added');
+
+create index if not exists ix_punchlists_wo_status on public.punchlists (work_order_id, status);
+
+-- migrate:down
+drop index if exists public.ix_punchlists_wo_status;
+alter table public.punchlist_items drop constraint if exists punchlist_items_source_chk;
+alter table public.punchlist_items drop column if exists source;
+alter table public.punchlist_items drop column if exists auto_resolved;
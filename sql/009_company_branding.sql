@@ -0,0 +1,27 @@
+-- sql/009_company_branding.sql
+-- Per-company branding and PDF defaults (lib/pdf_branding.mjs).
+-- Values left null fall back to the BRAND_* Netlify env vars.
+
+create table if not exists public.companies (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  display_name text,
+  tagline text,
+  address text,
+  phone text,
+  email text,
+  website text,
+  logo_url text,
+  accent_color text,                       -- hex, e.g. '#1f4e79'
+  pdf_defaults jsonb not null default '{}', -- { size: 'letter'|'a4', orientation, columns: [...], group_by: 'room'|null, subtotals }
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.work_orders add column if not exists company_id uuid references public.companies(id) on delete set null;
+create index if not exists work_orders_company_idx on public.work_orders (company_id);
+
+-- migrate:down
+drop index if exists public.work_orders_company_idx;
+alter table public.work_orders drop column if exists company_id;
+drop table if exists public.companies;
@@ -0,0 +1,59 @@
+-- sql/010_signature_attempts.sql
+-- Tamper-evident walkthrough sign-off (netlify/functions/sign_walkthrough.js).
+-- Every attempt is kept; rows and stored files are write-once.
+
+-- Private bucket for the signature PNG + acceptance PDF. No storage policies are created for it,
+-- so only the service role can read or write, and the function uploads with x-upsert: false.
+insert into storage.buckets (id, name, public)
+values ('signed-acceptances', 'signed-acceptances', false)
+on conflict (id) do nothing;
+
+create table if not exists public.signature_attempts (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete restrict,
+  outcome text not null check (outcome in ('signed', 'stale', 'blocked', 'failed')),
+  signer_name text,
+  signer_email text,
+  content jsonb,                 -- acceptance summary exactly as hashed
+  content_hash text,             -- SHA-256 of the canonical content, as computed on the server
+  presented_hash text,           -- hash the page showed the signer
+  signature_sha256 text,
+  signature_path text,           -- signed-acceptances/<work_order_id>/<id>/signature.png
+  pdf_sha256 text,
+  pdf_path text,                 -- signed-acceptances/<work_order_id>/<id>/acceptance.pdf
+  error text,
+  ip text,
+  user_agent text,
+  attempted_at timestamptz not null default now()
+);
+
+create index if not exists ix_signature_attempts_wo on public.signature_attempts (work_order_id, attempted_at desc);
+
+-- Write-once: no edits, no deletes
+create or replace function public.signature_attempts_write_once() returns trigger language plpgsql as $$
+begin
+  raise exception 'signature_attempts rows are write-once';
+end $$;
+
+drop trigger if exists signature_attempts_write_once on public.signature_attempts;
+create trigger signature_attempts_write_once
+  before update or delete on public.signature_attempts
+  for each row execute function public.signature_attempts_write_once();
+
+alter table public.signature_attempts enable row level security;
+
+-- Latest accepted sign-off on the work order (signature_url stays for older, pre-hash signatures)
+alter table public.work_orders add column if not exists acceptance_id uuid references public.signature_attempts(id);
+alter table public.work_orders add column if not exists signature_path text;
+alter table public.work_orders add column if not exists acceptance_pdf_path text;
+alter table public.work_orders add column if not exists acceptance_sha256 text;
+
+-- migrate:down
+alter table public.work_orders
+  drop column if exists acceptance_id,
+  drop column if exists signature_path,
+  drop column if exists acceptance_pdf_path,
+  drop column if exists acceptance_sha256;
+drop table if exists public.signature_attempts;
+drop function if exists public.signature_attempts_write_once();
+-- The signed-acceptances bucket stays: the stored PDFs are the record of each sign-off.
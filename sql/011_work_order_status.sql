@@ -0,0 +1,70 @@
+-- sql/011_work_order_status.sql
+-- Work order lifecycle (lib/work_order_status.mjs, netlify/functions/work_order_status.js).
+--   created → manifest_imported → receiving → walkthrough → walkthrough_signed → punchlist_open → closed
+
+alter table public.work_orders add column if not exists status_changed_at timestamptz;
+alter table public.work_orders add column if not exists status_changed_by text;
+
+create table if not exists public.work_order_status_history (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor text,
+  override boolean not null default false,
+  override_reason text,
+  blocked jsonb,                 -- preconditions that were overridden
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists ix_wo_status_history_wo on public.work_order_status_history (work_order_id, changed_at desc);
+alter table public.work_order_status_history enable row level security;
+
+-- Free-text statuses from before the lifecycle start over at "created" (logged so nothing is lost)
+insert into public.work_order_status_history (work_order_id, from_status, to_status, actor, override_reason)
+select id, status, 'created', 'system:migration', 'Status outside the lifecycle'
+from public.work_orders
+where status is distinct from 'created'
+  and coalesce(status, '') not in ('manifest_imported', 'receiving', 'walkthrough', 'walkthrough_signed', 'punchlist_open', 'closed');
+
+update public.work_orders set status = 'created'
+where coalesce(status, '') not in ('created', 'manifest_imported', 'receiving', 'walkthrough', 'walkthrough_signed', 'punchlist_open', 'closed');
+
+alter table public.work_orders alter column status set default 'created';
+alter table public.work_orders alter column status set not null;
+
+do $$ begin
+  alter table public.work_orders
+    add constraint work_orders_status_chk check (status in ('created', 'manifest_imported', 'receiving', 'walkthrough', 'walkthrough_signed', 'punchlist_open', 'closed'));
+exception when duplicate_object then null;
+end $$;
+
+-- Only the service role (Netlify functions) may change status; inserts from the pages get "created"
+create or replace function public.work_orders_status_guard() returns trigger language plpgsql as $$
+begin
+  if coalesce(auth.role(), '') = 'service_role' then
+    return new;
+  end if;
+  if tg_op = 'INSERT' then
+    new.status := 'created';
+  elsif new.status is distinct from old.status then
+    raise exception 'work_orders.status changes go through /.netlify/functions/work_order_status';
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists work_orders_status_guard on public.work_orders;
+create trigger work_orders_status_guard
+  before insert or update on public.work_orders
+  for each row execute function public.work_orders_status_guard();
+
+-- migrate:down
+-- Statuses reset to "created" on the way up are not restored (work_order_status_history has the old values).
+drop trigger if exists work_orders_status_guard on public.work_orders;
+drop function if exists public.work_orders_status_guard();
+alter table public.work_orders drop constraint if exists work_orders_status_chk;
+alter table public.work_orders alter column status drop not null;
+alter table public.work_orders alter column status drop default;
+drop table if exists public.work_order_status_history;
+alter table public.work_orders drop column if exists status_changed_by;
+alter table public.work_orders drop column if exists status_changed_at;
@@ -0,0 +1,316 @@
+-- sql/012_auth_roles.sql
+-- Login + roles + row-level security.
+-- Pages sign in with a magic link (login.html, lib/supabase_client.mjs) and read/write as `authenticated`;
+-- the Netlify functions use the service role and check the same roles themselves (lib/auth.mjs).
+--
+--   admin       everything, every work order; manages users, roles and assignments
+--   pm          creates work orders, imports manifests, assigns / verifies punchlist items — on assigned jobs
+--   technician  receiving, photos, punchlist work, own status — on assigned jobs
+--   client      read-only on their jobs, signs the walkthrough
+--
+-- Users are invited from the Supabase dashboard (Auth → Users → Invite); login.html never creates accounts.
+-- An admin then sets profiles.role and adds work_order_members rows.
+
+-- ---------- profiles ----------
+create table if not exists public.profiles (
+  id uuid primary key references auth.users(id) on delete cascade,
+  email text,
+  full_name text,
+  role text check (role in ('admin', 'pm', 'technician', 'client')),   -- null = invited, no access yet
+  created_at timestamptz not null default now()
+);
+
+create or replace function public.handle_new_user() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  insert into public.profiles (id, email, full_name)
+  values (new.id, new.email, new.raw_user_meta_data ->> 'full_name')
+  on conflict (id) do nothing;
+  return new;
+end $$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- Accounts that existed before this file
+insert into public.profiles (id, email)
+select id, email from auth.users
+on conflict (id) do nothing;
+
+-- ---------- assignments ----------
+create table if not exists public.work_order_members (
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  added_at timestamptz not null default now(),
+  primary key (work_order_id, user_id)
+);
+
+create index if not exists ix_work_order_members_user on public.work_order_members (user_id);
+
+-- ---------- helpers (security definer so policies can call them without recursing into RLS) ----------
+create or replace function public.app_role() returns text
+language sql stable security definer set search_path = public as $$
+  select role from public.profiles where id = auth.uid()
+$$;
+
+create or replace function public.is_member(wo uuid) returns boolean
+language sql stable security definer set search_path = public as $$
+  select public.app_role() = 'admin'
+      or exists (select 1 from public.work_order_members m where m.work_order_id = wo and m.user_id = auth.uid())
+$$;
+
+create or replace function public.is_staff() returns boolean
+language sql stable security definer set search_path = public as $$
+  select coalesce(public.app_role() in ('admin', 'pm', 'technician'), false)
+$$;
+
+create or replace function public.is_manager() returns boolean
+language sql stable security definer set search_path = public as $$
+  select coalesce(public.app_role() in ('admin', 'pm'), false)
+$$;
+
+-- Only admins change roles (the service role too, for scripts)
+create or replace function public.profiles_role_guard() returns trigger language plpgsql as $$
+begin
+  if coalesce(auth.role(), '') = 'service_role' or public.app_role() = 'admin' then
+    return new;
+  end if;
+  if new.role is distinct from old.role or new.id is distinct from old.id then
+    raise exception 'Only an admin can change roles';
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists profiles_role_guard on public.profiles;
+create trigger profiles_role_guard
+  before update on public.profiles
+  for each row execute function public.profiles_role_guard();
+
+-- The sign-off on a work order is written by sign_walkthrough.js only (service role), like its status
+-- (sql/011): a PM editing the row directly cannot rewrite who signed, when, or the acceptance hashes
+create or replace function public.work_orders_acceptance_guard() returns trigger language plpgsql as $$
+begin
+  if coalesce(auth.role(), '') = 'service_role' then
+    return new;
+  end if;
+  if tg_op = 'INSERT' then
+    new.signature_url := null;
+    new.signer_name := null;
+    new.signer_email := null;
+    new.signed_at := null;
+    new.acceptance_id := null;
+    new.signature_path := null;
+    new.acceptance_pdf_path := null;
+    new.acceptance_sha256 := null;
+  elsif (new.signature_url, new.signer_name, new.signer_email, new.signed_at,
+         new.acceptance_id, new.signature_path, new.acceptance_pdf_path, new.acceptance_sha256)
+     is distinct from
+        (old.signature_url, old.signer_name, old.signer_email, old.signed_at,
+         old.acceptance_id, old.signature_path, old.acceptance_pdf_path, old.acceptance_sha256) then
+    raise exception 'work_orders sign-off columns are set by /.netlify/functions/sign_walkthrough';
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists work_orders_acceptance_guard on public.work_orders;
+create trigger work_orders_acceptance_guard
+  before insert or update on public.work_orders
+  for each row execute function public.work_orders_acceptance_guard();
+
+-- Whoever creates a work order is on it
+create or replace function public.work_orders_add_creator() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if auth.uid() is not null then
+    insert into public.work_order_members (work_order_id, user_id) values (new.id, auth.uid())
+    on conflict do nothing;
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists work_orders_add_creator on public.work_orders;
+create trigger work_orders_add_creator
+  after insert on public.work_orders
+  for each row execute function public.work_orders_add_creator();
+
+-- Who submitted a signature (next to the typed signer name / email)
+alter table public.signature_attempts add column if not exists signed_in_as uuid references auth.users(id);
+
+-- Technician status rows belong to the account that logged them
+alter table public.technician_status add column if not exists user_id uuid default auth.uid() references auth.users(id);
+
+-- ---------- drop every existing policy (the old blanket anon ones included) ----------
+do $$
+declare p record;
+begin
+  for p in
+    select schemaname, tablename, policyname from pg_policies
+    where schemaname = 'public' and tablename in (
+      'profiles', 'work_order_members', 'work_orders', 'work_order_items', 'work_order_rooms',
+      'receiving_events', 'punchlists', 'punchlist_items', 'punchlist_history', 'photos',
+      'technician_status', 'manifest_mapping_profiles', 'manifest_revisions', 'manifest_changes',
+      'signature_attempts', 'work_order_status_history', 'companies')
+  loop
+    execute format('drop policy if exists %I on %I.%I', p.policyname, p.schemaname, p.tablename);
+  end loop;
+end $$;
+
+alter table public.profiles enable row level security;
+alter table public.work_order_members enable row level security;
+alter table public.work_orders enable row level security;
+alter table public.work_order_items enable row level security;
+alter table public.work_order_rooms enable row level security;
+alter table public.receiving_events enable row level security;
+alter table public.punchlists enable row level security;
+alter table public.punchlist_items enable row level security;
+alter table public.punchlist_history enable row level security;
+alter table public.photos enable row level security;
+alter table public.technician_status enable row level security;
+alter table public.manifest_mapping_profiles enable row level security;
+alter table public.manifest_revisions enable row level security;
+alter table public.manifest_changes enable row level security;
+alter table public.signature_attempts enable row level security;
+alter table public.work_order_status_history enable row level security;
+alter table public.companies enable row level security;
+
+-- ---------- policies (nothing is granted to anon) ----------
+-- profiles: yourself; managers see everyone (assignment pickers); admins edit
+create policy profiles_read on public.profiles for select to authenticated
+  using (id = auth.uid() or public.is_manager());
+create policy profiles_update_self on public.profiles for update to authenticated
+  using (id = auth.uid()) with check (id = auth.uid());
+create policy profiles_admin on public.profiles for all to authenticated
+  using (public.app_role() = 'admin') with check (public.app_role() = 'admin');
+
+create policy work_order_members_read on public.work_order_members for select to authenticated
+  using (user_id = auth.uid() or (public.is_manager() and public.is_member(work_order_id)));
+create policy work_order_members_write on public.work_order_members for all to authenticated
+  using (public.is_manager() and public.is_member(work_order_id))
+  with check (public.is_manager() and public.is_member(work_order_id));
+
+-- work orders: members read; managers create and edit theirs; admins delete
+create policy work_orders_read on public.work_orders for select to authenticated
+  using (public.is_member(id));
+create policy work_orders_insert on public.work_orders for insert to authenticated
+  with check (public.is_manager());
+create policy work_orders_update on public.work_orders for update to authenticated
+  using (public.is_manager() and public.is_member(id)) with check (public.is_manager() and public.is_member(id));
+create policy work_orders_delete on public.work_orders for delete to authenticated
+  using (public.app_role() = 'admin');
+
+-- manifest lines + rooms: members read, managers write (imports go through import_manifest.js)
+create policy work_order_items_read on public.work_order_items for select to authenticated
+  using (public.is_member(work_order_id));
+create policy work_order_items_write on public.work_order_items for all to authenticated
+  using (public.is_manager() and public.is_member(work_order_id))
+  with check (public.is_manager() and public.is_member(work_order_id));
+create policy work_order_rooms_read on public.work_order_rooms for select to authenticated
+  using (public.is_member(work_order_id));
+create policy work_order_rooms_write on public.work_order_rooms for all to authenticated
+  using (public.is_manager() and public.is_member(work_order_id))
+  with check (public.is_manager() and public.is_member(work_order_id));
+
+-- receiving: staff on the job log receipts; corrections are admin-only
+create policy receiving_events_read on public.receiving_events for select to authenticated
+  using (public.is_member(work_order_id));
+create policy receiving_events_insert on public.receiving_events for insert to authenticated
+  with check (public.is_staff() and public.is_member(work_order_id));
+create policy receiving_events_admin on public.receiving_events for all to authenticated
+  using (public.app_role() = 'admin') with check (public.app_role() = 'admin');
+
+-- punchlists: members read; staff add lines (punchlist.html); status changes go through update_punchlist.js
+create policy punchlists_read on public.punchlists for select to authenticated
+  using (public.is_member(work_order_id));
+create policy punchlists_insert on public.punchlists for insert to authenticated
+  with check (public.is_staff() and public.is_member(work_order_id));
+create policy punchlist_items_read on public.punchlist_items for select to authenticated
+  using (exists (select 1 from public.punchlists p where p.id = punchlist_id and public.is_member(p.work_order_id)));
+create policy punchlist_items_insert on public.punchlist_items for insert to authenticated
+  with check (public.is_staff()
+    and exists (select 1 from public.punchlists p where p.id = punchlist_id and public.is_member(p.work_order_id)));
+create policy punchlist_history_read on public.punchlist_history for select to authenticated
+  using (exists (select 1 from public.punchlists p where p.id = punchlist_id and public.is_member(p.work_order_id)));
+
+-- photos: members read; staff upload
+create policy photos_read on public.photos for select to authenticated
+  using (public.is_member(work_order_id));
+create policy photos_insert on public.photos for insert to authenticated
+  with check (public.is_staff() and public.is_member(work_order_id));
+
+-- technician status: own rows; managers see all
+create policy technician_status_read on public.technician_status for select to authenticated
+  using (user_id = auth.uid() or public.is_manager());
+create policy technician_status_insert on public.technician_status for insert to authenticated
+  with check (public.is_staff() and user_id = auth.uid());
+
+-- mapping profiles: staff read, managers maintain
+create policy manifest_mapping_profiles_read on public.manifest_mapping_profiles for select to authenticated
+  using (public.is_staff());
+create policy manifest_mapping_profiles_write on public.manifest_mapping_profiles for all to authenticated
+  using (public.is_manager()) with check (public.is_manager());
+
+-- audit trails: read-only for members (written by the functions with the service role)
+create policy manifest_revisions_read on public.manifest_revisions for select to authenticated
+  using (public.is_manager() and public.is_member(work_order_id));
+create policy manifest_changes_read on public.manifest_changes for select to authenticated
+  using (public.is_manager() and public.is_member(work_order_id));
+create policy signature_attempts_read on public.signature_attempts for select to authenticated
+  using (public.is_member(work_order_id));
+create policy work_order_status_history_read on public.work_order_status_history for select to authenticated
+  using (public.is_member(work_order_id));
+
+-- company branding: everyone signed in reads, admins edit
+create policy companies_read on public.companies for select to authenticated using (true);
+create policy companies_admin on public.companies for all to authenticated
+  using (public.app_role() = 'admin') with check (public.app_role() = 'admin');
+
+-- ---------- storage: tech-uploads (public bucket, so reads stay plain URLs) ----------
+drop policy if exists tech_uploads_anon_insert on storage.objects;
+drop policy if exists tech_uploads_staff_insert on storage.objects;
+create policy tech_uploads_staff_insert on storage.objects for insert to authenticated
+  with check (bucket_id = 'tech-uploads' and public.is_staff());
+drop policy if exists tech_uploads_admin_delete on storage.objects;
+create policy tech_uploads_admin_delete on storage.objects for delete to authenticated
+  using (bucket_id = 'tech-uploads' and public.app_role() = 'admin');
+
+-- migrate:down
+-- Back to service-role-only access: the policies go, row-level security stays on (nothing is reopened to anon).
+drop policy if exists tech_uploads_staff_insert on storage.objects;
+drop policy if exists tech_uploads_admin_delete on storage.objects;
+
+do $$
+declare p record;
+begin
+  for p in
+    select schemaname, tablename, policyname from pg_policies
+    where schemaname = 'public' and tablename in (
+      'profiles', 'work_order_members', 'work_orders', 'work_order_items', 'work_order_rooms',
+      'receiving_events', 'punchlists', 'punchlist_items', 'punchlist_history', 'photos',
+      'technician_status', 'manifest_mapping_profiles', 'manifest_revisions', 'manifest_changes',
+      'signature_attempts', 'work_order_status_history', 'companies')
+  loop
+    execute format('drop policy if exists %I on %I.%I', p.policyname, p.schemaname, p.tablename);
+  end loop;
+end $$;
+
+alter table public.technician_status drop column if exists user_id;
+alter table public.signature_attempts drop column if exists signed_in_as;
+
+drop trigger if exists work_orders_add_creator on public.work_orders;
+drop function if exists public.work_orders_add_creator();
+drop trigger if exists work_orders_acceptance_guard on public.work_orders;
+drop function if exists public.work_orders_acceptance_guard();
+drop trigger if exists profiles_role_guard on public.profiles;
+drop function if exists public.profiles_role_guard();
+drop trigger if exists on_auth_user_created on auth.users;
+drop function if exists public.handle_new_user();
+
+drop function if exists public.is_manager();
+drop function if exists public.is_staff();
+drop function if exists public.is_member(uuid);
+drop function if exists public.app_role();
+
+drop table if exists public.work_order_members;
+drop table if exists public.profiles;
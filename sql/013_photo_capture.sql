@@ -0,0 +1,49 @@
+-- sql/013_photo_capture.sql
+-- Photo links, EXIF data and markup layer for upload.html (lib/photo_tools.mjs, lib/photo_markup.mjs).
+-- Policies: sql/012_auth_roles.sql
+
+-- What the photo is of: a manifest line, a room, or a punchlist item (any combination)
+alter table public.photos add column if not exists work_order_item_id uuid references public.work_order_items(id) on delete set null;
+alter table public.photos add column if not exists room text;
+alter table public.photos add column if not exists punchlist_item_id uuid references public.punchlist_items(id) on delete set null;
+
+-- Capture details (taken_at_source: exif | manual | upload)
+alter table public.photos add column if not exists taken_at_source text;
+alter table public.photos add column if not exists gps_lat double precision;
+alter table public.photos add column if not exists gps_lng double precision;
+alter table public.photos add column if not exists width int;
+alter table public.photos add column if not exists height int;
+alter table public.photos add column if not exists bytes int;
+alter table public.photos add column if not exists original_name text;
+alter table public.photos add column if not exists storage_path text;
+alter table public.photos add column if not exists uploaded_by uuid default auth.uid() references auth.users(id);
+alter table public.photos add column if not exists created_at timestamptz default now();
+
+-- Markup: transparent PNG laid over the photo + the shapes it was drawn from (to edit again)
+alter table public.photos add column if not exists markup_url text;
+alter table public.photos add column if not exists markup jsonb;
+
+create index if not exists ix_photos_wo on public.photos (work_order_id, taken_at);
+create index if not exists ix_photos_item on public.photos (work_order_item_id) where work_order_item_id is not null;
+create index if not exists ix_photos_punchlist_item on public.photos (punchlist_item_id) where punchlist_item_id is not null;
+
+-- migrate:down
+drop index if exists public.ix_photos_punchlist_item;
+drop index if exists public.ix_photos_item;
+drop index if exists public.ix_photos_wo;
+-- punchlist_item_id belongs to sql/007_punchlist_lifecycle.sql and stays
+alter table public.photos
+  drop column if exists work_order_item_id,
+  drop column if exists room,
+  drop column if exists taken_at_source,
+  drop column if exists gps_lat,
+  drop column if exists gps_lng,
+  drop column if exists width,
+  drop column if exists height,
+  drop column if exists bytes,
+  drop column if exists original_name,
+  drop column if exists storage_path,
+  drop column if exists uploaded_by,
+  drop column if exists created_at,
+  drop column if exists markup_url,
+  drop column if exists markup;
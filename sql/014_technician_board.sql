@@ -0,0 +1,34 @@
+-- sql/014_technician_board.sql
+-- Dispatcher board (dispatch.html, lib/technician_board.mjs).
+-- technician_status stays append-only: each add.html save is one check-in, the history is the timeline.
+-- Policies: sql/012_auth_roles.sql (admins / PMs read every technician, technicians their own rows)
+
+alter table public.technician_status alter column last_sync set default now();
+alter table public.technician_status add column if not exists created_at timestamptz default now();
+
+create index if not exists ix_technician_status_tech on public.technician_status (technician_id, last_sync desc);
+create index if not exists ix_technician_status_sync on public.technician_status (last_sync desc);
+
+-- Stream inserts to the board (Supabase Realtime applies the select policies per subscriber)
+do $$ begin
+  alter publication supabase_realtime add table public.technician_status;
+exception when duplicate_object then null;
+end $$;
+
+-- Each technician's newest check-in, however old it is. dispatch.html loads 7 days of history for the
+-- timeline; technicians who have not checked in since are still on the board from this view (flagged stale).
+create or replace view public.vw_technician_latest with (security_invoker = true) as
+select distinct on (technician_id) *
+from public.technician_status
+order by technician_id, last_sync desc nulls last, created_at desc nulls last;
+
+-- migrate:down
+drop view if exists public.vw_technician_latest;
+do $$ begin
+  alter publication supabase_realtime drop table public.technician_status;
+exception when undefined_object then null;
+end $$;
+drop index if exists public.ix_technician_status_sync;
+drop index if exists public.ix_technician_status_tech;
+alter table public.technician_status drop column if exists created_at;
+alter table public.technician_status alter column last_sync drop default;
@@ -0,0 +1,174 @@
+-- sql/015_line_receiving.sql
+-- Line-level receiving for receive.html: deliveries (date / carrier / packing slip), serial numbers,
+-- and variance per work_order_items line split into short / over / damaged / wrong item.
+
+-- One truck / parcel drop; a line can arrive over several of these
+create table if not exists public.deliveries (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  delivered_on date not null default current_date,
+  carrier text,
+  packing_slip text,
+  notes text,
+  received_by uuid default auth.uid() references auth.users(id),
+  created_at timestamptz default now()
+);
+
+create index if not exists ix_deliveries_wo on public.deliveries (work_order_id, delivered_on desc);
+
+-- Receipts name their delivery, the manifest line number at the time of the scan, and a serial
+alter table public.receiving_events add column if not exists delivery_id uuid references public.deliveries(id) on delete set null;
+alter table public.receiving_events add column if not exists line_no int;
+alter table public.receiving_events add column if not exists serial_number text;
+
+-- wrong_item: the box was scanned against this line but holds something else (does not count as received)
+alter table public.receiving_events drop constraint if exists receiving_events_condition_check;
+alter table public.receiving_events add constraint receiving_events_condition_check
+  check (condition in ('good', 'damaged', 'wrong_item'));
+
+-- A serial is one unit, and one unit can only arrive once per job
+alter table public.receiving_events drop constraint if exists receiving_events_serial_qty_check;
+alter table public.receiving_events add constraint receiving_events_serial_qty_check
+  check (serial_number is null or qty_received = 1);
+create unique index if not exists ux_receiving_events_serial
+  on public.receiving_events (work_order_id, upper(serial_number)) where serial_number is not null;
+create index if not exists ix_receiving_events_item on public.receiving_events (work_order_item_id);
+create index if not exists ix_receiving_events_delivery on public.receiving_events (delivery_id);
+
+-- Lines that need a serial per unit at receiving (TVs, routers, ...)
+alter table public.work_order_items add column if not exists serialized boolean not null default false;
+
+-- Room totals: wrong items never fill the order (column appended so dependent views keep working)
+create or replace view public.vw_received_room_totals with (security_invoker = true) as
+select work_order_id, manufacturer, model, room,
+       sum(case when condition <> 'wrong_item' then qty_received else 0 end)::int as qty_received,
+       sum(case when condition = 'damaged' then qty_received else 0 end)::int as qty_damaged,
+       sum(case when condition = 'wrong_item' then qty_received else 0 end)::int as qty_wrong_item
+from public.receiving_events
+group by work_order_id, manufacturer, model, room;
+
+-- Every receipt with its manifest line and delivery. Older scans without work_order_item_id are
+-- matched by line_no, then by manufacturer + model + room (first line wins).
+create or replace view public.vw_receiving_log with (security_invoker = true) as
+select e.id, e.work_order_id,
+       coalesce(e.work_order_item_id, l.id) as work_order_item_id,
+       coalesce(i.line_no, l.line_no, e.line_no) as line_no,
+       e.manufacturer, e.model, e.room, e.qty_received, e.condition, e.serial_number, e.barcode, e.notes,
+       e.received_at, e.delivery_id, d.delivered_on, d.carrier, d.packing_slip
+from public.receiving_events e
+left join public.work_order_items i on i.id = e.work_order_item_id
+left join lateral (
+  select x.id, x.line_no from public.work_order_items x
+  where e.work_order_item_id is null
+    and x.work_order_id = e.work_order_id
+    and (case when e.line_no is not null then x.line_no = e.line_no
+              else x.manufacturer is not distinct from e.manufacturer
+               and x.model is not distinct from e.model
+               and x.room is not distinct from e.room end)
+  order by x.line_no nulls last
+  limit 1
+) l on true
+left join public.deliveries d on d.id = e.delivery_id;
+
+-- Variance per manifest line. received = good + damaged; short / over compare that to qty_ordered.
+create or replace view public.vw_line_receiving with (security_invoker = true) as
+with agg as (
+  select work_order_item_id,
+         sum(qty_received) filter (where condition <> 'wrong_item')::int as received,
+         sum(qty_received) filter (where condition = 'damaged')::int as damaged,
+         sum(qty_received) filter (where condition = 'wrong_item')::int as wrong_item,
+         count(distinct delivery_id)::int as deliveries,
+         array_agg(serial_number order by received_at) filter (where serial_number is not null) as serials,
+         max(received_at) as last_received_at
+  from public.vw_receiving_log
+  where work_order_item_id is not null
+  group by work_order_item_id
+)
+select i.work_order_id, i.id as work_order_item_id, i.line_no, i.manufacturer, i.model, i.sku, i.room,
+       i.description, i.serialized,
+       coalesce(i.qty_ordered, 0) as qty_expected,
+       coalesce(a.received, 0) as qty_received,
+       coalesce(a.damaged, 0) as qty_damaged,
+       coalesce(a.wrong_item, 0) as qty_wrong_item,
+       greatest(coalesce(i.qty_ordered, 0) - coalesce(a.received, 0), 0) as qty_short,
+       greatest(coalesce(a.received, 0) - coalesce(i.qty_ordered, 0), 0) as qty_over,
+       coalesce(a.deliveries, 0) as deliveries,
+       coalesce(a.serials, '{}') as serials,
+       a.last_received_at
+from public.work_order_items i
+left join agg a on a.work_order_item_id = i.id;
+
+-- Policies: members read, staff on the job log deliveries, admins correct them
+alter table public.deliveries enable row level security;
+drop policy if exists deliveries_read on public.deliveries;
+drop policy if exists deliveries_insert on public.deliveries;
+drop policy if exists deliveries_admin on public.deliveries;
+create policy deliveries_read on public.deliveries for select to authenticated
+  using (public.is_member(work_order_id));
+create policy deliveries_insert on public.deliveries for insert to authenticated
+  with check (public.is_staff() and public.is_member(work_order_id));
+create policy deliveries_admin on public.deliveries for all to authenticated
+  using (public.app_role() = 'admin') with check (public.app_role() = 'admin');
+
+-- migrate:down
+drop view if exists public.vw_line_receiving;
+drop view if exists public.vw_receiving_log;
+
+-- Room totals as sql/003_receiving_events.sql defines them (the view has to be recreated to lose a column)
+drop view if exists public.v_manifest_vs_received;
+drop view if exists public.vw_arrival_variance;
+drop view if exists public.vw_received_room_totals;
+create view public.vw_received_room_totals with (security_invoker = true) as
+select work_order_id, manufacturer, model, room,
+       sum(qty_received)::int as qty_received,
+       sum(case when condition = 'damaged' then qty_received else 0 end)::int as qty_damaged
+from public.receiving_events
+group by work_order_id, manufacturer, model, room;
+
+create view public.vw_arrival_variance with (security_invoker = true) as
+select coalesce(e.work_order_id, r.work_order_id) as work_order_id,
+       coalesce(e.manufacturer, r.manufacturer) as manufacturer,
+       coalesce(e.model, r.model) as model,
+       coalesce(e.room, r.room) as room,
+       coalesce(e.qty_expected, 0) as qty_expected,
+       coalesce(r.qty_received, 0) as qty_received,
+       coalesce(e.qty_expected, 0) - coalesce(r.qty_received, 0) as qty_variance
+from public.vw_expected_room_totals e
+full join public.vw_received_room_totals r
+  on r.work_order_id = e.work_order_id
+ and r.manufacturer is not distinct from e.manufacturer
+ and r.model is not distinct from e.model
+ and r.room is not distinct from e.room;
+
+create view public.v_manifest_vs_received with (security_invoker = true) as
+select coalesce(e.work_order_id, r.work_order_id) as work_order_id,
+       coalesce(e.manufacturer, r.manufacturer) as manufacturer,
+       coalesce(e.model, r.model) as model,
+       coalesce(e.room, r.room) as room,
+       coalesce(e.qty_expected, 0) as expected_qty,
+       coalesce(r.qty_received, 0) as total_received,
+       coalesce(r.qty_damaged, 0) as total_damaged
+from public.vw_expected_room_totals e
+full join public.vw_received_room_totals r
+  on r.work_order_id = e.work_order_id
+ and r.manufacturer is not distinct from e.manufacturer
+ and r.model is not distinct from e.model
+ and r.room is not distinct from e.room;
+
+alter table public.work_order_items drop column if exists serialized;
+
+-- Wrong-item receipts have no place in the old condition check
+delete from public.receiving_events where condition = 'wrong_item';
+drop index if exists public.ix_receiving_events_delivery;
+drop index if exists public.ix_receiving_events_item;
+drop index if exists public.ux_receiving_events_serial;
+alter table public.receiving_events drop constraint if exists receiving_events_serial_qty_check;
+alter table public.receiving_events drop constraint if exists receiving_events_condition_check;
+alter table public.receiving_events add constraint receiving_events_condition_check
+  check (condition in ('good', 'damaged'));
+alter table public.receiving_events
+  drop column if exists serial_number,
+  drop column if exists line_no,
+  drop column if exists delivery_id;
+
+drop table if exists public.deliveries;
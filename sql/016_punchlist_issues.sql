@@ -0,0 +1,34 @@
+-- sql/016_punchlist_issues.sql
+-- Structured issue fields for punchlist items, filled from the technician's note by
+-- netlify/functions/punchlist_ai.js (lib/punchlist_issues.mjs).
+-- `issue` is the customer-facing sentence the punchlist / closeout / walkthrough PDFs print.
+-- Policies: sql/012_auth_roles.sql
+
+alter table public.punchlist_items add column if not exists issue text;
+alter table public.punchlist_items add column if not exists issue_category text;
+alter table public.punchlist_items add column if not exists severity text;
+alter table public.punchlist_items add column if not exists affected_qty int;
+alter table public.punchlist_items add column if not exists suggested_action text;
+alter table public.punchlist_items add column if not exists issue_source text;   -- ai | rules | manual
+alter table public.punchlist_items add column if not exists issue_confidence numeric(3, 2);
+
+do $$ begin
+  alter table public.punchlist_items add constraint punchlist_items_issue_chk check (
+    (issue_category is null or issue_category in ('damaged', 'missing', 'wrong_item', 'defective', 'installation', 'other'))
+    and (severity is null or severity in ('low', 'medium', 'high', 'critical'))
+    and (suggested_action is null or suggested_action in ('replace', 'return', 'repair'))
+    and (affected_qty is null or affected_qty >= 0)
+  );
+exception when duplicate_object then null;
+end $$;
+
+-- migrate:down
+alter table public.punchlist_items drop constraint if exists punchlist_items_issue_chk;
+-- `issue` stays: the PDFs and the walkthrough sign-off printed it before the structured fields existed
+alter table public.punchlist_items
+  drop column if exists issue_category,
+  drop column if exists severity,
+  drop column if exists affected_qty,
+  drop column if exists suggested_action,
+  drop column if exists issue_source,
+  drop column if exists issue_confidence;
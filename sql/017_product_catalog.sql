@@ -0,0 +1,107 @@
+-- sql/017_product_catalog.sql
+-- Shared product catalog, keyed by manufacturer + model + SKU, so manuals / spec sheets / install notes
+-- are entered once instead of on every job (catalog.html, lib/product_catalog.mjs).
+--
+-- Every work_order_items insert (manifest import, add.html, ...) links the line to its product and
+-- creates the product when it is new; blank catalog fields are never copied over an admin's edits.
+
+-- Same normalisation as lib/product_catalog.mjs catalogNorm(): trimmed, single spaces, upper case
+create or replace function public.catalog_norm(v text) returns text
+language sql immutable as $$
+  select upper(regexp_replace(btrim(coalesce(v, '')), '\s+', ' ', 'g'))
+$$;
+
+create table if not exists public.products (
+  id uuid primary key default gen_random_uuid(),
+  manufacturer text,
+  model text,
+  sku text,
+  product_key text generated always as
+    (public.catalog_norm(manufacturer) || '|' || public.catalog_norm(model) || '|' || public.catalog_norm(sku)) stored,
+  description text,
+  category text,                 -- free text: 'Display', 'Speaker', 'Network', ...
+  model_url text,                -- product page
+  manual_url text,
+  spec_url text,                 -- spec sheet
+  weight_lbs numeric(8,2),
+  dimensions text,               -- as printed on the spec sheet, e.g. '57.1 x 32.9 x 2.1 in'
+  serialized boolean not null default false,   -- new work_order_items lines inherit it (receive.html asks for serials)
+  install_notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  updated_by text
+);
+
+create unique index if not exists ux_products_key on public.products (product_key);
+create index if not exists ix_products_model on public.products (public.catalog_norm(manufacturer), public.catalog_norm(model));
+
+alter table public.work_order_items add column if not exists product_id uuid references public.products(id) on delete set null;
+create index if not exists ix_work_order_items_product on public.work_order_items (product_id);
+
+-- Exact key first; a line or product without a SKU matches on manufacturer + model alone.
+-- Security definer: technicians adding items may not write the catalog themselves.
+create or replace function public.link_catalog_product() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+  p public.products%rowtype;
+begin
+  if public.catalog_norm(new.model) = '' and public.catalog_norm(new.sku) = '' then
+    new.product_id := null;
+    return new;
+  end if;
+
+  select * into p from public.products
+   where product_key = public.catalog_norm(new.manufacturer) || '|' || public.catalog_norm(new.model) || '|' || public.catalog_norm(new.sku);
+  if not found and public.catalog_norm(new.model) <> '' then
+    select * into p from public.products
+     where public.catalog_norm(manufacturer) = public.catalog_norm(new.manufacturer)
+       and public.catalog_norm(model) = public.catalog_norm(new.model)
+       and (sku is null or public.catalog_norm(new.sku) = '')
+     order by sku nulls first, created_at
+     limit 1;
+  end if;
+  if not found then
+    insert into public.products (manufacturer, model, sku, description, updated_by)
+    values (nullif(btrim(new.manufacturer), ''), nullif(btrim(new.model), ''), nullif(btrim(new.sku), ''),
+            nullif(btrim(new.description), ''), 'system:manifest_import')
+    on conflict (product_key) do nothing
+    returning * into p;
+    if not found then   -- created by a concurrent import
+      select * into p from public.products
+       where product_key = public.catalog_norm(new.manufacturer) || '|' || public.catalog_norm(new.model) || '|' || public.catalog_norm(new.sku);
+    end if;
+  elsif p.description is null and nullif(btrim(new.description), '') is not null then
+    update public.products set description = btrim(new.description), updated_at = now() where id = p.id;
+  end if;
+
+  new.product_id := p.id;
+  if tg_op = 'INSERT' then
+    new.description := coalesce(nullif(btrim(new.description), ''), p.description);
+    new.serialized := new.serialized or p.serialized;
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists trg_work_order_items_catalog on public.work_order_items;
+create trigger trg_work_order_items_catalog
+  before insert or update of manufacturer, model, sku on public.work_order_items
+  for each row execute function public.link_catalog_product();
+
+-- Backfill: every existing line goes through the trigger once
+update public.work_order_items set model = model where product_id is null;
+
+-- Policies: everyone signed in reads the catalog, admins and PMs edit it
+alter table public.products enable row level security;
+drop policy if exists products_read on public.products;
+drop policy if exists products_write on public.products;
+create policy products_read on public.products for select to authenticated using (true);
+create policy products_write on public.products for all to authenticated
+  using (public.is_manager()) with check (public.is_manager());
+
+-- migrate:down
+drop trigger if exists trg_work_order_items_catalog on public.work_order_items;
+drop function if exists public.link_catalog_product();
+drop index if exists public.ix_work_order_items_product;
+alter table public.work_order_items drop column if exists product_id;
+drop table if exists public.products;
+drop function if exists public.catalog_norm(text);
@@ -0,0 +1,36 @@
+-- sql/018_manifest_documents.sql
+-- Source files behind manifest revisions (netlify/functions/ingest_manifest.js): the PDF purchase order,
+-- spreadsheet or JSON export exactly as uploaded.
+
+-- Private bucket; only the service role reads or writes it (the function hands out signed URLs).
+insert into storage.buckets (id, name, public)
+values ('manifest-sources', 'manifest-sources', false)
+on conflict (id) do nothing;
+
+create table if not exists public.manifest_documents (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  filename text,
+  format text not null check (format in ('pdf', 'xlsx', 'csv', 'json')),
+  content_type text,
+  size_bytes int,
+  sha256 text,
+  storage_path text not null,      -- manifest-sources/<work_order_id>/<timestamp>_<filename>
+  row_count int not null default 0,
+  sheets jsonb,                    -- [{ name, headerRow, rows }]; PDF pages are "Page 1", "Page 2", ...
+  warnings jsonb,
+  uploaded_by text,
+  uploaded_at timestamptz not null default now()
+);
+
+create index if not exists ix_manifest_documents_wo on public.manifest_documents (work_order_id, uploaded_at desc);
+
+alter table public.manifest_revisions add column if not exists source_document_id uuid references public.manifest_documents(id) on delete set null;
+
+-- Server-side only (service role), like manifest_revisions
+alter table public.manifest_documents enable row level security;
+
+-- migrate:down
+alter table public.manifest_revisions drop column if exists source_document_id;
+drop table if exists public.manifest_documents;
+-- The manifest-sources bucket stays, with the uploaded files in it.
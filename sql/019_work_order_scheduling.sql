@@ -0,0 +1,109 @@
+-- sql/019_work_order_scheduling.sql
+-- Work order details and scheduling (work_orders.html, netlify/functions/work_orders.js,
+-- netlify/functions/work_order_schedule.js, lib/work_orders.mjs).
+--   code: "001", "002", ... assigned on insert when left blank (upload.html files photos under it)
+--   work_order_schedule: delivery / install / walkthrough visits with the technicians sent
+
+-- ---------- client / site details ----------
+alter table public.work_orders add column if not exists client_contact text;
+alter table public.work_orders add column if not exists client_email text;
+alter table public.work_orders add column if not exists client_phone text;
+alter table public.work_orders add column if not exists site_address text;
+alter table public.work_orders add column if not exists site_notes text;        -- access, parking, hours
+alter table public.work_orders add column if not exists created_by text;
+alter table public.work_orders add column if not exists updated_at timestamptz;
+alter table public.work_orders add column if not exists updated_by text;
+
+-- ---------- codes ----------
+-- Next number after the highest numeric code, zero-padded to three digits. The advisory lock
+-- serializes concurrent inserts so two jobs never get the same number. Security definer: a PM
+-- creating a job from a page must count every work order, not only the ones RLS shows them.
+create or replace function public.next_work_order_code() returns text
+language plpgsql security definer set search_path = public as $$
+declare n bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('public.work_orders.code'));
+  select coalesce(max(code::bigint), 0) + 1 into n from public.work_orders where code ~ '^\d{1,18}$';
+  return lpad(n::text, greatest(3, length(n::text)), '0');
+end $$;
+
+create or replace function public.work_orders_assign_code() returns trigger language plpgsql as $$
+begin
+  if nullif(btrim(new.code), '') is null then
+    new.code := public.next_work_order_code();
+  else
+    new.code := btrim(new.code);
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists work_orders_assign_code on public.work_orders;
+create trigger work_orders_assign_code
+  before insert on public.work_orders
+  for each row execute function public.work_orders_assign_code();
+
+-- Jobs created in the dashboard without a code get one now, oldest first
+do $$
+declare r record;
+begin
+  for r in select id from public.work_orders where nullif(btrim(code), '') is null order by created_at, id loop
+    update public.work_orders set code = public.next_work_order_code() where id = r.id;
+  end loop;
+end $$;
+
+-- Codes are unique from here on. Duplicates from before stop the migration, listed, for an admin to
+-- renumber first (update work_orders set code = ... where id = ...), then apply again.
+do $$
+declare dups text;
+begin
+  select string_agg(format('%s (%s work orders)', code, n), ', ' order by code) into dups
+  from (select code, count(*) as n from public.work_orders where code is not null group by code having count(*) > 1) d;
+  if dups is not null then
+    raise exception 'work_orders has duplicate codes: %', dups
+      using hint = 'Give each of those work orders its own code, then run the migration again.';
+  end if;
+end $$;
+create unique index if not exists ux_work_orders_code on public.work_orders (code);
+
+-- ---------- schedule ----------
+create table if not exists public.work_order_schedule (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  kind text not null check (kind in ('delivery', 'install', 'walkthrough')),
+  starts_at timestamptz not null,
+  ends_at timestamptz,
+  all_day boolean not null default false,
+  technician_ids uuid[] not null default '{}',   -- profiles.id; also added to work_order_members
+  notes text,
+  created_by text,
+  updated_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint work_order_schedule_range_chk check (ends_at is null or ends_at >= starts_at)
+);
+
+create index if not exists ix_work_order_schedule_wo on public.work_order_schedule (work_order_id, starts_at);
+create index if not exists ix_work_order_schedule_starts on public.work_order_schedule (starts_at);
+create index if not exists ix_work_order_schedule_techs on public.work_order_schedule using gin (technician_ids);
+
+-- Members read their jobs' visits; changes go through work_order_schedule.js (service role)
+alter table public.work_order_schedule enable row level security;
+drop policy if exists work_order_schedule_read on public.work_order_schedule;
+create policy work_order_schedule_read on public.work_order_schedule for select to authenticated
+  using (public.is_member(work_order_id));
+
+-- migrate:down
+drop table if exists public.work_order_schedule;
+drop index if exists public.ux_work_orders_code;
+drop trigger if exists work_orders_assign_code on public.work_orders;
+drop function if exists public.work_orders_assign_code();
+drop function if exists public.next_work_order_code();
+alter table public.work_orders
+  drop column if exists client_contact,
+  drop column if exists client_email,
+  drop column if exists client_phone,
+  drop column if exists site_address,
+  drop column if exists site_notes,
+  drop column if exists created_by,
+  drop column if exists updated_at,
+  drop column if exists updated_by;
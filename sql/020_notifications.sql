@@ -0,0 +1,86 @@
+-- sql/020_notifications.sql
+-- Job event emails (lib/notifications.mjs, netlify/functions/notifications.js, notifications_scheduled.js).
+--   notification_events: what happened (punchlist generated, walkthrough signed, receiving shortage)
+--   notification_preferences: per user, instant / daily digest / off
+--   notification_contacts: the same per address, for a work order's client_email and walkthrough signer
+--     when they have no account on the job (set by an admin on notifications.html)
+--   notification_log: every email sent or attempted
+
+create table if not exists public.notification_events (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references public.work_orders(id) on delete cascade,
+  event text not null check (event in ('punchlist_generated', 'walkthrough_signed', 'receiving_shortage')),
+  data jsonb not null default '{}',
+  dedupe_key text,          -- receiving_shortage:<work order>:<hash of the short lines>, so a scan reports a shortage once
+  actor text,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists ux_notification_events_dedupe on public.notification_events (dedupe_key);
+create index if not exists ix_notification_events_wo on public.notification_events (work_order_id, created_at desc);
+create index if not exists ix_notification_events_created on public.notification_events (created_at);
+
+-- No row = instant, every event
+create table if not exists public.notification_preferences (
+  user_id uuid primary key references public.profiles(id) on delete cascade,
+  delivery text not null default 'instant' check (delivery in ('instant', 'digest', 'off')),
+  muted_events text[] not null default '{}',
+  last_digest_at timestamptz,     -- events after this go into the next digest
+  updated_at timestamptz not null default now()
+);
+
+-- No row = instant, every event. The address is stored lower-cased.
+create table if not exists public.notification_contacts (
+  email text primary key check (email = lower(btrim(email))),
+  delivery text not null default 'instant' check (delivery in ('instant', 'digest', 'off')),
+  muted_events text[] not null default '{}',
+  last_digest_at timestamptz,
+  updated_at timestamptz not null default now(),
+  updated_by text
+);
+
+create table if not exists public.notification_log (
+  id uuid primary key default gen_random_uuid(),
+  mode text not null check (mode in ('instant', 'digest')),
+  event_ids uuid[] not null default '{}',
+  work_order_ids uuid[] not null default '{}',
+  recipient_id uuid references public.profiles(id) on delete set null,
+  recipient_email text not null,
+  subject text,
+  status text not null check (status in ('sent', 'failed')),
+  error text,
+  message_id text,
+  attachments jsonb,              -- [{ filename, size }]
+  sent_at timestamptz not null default now()
+);
+
+create index if not exists ix_notification_log_sent on public.notification_log (sent_at desc);
+create index if not exists ix_notification_log_recipient on public.notification_log (recipient_id, sent_at desc);
+
+-- Writes go through the functions (service role); people read their own preferences and mail, admins all of it
+alter table public.notification_events enable row level security;
+alter table public.notification_preferences enable row level security;
+alter table public.notification_contacts enable row level security;
+alter table public.notification_log enable row level security;
+
+drop policy if exists notification_events_read on public.notification_events;
+create policy notification_events_read on public.notification_events for select to authenticated
+  using (public.is_member(work_order_id));
+
+drop policy if exists notification_preferences_read on public.notification_preferences;
+create policy notification_preferences_read on public.notification_preferences for select to authenticated
+  using (user_id = auth.uid() or public.app_role() = 'admin');
+
+drop policy if exists notification_contacts_read on public.notification_contacts;
+create policy notification_contacts_read on public.notification_contacts for select to authenticated
+  using (public.is_manager());
+
+drop policy if exists notification_log_read on public.notification_log;
+create policy notification_log_read on public.notification_log for select to authenticated
+  using (recipient_id = auth.uid() or public.app_role() = 'admin');
+
+-- migrate:down
+drop table if exists public.notification_log;
+drop table if exists public.notification_contacts;
+drop table if exists public.notification_preferences;
+drop table if exists public.notification_events;
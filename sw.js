@@ -0,0 +1,76 @@
+// sw.js — caches the field pages and their CDN modules so they open on a job site with no signal.
+// Data (work orders, items, queued saves) lives in IndexedDB via lib/offline.mjs, not here.
+// Bump CACHE when the page list changes.
+
+const CACHE = "wpusa-field-v4";
+
+const PAGES = [
+  "./",
+  "./index.html",
+  "./walkthrough.html",
+  "./punchlist.html",
+  "./signature.html",
+  "./upload.html",
+  "./add.html",
+  "./receive.html",
+  "./login.html",
+  "./lib/supabase_client.mjs",
+  "./lib/offline.mjs",
+  "./lib/export_buttons.mjs",
+  "./lib/photo_tools.mjs",
+  "./lib/photo_markup.mjs",
+];
+
+const CDN_HOSTS = ["esm.sh", "cdn.jsdelivr.net"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((c) => c.addAll(PAGES)).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  // Supabase REST / storage / functions are never cached here — the outbox handles those.
+  if (url.hostname.endsWith("supabase.co") || url.pathname.startsWith("/.netlify/")) return;
+
+  // CDN modules are versioned URLs: cache first.
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(
+      caches.match(req).then((hit) => hit || fetch(req).then((res) => {
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(CACHE).then((c) => c.put(req, copy));
+        }
+        return res;
+      }))
+    );
+    return;
+  }
+
+  // Our own pages: network first so deploys show up, cache when offline.
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      fetch(req)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((c) => c.put(req, copy));
+          }
+          return res;
+        })
+        .catch(() => caches.match(req, { ignoreSearch: true }))
+    );
+  }
+});
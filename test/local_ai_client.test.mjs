@@ -0,0 +1,79 @@
+// test/local_ai_client.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateSchema, extractJSON, stubClient, createClient } from "../ai/local_ai_client.mjs";
+
+const SCHEMA = {
+  type: "object",
+  required: ["items"],
+  additionalProperties: false,
+  properties: {
+    items: {
+      type: "array",
+      maxItems: 2,
+      items: {
+        type: "object",
+        required: ["row"],
+        properties: { row: { type: "integer", minimum: 1 }, room: { type: ["string", "null"] } },
+      },
+    },
+  },
+};
+
+test("validateSchema accepts a matching reply", () => {
+  assert.deepEqual(validateSchema(SCHEMA, { items: [{ row: 1, room: "Kitchen" }, { row: 2, room: null }] }), []);
+});
+
+test("validateSchema reports each problem with its path", () => {
+  const problems = validateSchema(SCHEMA, { items: [{ room: 3 }, { row: 0 }, { row: 1.5 }], extra: true });
+  assert.deepEqual(problems, [
+    "$.items: more than 2 items",
+    "$.items[0].row: required",
+    "$.items[0].room: expected string | null, got integer",
+    "$.items[1].row: must be >= 1",
+    "$.items[2].row: expected integer, got number",
+    "$.extra: not allowed",
+  ]);
+});
+
+test("extractJSON reads fenced and wrapped replies", () => {
+  assert.deepEqual(extractJSON('```json\n{"items": []}\n```'), { items: [] });
+  assert.deepEqual(extractJSON('Here you go: {"items": [{"row": 1}]} Hope that helps.'), { items: [{ row: 1 }] });
+  assert.deepEqual(extractJSON("[1, 2]"), [1, 2]);
+});
+
+test("extractJSON throws invalid_json on prose", () => {
+  assert.throws(() => extractJSON("I could not find anything."), { code: "invalid_json" });
+});
+
+test("chatJSON asks again with the problems when the reply is bad", async () => {
+  const replies = ["not json at all", { items: [{ row: "one" }] }, '{"items": [{"row": 1}]}'];
+  const ai = stubClient(() => replies.shift(), { retries: 2 });
+  assert.deepEqual(await ai.chatJSON({ prompt: "rows", schema: SCHEMA }), { items: [{ row: 1 }] });
+  assert.equal(ai.calls.length, 3);
+  const last = ai.calls[2];
+  assert.match(last[last.length - 1].content, /rejected \(Reply does not match the schema: \$\.items\[0\]\.row: expected integer/);
+  assert.match(ai.calls[1][ai.calls[1].length - 1].content, /rejected \(Reply is not JSON\)/);
+});
+
+test("chatJSON gives up after the retries with the last error", async () => {
+  const ai = stubClient(() => "still not json", { retries: 1 });
+  await assert.rejects(ai.chatJSON({ prompt: "rows", schema: SCHEMA }), { code: "invalid_json", attempts: 2 });
+  assert.equal(ai.calls.length, 2);
+});
+
+test("createClient stops at its deadline instead of retrying past it", async () => {
+  let calls = 0;
+  // A server that never answers; only the abort ends the request
+  const fetch = (url, { signal }) => {
+    calls++;
+    return new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" }))));
+  };
+  const ai = createClient({ fetch, timeoutMs: 20000, deadlineMs: 50, retries: 2 });
+  const started = Date.now();
+  await assert.rejects(ai.chatJSON({ prompt: "rows", schema: SCHEMA }), { code: "timeout", deadline: true });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(calls, 1);
+  await assert.rejects(ai.chatJSON({ prompt: "again", schema: SCHEMA }), { code: "timeout", deadline: true });
+  assert.equal(calls, 1);
+});
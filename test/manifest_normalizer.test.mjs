@@ -0,0 +1,61 @@
+// test/manifest_normalizer.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { suggestCleanups } from "../lib/manifest_normalizer.mjs";
+import { stubClient, createClient } from "../ai/local_ai_client.mjs";
+
+const ROOMS = ["Master Bedroom", "Living Room", "Theater"];
+const ROWS = [
+  { line_no: 1, manufacturer: "Sony Electronics Inc", model: "XR-65A80L", room: "MBR", description: "65in OLED" },
+  { line_no: 2, manufacturer: "", model: "ZX-900", room: "Upstairs loft", description: "" },
+];
+
+// Answers from the row numbers it is asked about, like a model would
+function respond({ messages }) {
+  const { rows } = JSON.parse(messages[messages.length - 1].content);
+  return {
+    items: rows.map(({ row }) => ({
+      row,
+      manufacturer: "Acme Audio", manufacturer_confidence: 0.7,
+      room: "Theater", room_confidence: 0.6,
+      description: "Amplifier", description_confidence: 0.8,
+    })),
+  };
+}
+
+test("rules settle what they can; the stub fills the rest", async () => {
+  const ai = stubClient(respond);
+  const { suggestions, ai: info } = await suggestCleanups(ROWS, { rooms: ROOMS, client: ai });
+  assert.deepEqual(info, { used: true, rows: 1, error: null });
+  assert.deepEqual(suggestions.map(({ row, field, to, source }) => ({ row, field, to, source })), [
+    { row: 1, field: "manufacturer", to: "Sony", source: "rule" },
+    { row: 1, field: "room", to: "Master Bedroom", source: "rule" },
+    { row: 2, field: "manufacturer", to: "Acme Audio", source: "ai" },
+    { row: 2, field: "room", to: "Theater", source: "ai" },
+    { row: 2, field: "description", to: "Amplifier", source: "ai" },
+  ]);
+  assert.equal(ai.calls.length, 1);
+});
+
+test("AI rooms outside the job's list and rows it was not asked about are dropped", async () => {
+  const ai = stubClient(() => ({ items: [{ row: 2, room: "Garage", room_confidence: 0.9 }, { row: 1, description: "x", description_confidence: 1 }] }));
+  const { suggestions } = await suggestCleanups(ROWS, { rooms: ROOMS, client: ai });
+  assert.deepEqual(suggestions.filter((s) => s.source === "ai"), []);
+});
+
+test("rule suggestions still come back when the AI keeps answering badly", async () => {
+  const ai = stubClient(() => "no idea");
+  const { suggestions, ai: info } = await suggestCleanups(ROWS, { rooms: ROOMS, client: ai });
+  assert.equal(info.used, false);
+  assert.match(info.error, /not JSON/);
+  assert.deepEqual(suggestions.map((s) => s.source), ["rule", "rule"]);
+});
+
+test("rule suggestions come back with ai.error when the client's deadline is hit", async () => {
+  const fetch = (url, { signal }) => new Promise((resolve, reject) =>
+    signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" }))));
+  const client = createClient({ fetch, deadlineMs: 50 });
+  const { suggestions, ai: info } = await suggestCleanups(ROWS, { rooms: ROOMS, client });
+  assert.match(info.error, /deadline/);
+  assert.deepEqual(suggestions.map((s) => s.field), ["manufacturer", "room"]);
+});
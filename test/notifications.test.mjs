@@ -0,0 +1,213 @@
+// test/notifications.test.mjs
+// notify() and sendDigests() against a local SMTP listener, with PostgREST answered from memory
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+
+// ---------- SMTP: accepts everything, keeps each message ----------
+const mails = [];
+const smtp = net.createServer((sock) => {
+  let buf = "";
+  let inData = false;
+  sock.write("220 test\r\n");
+  sock.on("data", (chunk) => {
+    buf += chunk.toString("latin1");
+    for (;;) {
+      if (inData) {
+        const end = buf.indexOf("\r\n.\r\n");
+        if (end < 0) return;
+        mails.push(buf.slice(0, end));
+        buf = buf.slice(end + 5);
+        inData = false;
+        sock.write(`250 queued as m${mails.length}\r\n`);
+        continue;
+      }
+      const eol = buf.indexOf("\r\n");
+      if (eol < 0) return;
+      const cmd = buf.slice(0, eol).slice(0, 4).toUpperCase();
+      buf = buf.slice(eol + 2);
+      if (cmd === "DATA") { inData = true; sock.write("354 go on\r\n"); }
+      else if (cmd === "QUIT") { sock.end("221 bye\r\n"); return; }
+      else sock.write("250 ok\r\n");
+    }
+  });
+});
+
+// ---------- PostgREST ----------
+const WO = {
+  id: "11111111-1111-1111-1111-111111111111", code: "007", title: "Lobby AV", project_name: "HQ Lobby",
+  client_contact: "Carla Client", client_email: "Carla@Client.test",
+};
+const PEOPLE = [
+  { id: "a1", email: "pm@co.test", full_name: "Pam Manager", role: "pm" },
+  { id: "a2", email: "dan@co.test", full_name: "Dan Digest", role: "pm" },
+  { id: "a3", email: "tech@co.test", full_name: "Tess Tech", role: "technician" },
+];
+const db = {};
+const reset = () => Object.assign(db, {
+  events: [],
+  log: [],
+  prefs: [{ user_id: "a2", delivery: "digest", muted_events: [], last_digest_at: "2026-10-17T12:00:00.000Z" }],
+  contacts: [],
+});
+
+const reply = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+async function fakeRest(url, init = {}) {
+  const u = new URL(url);
+  const table = u.pathname.split("/").pop();
+  const q = decodeURIComponent(u.search);
+  const method = init.method || "GET";
+  const body = init.body ? JSON.parse(init.body) : null;
+  switch (table) {
+    case "work_orders": return reply([WO]);
+    case "work_order_members":
+      return reply(q.includes("user_id=eq.") ? [{ work_order_id: WO.id }] : PEOPLE.map((p) => ({ user_id: p.id, profile: p })));
+    case "notification_preferences":
+      if (method === "PATCH") {
+        const pref = db.prefs.find((p) => q.includes(`user_id=eq.${p.user_id}`));
+        Object.assign(pref, body);
+        return reply([pref]);
+      }
+      if (q.includes("delivery=eq.digest")) {
+        return reply(db.prefs.filter((p) => p.delivery === "digest").map((p) => ({ ...p, profile: PEOPLE.find((x) => x.id === p.user_id) })));
+      }
+      return reply(db.prefs.filter((p) => q.includes(p.user_id)));
+    case "notification_contacts":
+      if (method === "PATCH") {
+        const contact = db.contacts.find((c) => q.includes(`email=eq.${c.email}`));
+        Object.assign(contact, body);
+        return reply([contact]);
+      }
+      if (q.includes("delivery=eq.digest")) return reply(db.contacts.filter((c) => c.delivery === "digest"));
+      return reply(db.contacts.filter((c) => q.includes(`"${c.email}"`)));
+    case "notification_events":
+      if (method === "POST") {
+        const row = { id: `e${db.events.length + 1}`, created_at: new Date().toISOString(), ...body[0] };
+        db.events.push(row);
+        return reply([row]);
+      }
+      return reply(db.events.map((e) => ({ ...e, work_order: WO })));
+    case "notification_log":
+      db.log.push(...body);
+      return reply(body);
+    case "punchlists": return reply([{ id: "p1", work_order_id: WO.id, status: "open", created_at: "2026-10-18T00:00:00Z" }]);
+    case "punchlist_items":
+      return reply([{ id: "i1", manufacturer: "Sony", model: "XR-65A80L", room: "Lobby", expected_qty: 2, received_qty: 1, missing_qty: 1, damaged_qty: 0 }]);
+    default: return reply([]);
+  }
+}
+
+let notifications;
+let realFetch;
+before(async () => {
+  await new Promise((resolve) => smtp.listen(0, "127.0.0.1", resolve));
+  Object.assign(process.env, {
+    SMTP_HOST: "127.0.0.1", SMTP_PORT: String(smtp.address().port),
+    SUPABASE_URL: "http://rest.test", SUPABASE_SERVICE_ROLE_KEY: "test", APP_URL: "https://app.test",
+  });
+  realFetch = globalThis.fetch;
+  globalThis.fetch = fakeRest;
+  notifications = await import("../lib/notifications.mjs");
+});
+after(() => {
+  globalThis.fetch = realFetch;
+  smtp.close();
+});
+
+// Unfolded, with nodemailer's =?UTF-8?Q?...?= words decoded
+function header(mail, name) {
+  const value = mail.match(new RegExp(`^${name}: (.*(?:\r\n[ \t].*)*)`, "mi"))?.[1] ?? "";
+  return value.replace(/\r\n[ \t]/g, " ").replace(/=\?UTF-8\?Q\?([^?]*)\?=\s*/gi, (_, q) =>
+    Buffer.from(q.replace(/_/g, " ").replace(/=([0-9A-F]{2})/gi, (__, h) => String.fromCharCode(parseInt(h, 16))), "latin1").toString("utf8"));
+}
+const PUNCHLIST = {
+  punchlist_id: "p1", created: true, added: 1, open_count: 1,
+  open_items: [{ manufacturer: "Sony", model: "XR-65A80L", room: "Lobby", missing_qty: 1, damaged_qty: 0 }],
+};
+
+test("notify mails the PM and the client contact with the punchlist attached, and logs both", async () => {
+  reset();
+  mails.length = 0;
+  const out = await notifications.notify("punchlist_generated", WO.id, PUNCHLIST, { actor: "Pam Manager" });
+  assert.deepEqual(out, { event_id: "e1", duplicate: false, sent: 2, failed: 0, queued: 1 });
+
+  assert.equal(mails.length, 2);
+  const [pm, client] = mails;
+  assert.match(header(pm, "To"), /pm@co\.test/);
+  assert.equal(header(pm, "Subject"), "[WO 007 — HQ Lobby] Punchlist generated: 1 open item");
+  assert.match(pm, /Content-Type: application\/pdf; name=punchlist-007\.pdf/);
+  assert.match(pm, /Content-Disposition: attachment; filename=punchlist-007\.pdf/);
+  assert.match(pm, /\r\n\r\nJVBERi0/, "attachment is a base64 PDF");
+  assert.match(header(client, "To"), /carla@client\.test/);
+  assert.match(client, /as the client contact on the job/);
+
+  assert.equal(db.log.length, 2);
+  const [row] = db.log;
+  assert.equal(row.mode, "instant");
+  assert.equal(row.status, "sent");
+  assert.equal(row.recipient_id, "a1");
+  assert.equal(row.recipient_email, "pm@co.test");
+  assert.deepEqual(row.event_ids, ["e1"]);
+  assert.deepEqual(row.work_order_ids, [WO.id]);
+  assert.equal(row.attachments[0].filename, "punchlist-007.pdf");
+  assert.ok(row.attachments[0].size > 500);
+  assert.ok(row.message_id);
+  assert.equal(db.log[1].recipient_id, null);
+  assert.equal(db.log[1].recipient_email, "carla@client.test");
+});
+
+test("a client contact set to off is not mailed", async () => {
+  reset();
+  mails.length = 0;
+  db.contacts.push({ email: "carla@client.test", delivery: "off", muted_events: [] });
+  const out = await notifications.notify("punchlist_generated", WO.id, PUNCHLIST);
+  assert.equal(out.sent, 1);
+  assert.deepEqual(db.log.map((l) => l.recipient_email), ["pm@co.test"]);
+});
+
+test("the walkthrough signer is mailed at the address they signed with", async () => {
+  reset();
+  mails.length = 0;
+  await notifications.notify("walkthrough_signed", WO.id, {
+    signer_name: "Sam Signer", signer_email: "sam@client.test", signed_at: "2026-10-18T15:00:00Z", open_count: 0,
+  });
+  assert.deepEqual(db.log.map((l) => l.recipient_email).sort(), ["carla@client.test", "pm@co.test", "sam@client.test"]);
+});
+
+test("sendDigests mails the digest user once with the punchlist and moves last_digest_at", async () => {
+  reset();
+  await notifications.notify("punchlist_generated", WO.id, PUNCHLIST);
+  mails.length = 0;
+  db.log.length = 0;
+
+  const now = new Date(Date.now() + 60000);
+  const [result] = await notifications.sendDigests(now);
+  assert.deepEqual(result, { user_id: "a2", email: "dan@co.test", events: 1, sent: true });
+  assert.equal(mails.length, 1);
+  assert.match(header(mails[0], "To"), /dan@co\.test/);
+  assert.match(mails[0], /filename=punchlist-007\.pdf/);
+  assert.equal(db.log[0].mode, "digest");
+  assert.equal(db.log[0].status, "sent");
+  assert.equal(db.prefs[0].last_digest_at, now.toISOString());
+
+  assert.deepEqual(await notifications.sendDigests(now), []);
+});
+
+test("a client contact on the digest gets one too, without the preferences link", async () => {
+  reset();
+  db.contacts.push({ email: "carla@client.test", delivery: "digest", muted_events: [], last_digest_at: "2026-10-17T12:00:00.000Z" });
+  const out = await notifications.notify("punchlist_generated", WO.id, PUNCHLIST);
+  assert.deepEqual([out.sent, out.queued], [1, 2]);
+  mails.length = 0;
+  db.log.length = 0;
+
+  const now = new Date(Date.now() + 60000);
+  const results = await notifications.sendDigests(now);
+  assert.deepEqual(results.map((r) => [r.email, r.events, r.sent]), [["dan@co.test", 1, true], ["carla@client.test", 1, true]]);
+  const client = mails.find((m) => /carla@client\.test/.test(header(m, "To")));
+  assert.match(client, /as the client contact on the job/);
+  assert.doesNotMatch(client, /notifications\.html/);
+  assert.equal(db.log[1].recipient_id, null);
+  assert.equal(db.log[1].mode, "digest");
+  assert.equal(db.contacts[0].last_digest_at, now.toISOString());
+});
@@ -0,0 +1,58 @@
+// test/notifications_timeout.test.mjs
+// A mail server that accepts the connection and never answers: notify() gives up after SMTP_TIMEOUT_MS
+// and does not wait again for the next recipient
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+
+const sockets = [];
+const silent = net.createServer((sock) => sockets.push(sock));
+
+const WO = { id: "11111111-1111-1111-1111-111111111111", code: "007", client_email: "carla@client.test" };
+const PM = { id: "a1", email: "pm@co.test", full_name: "Pam Manager", role: "pm" };
+const log = [];
+const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+async function fakeRest(url, init = {}) {
+  const table = new URL(url).pathname.split("/").pop();
+  const body = init.body ? JSON.parse(init.body) : null;
+  switch (table) {
+    case "work_orders": return reply([WO]);
+    case "work_order_members": return reply([{ user_id: PM.id, profile: PM }]);
+    case "notification_events": return reply([{ id: "e1", created_at: new Date().toISOString(), ...body[0] }]);
+    case "notification_log":
+      log.push(...body);
+      return reply(body);
+    default: return reply([]);
+  }
+}
+
+let notifications;
+let realFetch;
+before(async () => {
+  await new Promise((resolve) => silent.listen(0, "127.0.0.1", resolve));
+  Object.assign(process.env, {
+    SMTP_HOST: "127.0.0.1", SMTP_PORT: String(silent.address().port), SMTP_TIMEOUT_MS: "300",
+    SUPABASE_URL: "http://rest.test", SUPABASE_SERVICE_ROLE_KEY: "test",
+  });
+  realFetch = globalThis.fetch;
+  globalThis.fetch = fakeRest;
+  notifications = await import("../lib/notifications.mjs");
+});
+after(() => {
+  globalThis.fetch = realFetch;
+  for (const s of sockets) s.destroy();
+  silent.close();
+});
+
+test("a server that never answers fails the whole batch after one timeout", async () => {
+  const started = Date.now();
+  const out = await notifications.notify("punchlist_generated", WO.id, { punchlist_id: null, open_count: 0 });
+  const took = Date.now() - started;
+
+  assert.deepEqual([out.sent, out.failed], [0, 2]);
+  assert.ok(took < 1500, `took ${took} ms`);
+  assert.deepEqual(log.map((l) => [l.recipient_email, l.status]), [["pm@co.test", "failed"], ["carla@client.test", "failed"]]);
+  assert.match(log[0].error, /Greeting never received/);
+  assert.match(log[1].error, /^Not sent, mail server unreachable/);
+  assert.equal(sockets.length, 1, "the second recipient is not tried");
+});
@@ -0,0 +1,37 @@
+// test/pdf_layout.test.mjs
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { wrapText } from "../lib/pdf_layout.mjs";
+
+let font;
+before(async () => {
+  font = await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica);
+});
+const width = (s) => font.widthOfTextAtSize(s, 10);
+
+test("wrapText keeps explicit line breaks, blank lines included", () => {
+  assert.deepEqual(wrapText(font, "a\n\nb", 10, 200), ["a", "", "b"]);
+  assert.deepEqual(wrapText(font, "12 Main St\r\nSpringfield", 10, 200), ["12 Main St", "Springfield"]);
+});
+
+test("wrapText still replaces characters the font cannot draw", () => {
+  assert.deepEqual(wrapText(font, "Room ☃\nok", 10, 200), ["Room ?", "ok"]);
+});
+
+test("wrapText breaks at words and splits a word wider than the column", () => {
+  const max = width("Sonos Arc soundbar");
+  assert.deepEqual(wrapText(font, "Sonos Arc soundbar with wall mount", 10, max), ["Sonos Arc soundbar", "with wall mount"]);
+  const lines = wrapText(font, "XR65A80LXR65A80LXR65A80L", 10, width("XR65A80L"));
+  assert.equal(lines.join(""), "XR65A80LXR65A80LXR65A80L");
+  assert.ok(lines.length >= 3);
+  assert.ok(lines.every((l) => width(l) <= width("XR65A80L")));
+});
+
+test("wrapText gives a character wider than the column its own line instead of looping", () => {
+  assert.deepEqual(wrapText(font, "WWW", 10, width("W") - 1), ["W", "W", "W"]);
+});
+
+test("wrapText returns one empty line for nothing", () => {
+  assert.deepEqual(wrapText(font, null, 10, 100), [""]);
+});
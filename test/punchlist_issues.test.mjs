@@ -0,0 +1,96 @@
+// test/punchlist_issues.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNoteRules, structureNote, draftClaimEmails, mockResponder, ISSUE_SCHEMA } from "../lib/punchlist_issues.mjs";
+import { stubClient, validateSchema } from "../ai/local_ai_client.mjs";
+
+const ARC = { manufacturer: "Sonos", model: "Arc", room: "Living Room", damaged_qty: 1 };
+
+test("parseNoteRules reads a damaged-box note", () => {
+  assert.deepEqual(parseNoteRules("sonos arc box crushed", ARC), {
+    category: "damaged",
+    severity: "medium",
+    affected_qty: 1,
+    action: "replace",
+    description: "1 × Sonos Arc (Living Room) arrived damaged — sonos arc box crushed.",
+    confidence: 0.6,
+  });
+});
+
+test("parseNoteRules takes quantity, action and severity from the words", () => {
+  const issue = parseNoteRules("two never arrived, urgent, send back the rest for a refund", { model: "Era 100", missing_qty: 3 });
+  assert.equal(issue.category, "missing");
+  assert.equal(issue.affected_qty, 2);
+  assert.equal(issue.action, "return");
+  assert.equal(issue.severity, "critical");
+  assert.deepEqual(validateSchema(ISSUE_SCHEMA, issue), []);
+});
+
+test("parseNoteRules counts the affected units, not the total or a size", () => {
+  const qty = (note) => parseNoteRules(note, { missing_qty: 9, damaged_qty: 9 }).affected_qty;
+  assert.equal(qty("3 of 4 speakers missing"), 3);
+  assert.equal(qty("two out of five boxes damaged"), 2);
+  assert.equal(qty("2 speakers missing"), 2);
+  assert.equal(qty("4 damaged"), 4);
+  assert.equal(qty("65 inch tv damaged"), 9);
+});
+
+test("parseNoteRules falls back to the item's quantities with low confidence", () => {
+  const issue = parseNoteRules("see photos", { missing_qty: 2 });
+  assert.equal(issue.category, "missing");
+  assert.equal(issue.affected_qty, 2);
+  assert.equal(issue.confidence, 0.3);
+});
+
+test("structureNote uses the model's answer when it matches the schema", async () => {
+  const client = stubClient(mockResponder);
+  const out = await structureNote("sonos arc box crushed", ARC, { client });
+  assert.equal(out.source, "ai");
+  assert.equal(out.ai_error, null);
+  assert.equal(out.issue.category, "damaged");
+  assert.equal(out.issue.confidence, 0.5);
+});
+
+test("structureNote falls back to the rules when the model fails", async () => {
+  const client = stubClient(() => ({ category: "smashed", severity: "medium" }));
+  const out = await structureNote("sonos arc box crushed", ARC, { client });
+  assert.equal(out.source, "rules");
+  assert.match(out.ai_error, /does not match the schema/);
+  assert.deepEqual(out.issue, parseNoteRules("sonos arc box crushed", ARC));
+  assert.equal(client.calls.length, 2);
+});
+
+const ITEMS = [
+  { manufacturer: "Sonos", model: "Arc", room: "Living Room", damaged_qty: 1, issue_category: "damaged", suggested_action: "replace" },
+  { manufacturer: "Sonos", model: "Sub Mini", room: "Living Room", missing_qty: 1 },
+  { manufacturer: "Sony", model: "XR-65A80L", room: "Theater", damaged_qty: 1 },
+];
+const WO = { code: "WO-1042", project_name: "Lakeview Residence" };
+
+test("draftClaimEmails keeps the template when the model drops an item", async () => {
+  const client = stubClient(({ messages }) => {
+    const { vendor, draft } = JSON.parse(messages[messages.length - 1].content);
+    // Rewords the Sonos draft without the Sub Mini line; the Sony one keeps every model number
+    return vendor === "Sonos"
+      ? { subject: "Sonos claim", body: "Hi, the Arc arrived damaged. Thanks" }
+      : { subject: "Sony claim", body: draft.body.replace("Hello,", "Hi there,") };
+  });
+  const [sonos, sony] = await draftClaimEmails(ITEMS, { wo: WO, client });
+
+  assert.equal(sonos.vendor, "Sonos");
+  assert.equal(sonos.source, "template");
+  assert.equal(sonos.ai_error, "AI draft left out items; using the template");
+  assert.equal(sonos.subject, "Claim: Sonos items for WO-1042 — Lakeview Residence");
+  assert.match(sonos.body, /- Arc × 1 — Damaged, please replace \(room: Living Room\)/);
+  assert.match(sonos.body, /- Sub Mini × 1 — Missing \(room: Living Room\)/);
+  assert.equal(sonos.items, 2);
+
+  assert.equal(sony.source, "ai");
+  assert.equal(sony.subject, "Sony claim");
+  assert.match(sony.body, /^Hi there,/);
+});
+
+test("draftClaimEmails without a client is the template", async () => {
+  const emails = await draftClaimEmails(ITEMS, { wo: WO });
+  assert.deepEqual(emails.map((e) => [e.vendor, e.source, e.ai_error]), [["Sonos", "template", null], ["Sony", "template", null]]);
+});
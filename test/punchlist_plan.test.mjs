@@ -0,0 +1,41 @@
+// test/punchlist_plan.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planChanges } from "../lib/punchlist_plan.mjs";
+
+const view = (model, expected_qty, total_received, total_damaged = 0) =>
+  ({ manufacturer: "Sonos", model, room: "Living Room", expected_qty, total_received, total_damaged });
+const line = (id, model, fields) => ({
+  id, manufacturer: "Sonos", model, room: "Living Room", status: "open", auto_resolved: false,
+  expected_qty: 2, received_qty: 1, missing_qty: 1, damaged_qty: 0, ...fields,
+});
+
+test("a technician's report survives a regeneration that sees no shortfall", () => {
+  const items = [
+    line("m1", "Arc", { source: "manual", expected_qty: 1, received_qty: 1, missing_qty: 0, damaged_qty: 1 }),
+    line("m2", "Era 100", { source: "manual" }), // not in the view at all
+  ];
+  const plan = planChanges([view("Arc", 1, 1)], items);
+  assert.deepEqual(plan, { added: [], changed: [], resolved: [], unchanged: 0, manual: 0 });
+});
+
+test("generated lines are still updated and resolved", () => {
+  const items = [
+    line("a1", "Arc", { source: "auto" }),
+    line("a2", "Sub Mini", { source: "auto" }),
+    line("a3", "Era 100", { source: "auto" }),
+  ];
+  const plan = planChanges([view("Arc", 2, 2), view("Sub Mini", 3, 1)], items);
+  assert.deepEqual(plan.resolved.map((r) => [r.id, r.reason]), [
+    ["a1", "Goods received in full, no damage"],
+    ["a3", "No longer on the manifest"],
+  ]);
+  assert.deepEqual(plan.changed.map((c) => [c.id, c.after.missing_qty]), [["a2", 2]]);
+});
+
+test("no generated line is added next to an open manual report of the same product and room", () => {
+  const items = [line("m1", "Arc", { source: "manual" })];
+  const plan = planChanges([view("Arc", 2, 1), view("Sub Mini", 1, 0)], items);
+  assert.equal(plan.manual, 1);
+  assert.deepEqual(plan.added.map((v) => v.model), ["Sub Mini"]);
+});
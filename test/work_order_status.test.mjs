@@ -0,0 +1,46 @@
+// test/work_order_status.test.mjs
+// Closing a job: every punchlist item has to be verified, resolved ones included
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+const WO = "11111111-1111-1111-1111-111111111111";
+let punchItems = [];
+const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+async function fakeRest(url) {
+  switch (new URL(url).pathname.split("/").pop()) {
+    case "work_order_items": return reply([{ id: "i1" }]);
+    case "punchlists": return reply([{ id: "p1" }]);
+    case "punchlist_items": return reply(punchItems);
+    default: return reply([]);
+  }
+}
+
+let status;
+let realFetch;
+before(async () => {
+  Object.assign(process.env, { SUPABASE_URL: "http://rest.test", SUPABASE_SERVICE_ROLE_KEY: "test" });
+  realFetch = globalThis.fetch;
+  globalThis.fetch = fakeRest;
+  status = await import("../lib/work_order_status.mjs");
+});
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+const closing = async () => {
+  const close = status.TRANSITIONS.punchlist_open.find((t) => t.to === "closed");
+  return status.blockers(close, await status.loadFacts(WO));
+};
+const item = (s) => ({ manufacturer: "Sony", model: "XR-65A80L", room: "Lobby", status: s });
+
+test("a resolved punchlist item that nobody verified still blocks closing", async () => {
+  punchItems = [item("verified"), item("resolved")];
+  assert.deepEqual(await closing(), [
+    { code: "no_open_punchlist", message: "1 punchlist item(s) are not verified yet", overridable: false },
+  ]);
+});
+
+test("the job closes once every item is verified", async () => {
+  punchItems = [item("verified"), item("verified")];
+  assert.deepEqual(await closing(), []);
+});